@@ -1,5 +1,6 @@
-const {Redis} = require('ioredis');
+import { createIoRedisClient } from "./lib/connection.js";
 
-const client = new Redis();
+// ioredis client shared by the playground scripts; configured from the environment (see lib/connection.js).
+const client = createIoRedisClient();
 
-module.exports = client;
\ No newline at end of file
+export default client;
@@ -19,10 +19,13 @@
  *      HLEN                     => O(1)
  *      HMSET / HMGET            => O(n) (n = number of fields processed)
  *
+ * ⚠️ Everything comes back as a string ("23", not 23). lib/repository.js
+ *    adds a typed schema, partial updates and WATCH/MULTI on top of this.
+ *
  * Run: node hash.js
  */
 
-const client = require("./client"); // ioredis client instance
+import client from "./client.js"; // ioredis client instance
 
 async function init() {
   // Clear old data
@@ -0,0 +1,53 @@
+/**
+ * 🏭 Job Queue Demo (lib/job-queue.js)
+ * ------------------------------------
+ * Start as many workers as you like, in separate terminals:
+ *    node job-worker.js
+ *
+ * Then enqueue some jobs from another one:
+ *    node job-worker.js produce
+ *
+ * Things to try:
+ *  - Kill a worker (Ctrl+C twice) mid-job → after the visibility timeout another
+ *    worker picks the job up again
+ *  - Jobs with `fail: true` are retried with exponential backoff, then land in
+ *    the dead-letter set (`node job-worker.js dead` lists them)
+ */
+
+import { createRedisClient, onShutdown } from "./lib/connection.js";
+import { JobQueue } from "./lib/job-queue.js";
+
+const client = createRedisClient();
+client.on("error", (err) => console.error("Redis Client Error", err));
+await client.connect();
+
+const queue = new JobQueue(client, "demo", { visibilityTimeout: 10000, maxAttempts: 3, backoff: 1000 });
+
+const mode = process.argv[2] ?? "work";
+
+if (mode === "produce") {
+  await queue.add({ task: "Write report" }, { priority: 1 });
+  await queue.add({ task: "Check emails" }, { priority: 5 });
+  await queue.add({ task: "Fix bug" }, { priority: 2 });
+  await queue.add({ task: "Deploy app" }, { priority: 3, delay: 5000 }); // runs in 5 sec
+  await queue.add({ task: "Flaky job", fail: true }, { priority: 2 });
+  console.log("📤 Enqueued 5 jobs =>", await queue.counts());
+  await client.quit();
+} else if (mode === "dead") {
+  console.log("💀 Dead jobs =>", await queue.deadJobs());
+  await client.quit();
+} else {
+  const worker = queue.process(
+    async (job) => {
+      console.log(`⚙️  ${process.pid} working on "${job.data.task}" (attempt ${job.attempts})`);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+      if (job.data.fail) throw new Error("Simulated failure");
+      console.log(`✅ ${process.pid} done with "${job.data.task}"`);
+    },
+    { concurrency: 2 }
+  );
+
+  // First Ctrl+C finishes running jobs, a second one exits right away (like a crash).
+  onShutdown(() => worker.stop());
+  console.log(`👷 Worker ${process.pid} waiting for jobs =>`, await queue.counts());
+}
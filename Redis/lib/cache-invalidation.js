@@ -0,0 +1,136 @@
+/**
+ * Cache Invalidation (keys, patterns, tags) with Cross-Instance Notification
+ * --------------------------------------------------------------------------
+ * Evicts entries written by cache.js before their TTL runs out:
+ *
+ *  - by exact key      → UNLINK cache:GET:/posts/1
+ *  - by key pattern    → SCAN MATCH cache:GET:/posts/* (never KEYS: it blocks Redis
+ *                        while it walks the whole keyspace), UNLINK in batches
+ *  - by tag            → SMEMBERS cache:tag:<tag> (the sets from set.js), UNLINK members + set
+ *
+ * Every invalidation is then PUBLISHed on a channel (as in pubsub.js); each
+ * instance subscribes and drops the same entries from its in-process L1 cache,
+ * which Redis itself knows nothing about.
+ *
+ * On Redis Cluster the entries and tag sets are spread over all slots: keys are
+ * UNLINKed one by one, tag sets read one by one, and patterns SCAN every master.
+ *
+ * Usage:
+ *   const l1 = new LocalCache();
+ *   const invalidator = new CacheInvalidator(client, { l1 });
+ *   await invalidator.listen();
+ *   await invalidator.invalidateTags(["posts"]);
+ */
+
+import { logger } from "chat-observability";
+import { CACHE_PREFIX, tagKey } from "./cache.js";
+
+const SCAN_BATCH = 100;
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// One UNLINK per key (sent together): a multi-key UNLINK fails on Cluster when the keys are in different slots.
+async function unlinkEach(client, keys) {
+  const removed = await Promise.all(keys.map((key) => client.unlink(key)));
+  return removed.reduce((sum, count) => sum + count, 0);
+}
+
+// The clients to SCAN: every master of a RedisCluster, or the client itself.
+async function scanTargets(client) {
+  if (!client.masters) return [client];
+  return Promise.all(client.masters.map((master) => client.nodeClient(master)));
+}
+
+export class CacheInvalidator {
+  /**
+   * @param client   connected node-redis client (a duplicate is made for subscribing)
+   * @param l1       LocalCache of this process, if any
+   * @param prefix   same key namespace passed to cache()
+   * @param channel  pub/sub channel shared by all instances
+   */
+  constructor(client, { l1 = null, prefix = CACHE_PREFIX, channel = "cache:invalidations" } = {}) {
+    this.client = client;
+    this.l1 = l1;
+    this.prefix = prefix;
+    this.channel = channel;
+    this.subscriber = null;
+  }
+
+  // Starts listening for invalidations from other instances (and our own).
+  async listen() {
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on("error", (err) => logger.error("Redis subscriber error", err));
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(this.channel, (message) => {
+      if (!this.l1) return;
+      // Anyone can publish on the channel; a bad message must not throw inside the Redis client.
+      let parsed;
+      try {
+        parsed = JSON.parse(message);
+      } catch (err) {
+        logger.warn("Dropped an unparseable invalidation message", { err });
+        return;
+      }
+      const { keys = [], pattern } = parsed ?? {};
+      if (!isStringArray(keys) || (pattern !== undefined && typeof pattern !== "string")) {
+        logger.warn("Dropped a malformed invalidation message", { channel: this.channel });
+        return;
+      }
+      keys.forEach((key) => this.l1.delete(key));
+      if (pattern) this.l1.deleteMatching(pattern);
+    });
+  }
+
+  async close() {
+    await this.subscriber?.quit();
+  }
+
+  /**
+   * Evicts one exact key. Returns the number of keys removed from Redis.
+   */
+  async invalidateKey(key) {
+    if (!key.startsWith(this.prefix)) {
+      // Sessions, locks & co live in the same Redis; this only evicts cache entries.
+      throw new RangeError(`Key must start with "${this.prefix}"`);
+    }
+    const removed = await this.client.unlink(key);
+    await this.notify({ keys: [key] });
+    return removed;
+  }
+
+  /**
+   * Evicts every key matching a glob pattern, e.g. "cache:GET:/posts/*".
+   * SCAN is incremental, so this is safe on a large keyspace (if not instant).
+   */
+  async invalidatePattern(pattern) {
+    if (!pattern.startsWith(this.prefix)) {
+      // Refuse patterns like "*" that would reach outside the cache namespace.
+      throw new RangeError(`Pattern must start with "${this.prefix}"`);
+    }
+    let removed = 0;
+    for (const node of await scanTargets(this.client)) {
+      for await (const keys of node.scanIterator({ MATCH: pattern, COUNT: SCAN_BATCH })) {
+        removed += await unlinkEach(this.client, keys);
+      }
+    }
+    await this.notify({ pattern });
+    return removed;
+  }
+
+  /**
+   * Evicts every entry registered under any of the tags, and the tag sets themselves.
+   */
+  async invalidateTags(tags) {
+    const setKeys = tags.map((tag) => tagKey(tag, this.prefix));
+    const members = await Promise.all(setKeys.map((setKey) => this.client.sMembers(setKey)));
+    const keys = [...new Set(members.flat())];
+    const removed = await unlinkEach(this.client, keys);
+    await unlinkEach(this.client, setKeys);
+    await this.notify({ keys });
+    return removed;
+  }
+
+  async notify(message) {
+    await this.client.publish(this.channel, JSON.stringify(message));
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Redis Response Cache Middleware for Express
+ * -------------------------------------------
+ * Caches successful responses in Redis under a key derived from the request,
+ * so the same request within the TTL is answered without running the handler.
+ *
+ * Cache key = prefix + method + path + sorted query string, plus a hash of the
+ * values of any headers listed in `varyHeaders` (e.g. "accept-language").
+ * Keys stay readable (cache:GET:/posts/1) so they can be invalidated by pattern.
+ *
+ * ✅ Behaviour:
+ *  - Only GET/HEAD requests are cached, and only 2xx responses are stored
+ *  - Sets `X-Cache: HIT`, `MISS` or `STALE` on every cacheable response
+ *  - `Cache-Control: no-cache` from the client skips the lookup and refreshes the entry
+ *
+ * ⏳ Soft / hard TTL (stale-while-revalidate):
+ *  - Younger than `softTtl` → fresh, served as HIT
+ *  - Between `softTtl` and `hardTtl` → stale: served straight away as STALE while
+ *    ONE request refreshes it in the background
+ *  - Older than `hardTtl` → gone (Redis expires the key)
+ *
+ * 🐘 Stampede protection (single flight):
+ *  - Refilling a key takes a short lock (lock.js, `lock:{<key>}`), so when a key
+ *    expires only one request calls the upstream; the others serve stale data
+ *    or wait briefly for the winner to fill the cache.
+ *  - If a refill fails (handler responds 5xx), clients get the last good copy
+ *    instead of the error, for as long as it is within `hardTtl`.
+ *
+ * 🏷️ Tags & L1:
+ *  - `tags` registers each stored key in a Redis set per tag (cache:tag:<tag>),
+ *    so related entries can be dropped together (see cache-invalidation.js).
+ *    An entry and its tag sets hash to different Cluster slots, so they are
+ *    written one after the other: tags first, so no entry is ever untagged
+ *  - `l1` is an optional in-process LocalCache consulted before Redis; the
+ *    invalidation channel tells every instance to drop its copies
+ *
+ * Usage:
+ *   app.get("/posts", cache(client, { softTtl: 60, hardTtl: 600, tags: ["posts"] }), handler);
+ */
+
+import { createHash } from "node:crypto";
+import { logger } from "chat-observability";
+import { key } from "./keys.js";
+import { LockManager } from "./lock.js";
+
+const CACHEABLE_METHODS = new Set(["GET", "HEAD"]);
+
+// Default key namespace, also the default of CacheInvalidator.
+export const CACHE_PREFIX = key("cache:");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Builds the cache key for a request.
+ * Query parameters are sorted so ?a=1&b=2 and ?b=2&a=1 share an entry.
+ */
+export function cacheKey(req, { prefix = CACHE_PREFIX, varyHeaders = [] } = {}) {
+  const query = new URLSearchParams(req.originalUrl.split("?")[1] ?? "");
+  query.sort();
+
+  let key = `${prefix}${req.method}:${req.baseUrl + req.path}`;
+  if (query.size > 0) key += `?${query}`;
+  if (varyHeaders.length > 0) {
+    const values = varyHeaders.map((header) => `${header.toLowerCase()}=${req.get(header) ?? ""}`);
+    key += `#${createHash("sha1").update(values.join("\n")).digest("hex").slice(0, 16)}`;
+  }
+  return key;
+}
+
+export function tagKey(tag, prefix = CACHE_PREFIX) {
+  return `${prefix}tag:${tag}`;
+}
+
+/**
+ * Small in-process LRU in front of Redis (the "L1").
+ * Entries live for at most `ttl` seconds here, so an instance that misses an
+ * invalidation message can only serve an outdated copy for that long.
+ */
+export class LocalCache {
+  constructor({ maxEntries = 500, ttl = 5 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map(); // insertion order doubles as LRU order
+  }
+
+  get(key) {
+    const hit = this.entries.get(key);
+    if (!hit) return null;
+    this.entries.delete(key);
+    if (hit.expiresAt <= Date.now()) return null;
+    this.entries.set(key, hit); // move to the back: most recently used
+    return hit.entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: Date.now() + this.ttl * 1000 });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Drops every key matching a Redis-style glob (only * and ? are supported).
+  deleteMatching(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    const regex = new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+    for (const key of this.entries.keys()) {
+      if (regex.test(key)) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Creates the caching middleware.
+ *
+ * @param client       connected node-redis client
+ * @param softTtl      seconds an entry counts as fresh (per route — pass a different one per `cache()` call)
+ * @param hardTtl      seconds an entry is kept at all; stale copies are served in between (default: softTtl)
+ * @param lockTimeout  ms a refill may hold the lock before another request may try
+ * @param waitTimeout  ms a request without a cached copy waits for someone else's refill
+ * @param prefix       key namespace
+ * @param varyHeaders  request headers that make responses differ
+ * @param tags         tags for stored entries: an array, or `(req) => array`
+ * @param l1           optional LocalCache shared by the routes of this process
+ */
+export function cache(
+  client,
+  {
+    softTtl = 60,
+    hardTtl = softTtl,
+    lockTimeout = 10000,
+    waitTimeout = 2000,
+    prefix = CACHE_PREFIX,
+    varyHeaders = [],
+    tags = [],
+    l1 = null,
+  } = {}
+) {
+  // No watchdog and no fencing: lockTimeout bounds a refill whose handler never
+  // responds, and a late duplicate write of the same response is harmless.
+  const locks = new LockManager(client, { ttl: lockTimeout, fencing: false });
+
+  async function read(key) {
+    const local = l1?.get(key);
+    if (local && local.freshUntil > Date.now()) return local;
+    const raw = await client.get(key);
+    const entry = raw ? JSON.parse(raw) : null;
+    if (entry && entry.freshUntil > Date.now()) l1?.set(key, entry);
+    return entry;
+  }
+
+  async function write(key, req, status, contentType, body) {
+    const entry = {
+      status,
+      contentType,
+      // JSON can't hold bytes, and decoding them as UTF-8 would corrupt images or gzip.
+      ...(Buffer.isBuffer(body) ? { body: body.toString("base64"), base64: true } : { body }),
+      freshUntil: Date.now() + softTtl * 1000,
+    };
+    // A tag set outlives none of its members by more than hardTtl.
+    const tagged = (typeof tags === "function" ? tags(req) : tags).map((tag) =>
+      client.multi().sAdd(tagKey(tag, prefix), key).expire(tagKey(tag, prefix), hardTtl).exec()
+    );
+    await Promise.all(tagged);
+    await client.setEx(key, hardTtl, JSON.stringify(entry));
+    l1?.set(key, entry);
+  }
+
+  function release(lease) {
+    lease.release().catch((err) => logger.error("Cache lock release failed", err));
+  }
+
+  // Polls for an entry another request is filling. Returns null on timeout.
+  async function waitForFill(key) {
+    const deadline = Date.now() + waitTimeout;
+    while (Date.now() < deadline) {
+      await sleep(50);
+      const entry = await read(key);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  function serve(res, entry, label) {
+    res.set("X-Cache", label);
+    if (entry.contentType) res.type(entry.contentType);
+    return res.status(entry.status).send(bodyOf(entry));
+  }
+
+  return async function cacheMiddleware(req, res, next) {
+    if (!CACHEABLE_METHODS.has(req.method)) return next();
+
+    const key = cacheKey(req, { prefix, varyHeaders });
+    const noCache = /\bno-cache\b/i.test(req.get("cache-control") ?? "");
+
+    let entry = null;
+    let fallback = null; // last known good copy, served if the handler fails
+    let lease = null;
+    try {
+      fallback = await read(key);
+      entry = noCache ? null : fallback;
+      if (entry && entry.freshUntil > Date.now()) {
+        return serve(res, entry, "HIT");
+      }
+
+      lease = await locks.acquire(key);
+
+      if (entry && lease) {
+        // Stale and we won the refill: answer now, refresh behind the response.
+        serve(res, entry, "STALE");
+        detach(res, (status, contentType, body) => {
+          if (status >= 200 && status < 300) {
+            write(key, req, status, contentType, body)
+              .catch((err) => (req.log ?? logger).error("Cache write failed", err))
+              .finally(() => release(lease));
+          } else {
+            (req.log ?? logger).error("Background refresh failed, keeping stale copy", { path: req.originalUrl, status });
+            release(lease);
+          }
+        });
+        return next();
+      }
+
+      if (entry) {
+        // Stale, and someone else is already refreshing it.
+        return serve(res, entry, "STALE");
+      }
+
+      if (!lease && !noCache) {
+        // Cold miss while another request fills the key: wait for it rather than pile onto the upstream.
+        const filled = await waitForFill(key);
+        if (filled) return serve(res, filled, "HIT");
+      }
+    } catch (err) {
+      // A broken cache should slow us down, not take the route down.
+      (req.log ?? logger).error("Cache read failed", err);
+    }
+
+    res.set("X-Cache", "MISS");
+
+    // Capture the body on its way out and store it once the handler responds.
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      res.send = send; // res.json() calls back into send(); only capture once
+      const status = res.statusCode;
+      if (status >= 200 && status < 300) {
+        write(key, req, status, res.get("Content-Type"), body)
+          .catch((err) => (req.log ?? logger).error("Cache write failed", err))
+          .finally(() => lease && release(lease));
+        return send(body);
+      }
+      if (lease) release(lease);
+      if (status >= 500 && fallback) {
+        (req.log ?? logger).error("Handler failed, serving stale copy", { path: req.originalUrl, status });
+        res.set("X-Cache", "STALE");
+        if (fallback.contentType) res.type(fallback.contentType);
+        return res.status(fallback.status).send(bodyOf(fallback));
+      }
+      return send(body);
+    };
+
+    next();
+  };
+}
+
+// The stored body as it was sent: Buffers were stored as base64.
+function bodyOf(entry) {
+  return entry.base64 ? Buffer.from(entry.body, "base64") : entry.body;
+}
+
+/**
+ * Turns an already-answered response into a capture: the route handler still
+ * runs and "responds" as usual, but instead of writing to the (finished) socket
+ * the result is handed to `capture(status, contentType, body)`.
+ * Handlers are expected to handle their own errors; anything passed to next(err)
+ * reaches Express's error handler, which can only drop the connection at this point.
+ */
+function detach(res, capture) {
+  let status = 200;
+  let contentType;
+  let captured = false;
+  const done = (code, type, body) => {
+    if (captured) return res;
+    captured = true;
+    capture(code, type, body);
+    return res;
+  };
+
+  res.status = (code) => {
+    status = code;
+    return res;
+  };
+  res.set = res.header = (field, value) => {
+    if (typeof field === "string" && field.toLowerCase() === "content-type") contentType = value;
+    return res;
+  };
+  res.type = (type) => {
+    contentType = type;
+    return res;
+  };
+  res.json = (obj) => done(status, "application/json; charset=utf-8", JSON.stringify(obj));
+  res.send = (body) =>
+    typeof body === "object" && !Buffer.isBuffer(body) ? res.json(body) : done(status, contentType, body);
+  res.sendStatus = (code) => done(code, "text/plain; charset=utf-8", String(code));
+  res.end = () => res;
+}
@@ -0,0 +1,286 @@
+/**
+ * Redis Connections
+ * -----------------
+ * One place that creates every Redis client of this project, for both client
+ * libraries: node-redis (createRedisClient) for the servers, demos and lib/,
+ * ioredis (createIoRedisClient) for the playground scripts via client.js.
+ *
+ * Configuration (environment):
+ *   REDIS_URL                  redis[s]://user:password@host:port/db — or the separate
+ *   REDIS_HOST / REDIS_PORT    variables (default localhost:6379)
+ *   REDIS_USERNAME / REDIS_PASSWORD / REDIS_DB
+ *   REDIS_TLS=1                connect with TLS (also implied by rediss://);
+ *                              REDIS_TLS_CA=<pem file> trusts a private CA,
+ *                              REDIS_TLS_INSECURE=1 skips certificate checks (dev only)
+ *   REDIS_KEY_PREFIX           namespace in front of every key, e.g. "staging:" (see below)
+ *   REDIS_SENTINELS            host:port,host:port → connect through Sentinel to the
+ *                              master REDIS_SENTINEL_NAME (default "mymaster");
+ *                              REDIS_SENTINEL_PASSWORD if the sentinels need one
+ *   REDIS_CLUSTER_NODES        host:port,host:port → Redis Cluster
+ *   REDIS_RETRY_MAX_DELAY      cap on the reconnect backoff in ms (default 5000)
+ *   REDIS_RETRY_MAX_ATTEMPTS   give up after this many reconnects (default: never)
+ *   REDIS_FAKE=1               in-memory Redis inside this process (lib/fake-redis.js),
+ *                              e.g. on CI; all clients of the process share it
+ *
+ * ⚠️ The key prefix goes on keys, not on pub/sub channels. ioredis clients
+ *    add it to key arguments and the KEYS of Lua scripts (its keyPrefix option;
+ *    not to SCAN / KEYS patterns). node-redis has no such option: there the
+ *    lib/ modules add it to their key names, and scripts wrap the keys they
+ *    name themselves in key() (keys.js).
+ *
+ * ⚠️ On Redis Cluster a Lua script or MULTI must keep to one slot. The lib/
+ *    modules give the keys they use together a common hash tag (keys.js); keep
+ *    to that in your own scripts.
+ *
+ * Shutdown: on SIGINT / SIGTERM the onShutdown() hooks run (newest first:
+ * stop servers and workers there), then every client made here is closed and
+ * the process exits. A second signal exits right away.
+ *
+ * Usage:
+ *   const client = createRedisClient();
+ *   await client.connect();
+ *   onShutdown(() => worker.stop());
+ */
+
+import { readFileSync } from "node:fs";
+import { Cluster, Redis } from "ioredis";
+import { createClient, createCluster, createSentinel } from "redis";
+import { logger } from "chat-observability";
+import { startFakeRedis } from "./fake-redis.js";
+
+const SHUTDOWN_TIMEOUT = 10000;
+
+// "host:port,host:port" → [{ host, port }]
+function parseNodes(list, defaultPort) {
+  return list
+    .split(",")
+    .map((node) => node.trim())
+    .filter(Boolean)
+    .map((node) => {
+      const [host, port] = node.split(":");
+      return { host, port: Number(port) || defaultPort };
+    });
+}
+
+/**
+ * Reads the connection settings from the environment (see the top of the file).
+ */
+export function readConfig(env = process.env) {
+  const url = env.REDIS_URL ? new URL(env.REDIS_URL) : null;
+  const tls = env.REDIS_TLS === "1" || url?.protocol === "rediss:";
+  return {
+    host: url?.hostname || env.REDIS_HOST || "localhost",
+    port: Number(url?.port || env.REDIS_PORT) || 6379,
+    username: (url?.username && decodeURIComponent(url.username)) || env.REDIS_USERNAME || undefined,
+    password: (url?.password && decodeURIComponent(url.password)) || env.REDIS_PASSWORD || undefined,
+    db: Number(url?.pathname.slice(1) || env.REDIS_DB) || 0,
+    tls: tls
+      ? {
+          ca: env.REDIS_TLS_CA ? readFileSync(env.REDIS_TLS_CA) : undefined,
+          rejectUnauthorized: env.REDIS_TLS_INSECURE !== "1",
+        }
+      : null,
+    keyPrefix: env.REDIS_KEY_PREFIX ?? "",
+    sentinels: env.REDIS_SENTINELS ? parseNodes(env.REDIS_SENTINELS, 26379) : null,
+    sentinelName: env.REDIS_SENTINEL_NAME || "mymaster",
+    sentinelPassword: env.REDIS_SENTINEL_PASSWORD || undefined,
+    clusterNodes: env.REDIS_CLUSTER_NODES ? parseNodes(env.REDIS_CLUSTER_NODES, 6379) : null,
+    retry: {
+      maxDelay: Number(env.REDIS_RETRY_MAX_DELAY) || 5000,
+      maxAttempts: Number(env.REDIS_RETRY_MAX_ATTEMPTS) || Infinity,
+    },
+  };
+}
+
+export const fakeRedis = process.env.REDIS_FAKE ? await startFakeRedis() : null;
+
+if (fakeRedis) logger.info("REDIS_FAKE is set: using the in-memory Redis", { url: fakeRedis.url });
+
+// The fake is a single local server: no TLS, Sentinel or Cluster.
+export const config = fakeRedis
+  ? {
+      ...readConfig(),
+      host: fakeRedis.host,
+      port: fakeRedis.port,
+      username: undefined,
+      password: undefined,
+      db: 0,
+      tls: null,
+      sentinels: null,
+      clusterNodes: null,
+    }
+  : readConfig();
+
+/**
+ * Reconnect backoff: 100 ms, 200 ms, 400 ms ... up to maxDelay, plus up to
+ * 100 ms of jitter so a fleet doesn't reconnect in lockstep. null = give up.
+ */
+export function retryDelay(attempt, { maxDelay, maxAttempts } = config.retry) {
+  if (attempt > maxAttempts) return null;
+  return Math.min(100 * 2 ** Math.min(attempt - 1, 16), maxDelay) + Math.floor(Math.random() * 100);
+}
+
+// node-redis counts reconnects from 0 and wants an Error to stop.
+function reconnectStrategy(retries, cause) {
+  return retryDelay(retries + 1) ?? new Error(`Giving up on Redis after ${retries} reconnects: ${cause.message}`);
+}
+
+/* ---------- node-redis ---------- */
+
+function socketOptions() {
+  return { ...(config.tls && { tls: true, ...config.tls }), reconnectStrategy };
+}
+
+function createSentinelClient(options) {
+  const sentinel = createSentinel({
+    name: config.sentinelName,
+    sentinelRootNodes: config.sentinels,
+    nodeClientOptions: {
+      username: config.username,
+      password: config.password,
+      database: config.db,
+      ...options,
+      socket: { ...socketOptions(), ...options.socket },
+    },
+    sentinelClientOptions: { password: config.sentinelPassword, socket: socketOptions() },
+  });
+  // RedisSentinel has no duplicate(); lib/ modules use it for subscribers and blocking pops.
+  sentinel.duplicate = () => createSentinelClient(options);
+  return sentinel;
+}
+
+/**
+ * A node-redis client for the configured topology: a plain client, a
+ * RedisCluster or a RedisSentinel. Call connect() on it as usual. `options`
+ * are passed through to node-redis (per node for Cluster and Sentinel).
+ */
+export function createRedisClient(options = {}) {
+  if (config.clusterNodes) {
+    return track(
+      createCluster({
+        rootNodes: config.clusterNodes.map(({ host, port }) => ({ socket: { host, port } })),
+        defaults: {
+          username: config.username,
+          password: config.password,
+          ...options,
+          socket: { ...socketOptions(), ...options.socket },
+        },
+      })
+    );
+  }
+  if (config.sentinels) return track(createSentinelClient(options));
+  return track(
+    createClient({
+      username: config.username,
+      password: config.password,
+      database: config.db,
+      ...options,
+      socket: { host: config.host, port: config.port, ...socketOptions(), ...options.socket },
+    })
+  );
+}
+
+/* ---------- ioredis ---------- */
+
+/**
+ * An ioredis client (Redis, or Cluster) for the configured topology. It
+ * connects by itself; `options` are passed through to ioredis.
+ */
+export function createIoRedisClient(options = {}) {
+  const common = {
+    username: config.username,
+    password: config.password,
+    keyPrefix: config.keyPrefix || undefined,
+    tls: config.tls ?? undefined,
+    retryStrategy: retryDelay,
+  };
+  if (config.clusterNodes) {
+    return track(
+      new Cluster(config.clusterNodes, {
+        keyPrefix: common.keyPrefix,
+        clusterRetryStrategy: retryDelay,
+        redisOptions: common,
+        ...options,
+      })
+    );
+  }
+  if (config.sentinels) {
+    return track(
+      new Redis({
+        ...common,
+        sentinels: config.sentinels,
+        name: config.sentinelName,
+        sentinelPassword: config.sentinelPassword,
+        enableTLSForSentinelMode: Boolean(config.tls),
+        sentinelRetryStrategy: retryDelay,
+        db: config.db,
+        ...options,
+      })
+    );
+  }
+  return track(new Redis({ ...common, host: config.host, port: config.port, db: config.db, ...options }));
+}
+
+/* ---------- graceful shutdown ---------- */
+
+const clients = new Set();
+const hooks = [];
+let listening = false;
+let shuttingDown = false;
+
+function track(client) {
+  clients.add(client);
+  listenForSignals();
+  return client;
+}
+
+/**
+ * Runs `hook` (may be async) on SIGINT / SIGTERM, before the Redis clients
+ * are closed. Hooks run newest first.
+ */
+export function onShutdown(hook) {
+  hooks.push(hook);
+  listenForSignals();
+}
+
+// Closes a client, letting pending replies arrive first. Ones the script already closed are skipped.
+async function close(client) {
+  try {
+    if (typeof client.quit === "function") await client.quit();
+    else await client.close();
+  } catch {
+    // Already closed.
+  }
+}
+
+/**
+ * Runs the shutdown hooks, then closes every client created by this module.
+ */
+export async function shutdown() {
+  for (const hook of [...hooks].reverse()) {
+    try {
+      await hook();
+    } catch (err) {
+      logger.error("Shutdown hook failed", err);
+    }
+  }
+  await Promise.all([...clients].map(close));
+  clients.clear();
+}
+
+function listenForSignals() {
+  if (listening) return;
+  listening = true;
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      if (shuttingDown) process.exit(1);
+      shuttingDown = true;
+      logger.info("Shutting down (send the signal again to exit right away)", { signal });
+      setTimeout(() => {
+        logger.error("Shutdown took too long, exiting");
+        process.exit(1);
+      }, SHUTDOWN_TIMEOUT).unref();
+      shutdown().then(() => process.exit(0));
+    });
+  }
+}
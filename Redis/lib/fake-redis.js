@@ -0,0 +1,1914 @@
+/**
+ * In-Memory Redis Stand-in
+ * ------------------------
+ * A small Redis server that runs inside the Node process, so the playground
+ * scripts, the servers and the tests work on machines without Redis (CI).
+ * It speaks the real wire protocol (RESP2) on a local port, which means the
+ * real clients — ioredis in client.js and node-redis everywhere else — talk to
+ * it unchanged, with their own argument parsing and reply transforms.
+ *
+ * ✅ Supported:
+ *  - Strings with TTL (SET EX/PX/NX/XX/GET, INCR & co, MGET/MSET, APPEND)
+ *  - Keys: DEL/UNLINK/EXISTS/EXPIRE(AT)/TTL/PTTL/PERSIST/TYPE/KEYS/SCAN/RENAME
+ *  - Hashes, sets (incl. SUNION/SINTER/SDIFF[STORE]), sorted sets (ZADD flags,
+ *    ZRANGE BYSCORE/REV/LIMIT, ranks, pops), lists incl. BLPOP/BRPOP/BLMOVE
+ *  - Streams: XADD (MAXLEN), XRANGE, XREAD BLOCK, consumer groups (XREADGROUP,
+ *    XACK, XPENDING, XAUTOCLAIM)
+ *  - Pub/sub (SUBSCRIBE, PSUBSCRIBE, PUBLISH), MULTI/EXEC/WATCH
+ *  - Lua scripts (EVAL/EVALSHA/SCRIPT LOAD) with redis.call/pcall and cjson, run
+ *    by fengari (Lua 5.3 in JS), so job-queue, rate-limit, locks & co work too
+ *
+ * ⚠️ Not supported: persistence, cluster, the bit / struct / cmsgpack Lua
+ *    libraries. Lua 5.3 prints whole floats as "2.0" where Redis's Lua 5.1
+ *    prints "2" (tostring); numbers passed to redis.call are formatted like 5.1.
+ *
+ * Usage:
+ *   REDIS_FAKE=1 node string.js          (client.js / lib/connection.js start it for you)
+ *   node lib/fake-redis.js               (standalone on port 6379, shared by several processes)
+ *
+ *   const fake = await startFakeRedis();  // shared by the whole process
+ *   const client = createClient({ url: fake.url });
+ */
+
+import { createHash } from "node:crypto";
+import net from "node:net";
+import { pathToFileURL } from "node:url";
+import fengari from "fengari";
+
+// Every string crosses the wire as latin1, which maps bytes 1:1 to characters:
+// binary values survive, and lengths are byte counts like in Redis.
+const ENCODING = "latin1";
+
+class Simple {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+class ReplyError extends Error {}
+
+const OK = new Simple("OK");
+const QUEUED = new Simple("QUEUED");
+const NULL_ARRAY = Symbol("null array");
+
+const WRONGTYPE = "WRONGTYPE Operation against a key holding the wrong kind of value";
+const NOT_INTEGER = "ERR value is not an integer or out of range";
+const NOT_FLOAT = "ERR value is not a valid float";
+const SYNTAX = "ERR syntax error";
+
+function int(value) {
+  if (!/^-?\d+$/.test(value)) throw new ReplyError(NOT_INTEGER);
+  return Number(value);
+}
+
+function float(value) {
+  const lower = String(value).toLowerCase();
+  if (lower === "inf" || lower === "+inf") return Infinity;
+  if (lower === "-inf") return -Infinity;
+  const number = Number(value);
+  if (value === "" || Number.isNaN(number)) throw new ReplyError(NOT_FLOAT);
+  return number;
+}
+
+// Doubles go back as strings, formatted the way Redis does.
+function formatFloat(number) {
+  if (number === Infinity) return "inf";
+  if (number === -Infinity) return "-inf";
+  return String(number);
+}
+
+// Score range bound: "5", "(5" (exclusive), "-inf", "+inf".
+function scoreBound(value) {
+  const exclusive = value.startsWith("(");
+  return { value: float(exclusive ? value.slice(1) : value), exclusive };
+}
+
+function inRange(score, min, max) {
+  const aboveMin = min.exclusive ? score > min.value : score >= min.value;
+  const belowMax = max.exclusive ? score < max.value : score <= max.value;
+  return aboveMin && belowMax;
+}
+
+// Redis-style glob → RegExp (*, ?, [abc], [^a], \x).
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*") source += "[\\s\\S]*";
+    else if (char === "?") source += "[\\s\\S]";
+    else if (char === "\\" && i + 1 < pattern.length) source += `\\${pattern[++i]}`;
+    else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      const body = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${body.startsWith("^") ? `^${body.slice(1)}` : body}]`;
+      i = end;
+    } else source += char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Normalises LRANGE/ZRANGE style start/stop (negative = from the end) to a slice.
+function rangeIndexes(start, stop, length) {
+  if (start < 0) start = Math.max(length + start, 0);
+  if (stop < 0) stop = length + stop;
+  stop = Math.min(stop, length - 1);
+  return start > stop ? null : [start, stop];
+}
+
+/* ---------- stream ids ---------- */
+
+function parseId(id, missingSeq = 0) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(id);
+  if (!match) throw new ReplyError("ERR Invalid stream ID specified as stream command argument");
+  return [Number(match[1]), match[2] === undefined ? missingSeq : Number(match[2])];
+}
+
+function compareIds(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+const formatId = (id) => `${id[0]}-${id[1]}`;
+const MIN_ID = [0, 0];
+const MAX_ID = [Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER];
+
+// XRANGE bounds: "-", "+", "1-0", "1" and "(1-0" (exclusive).
+function rangeId(value, isStart) {
+  if (value === "-") return MIN_ID;
+  if (value === "+") return MAX_ID;
+  if (value.startsWith("(")) {
+    const id = parseId(value.slice(1), isStart ? 0 : Number.MAX_SAFE_INTEGER);
+    return isStart ? [id[0], id[1] + 1] : [id[0], id[1] - 1];
+  }
+  return parseId(value, isStart ? 0 : Number.MAX_SAFE_INTEGER);
+}
+
+const entryReply = (entry) => [formatId(entry.id), entry.fields];
+
+/* ---------- the server ---------- */
+
+export class FakeRedis {
+  constructor() {
+    this.db = new Map(); // key -> { type, value, expiresAt }
+    this.versions = new Map(); // key -> write counter, for WATCH
+    this.waiters = new Map(); // key -> Set of blocked clients
+    this.signalled = new Set(); // keys written during the current command
+    this.channels = new Map(); // channel -> Set<Connection>
+    this.patterns = new Map(); // pattern -> { regex, connections }
+    this.connections = new Set();
+    this.scripting = new Scripting(this);
+    this.server = net.createServer((socket) => new Connection(this, socket));
+  }
+
+  async listen(port = 0, host = "127.0.0.1") {
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+    // Clients keep the process alive while they are connected; the server itself shouldn't.
+    this.server.unref();
+    const address = this.server.address();
+    this.host = host;
+    this.port = address.port;
+    this.url = `redis://${host}:${address.port}`;
+    return this;
+  }
+
+  async close() {
+    for (const connection of this.connections) connection.socket.destroy();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /* ----- keyspace ----- */
+
+  entry(key) {
+    const entry = this.db.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.db.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  // The value at `key` if it has `type`; undefined if missing; WRONGTYPE otherwise.
+  read(key, type) {
+    const entry = this.entry(key);
+    if (!entry) return undefined;
+    if (entry.type !== type) throw new ReplyError(WRONGTYPE);
+    return entry.value;
+  }
+
+  // Like read(), but creates an empty value when the key is missing.
+  write(key, type, create) {
+    const existing = this.read(key, type);
+    if (existing !== undefined) return existing;
+    const value = create();
+    this.db.set(key, { type, value, expiresAt: null });
+    return value;
+  }
+
+  set(key, type, value, expiresAt = null) {
+    this.db.set(key, { type, value, expiresAt });
+    this.touch(key);
+  }
+
+  delete(key) {
+    const existed = this.entry(key) !== undefined;
+    this.db.delete(key);
+    if (existed) this.touch(key);
+    return existed;
+  }
+
+  // Marks a key as modified: breaks WATCHes and wakes clients blocked on it.
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) ?? 0) + 1);
+    if (this.waiters.has(key)) this.signalled.add(key);
+  }
+
+  // Empty lists / sets / hashes / zsets don't exist in Redis.
+  dropIfEmpty(key) {
+    const entry = this.db.get(key);
+    if (!entry) return;
+    const size = entry.value instanceof Map || entry.value instanceof Set ? entry.value.size : entry.value.length;
+    if (entry.type !== "string" && entry.type !== "stream" && size === 0) this.db.delete(key);
+  }
+
+  liveKeys() {
+    return [...this.db.keys()].filter((key) => this.entry(key) !== undefined);
+  }
+
+  /* ----- blocking ----- */
+
+  /**
+   * Runs `attempt` now; if it returns undefined, parks the client on `keys`
+   * until a write to one of them makes `attempt` succeed, or `timeoutMs`
+   * passes (0 = forever) and `onTimeout` is the reply.
+   */
+  block(connection, keys, timeoutMs, attempt, onTimeout) {
+    const reply = attempt();
+    if (reply !== undefined || connection.inExec) return reply ?? onTimeout;
+
+    return new Promise((resolve) => {
+      const waiter = { attempt, resolve, keys, timer: null };
+      const finish = (result) => {
+        clearTimeout(waiter.timer);
+        for (const key of keys) this.waiters.get(key)?.delete(waiter);
+        connection.waiter = null;
+        resolve(result);
+      };
+      waiter.finish = finish;
+      if (timeoutMs > 0) waiter.timer = setTimeout(() => finish(onTimeout), timeoutMs);
+      for (const key of keys) {
+        if (!this.waiters.has(key)) this.waiters.set(key, new Set());
+        this.waiters.get(key).add(waiter);
+      }
+      connection.waiter = waiter;
+    });
+  }
+
+  // After each command: give blocked clients on written keys a go, oldest first.
+  serveBlocked() {
+    while (this.signalled.size > 0) {
+      const [key] = this.signalled;
+      this.signalled.delete(key);
+      for (const waiter of [...(this.waiters.get(key) ?? [])]) {
+        const reply = waiter.attempt();
+        if (reply !== undefined) waiter.finish(reply);
+      }
+      if (this.waiters.get(key)?.size === 0) this.waiters.delete(key);
+    }
+  }
+
+  /* ----- dispatch ----- */
+
+  execute(connection, args) {
+    const name = args[0].toLowerCase();
+    const command = COMMANDS[name];
+    try {
+      if (!command) throw new ReplyError(`ERR unknown command '${args[0]}'`);
+      return command.call(this, connection, ...args.slice(1));
+    } catch (err) {
+      if (err instanceof ReplyError) return err;
+      throw err;
+    } finally {
+      this.serveBlocked();
+    }
+  }
+
+  publish(channel, message) {
+    let receivers = 0;
+    for (const connection of this.channels.get(channel) ?? []) {
+      connection.push(["message", channel, message]);
+      receivers++;
+    }
+    for (const [pattern, { regex, connections }] of this.patterns) {
+      if (!regex.test(channel)) continue;
+      for (const connection of connections) {
+        connection.push(["pmessage", pattern, channel, message]);
+        receivers++;
+      }
+    }
+    return receivers;
+  }
+}
+
+/* ---------- one client connection ---------- */
+
+const SUBSCRIBED_COMMANDS = new Set(["subscribe", "unsubscribe", "psubscribe", "punsubscribe", "ping", "quit", "reset"]);
+const TRANSACTION_COMMANDS = new Set(["exec", "discard", "multi", "watch"]);
+
+class Connection {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.busy = false;
+    this.multi = null; // queued commands between MULTI and EXEC
+    this.multiFailed = false;
+    this.watched = new Map(); // key -> version at WATCH time
+    this.inExec = false;
+    this.waiter = null;
+    this.channels = new Set();
+    this.patterns = new Set();
+    server.connections.add(this);
+
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      let command;
+      while ((command = this.parse()) !== null) this.queue.push(command);
+      this.drain();
+    });
+    socket.on("close", () => this.cleanup());
+    socket.on("error", () => this.cleanup());
+  }
+
+  get subscribed() {
+    return this.channels.size + this.patterns.size > 0;
+  }
+
+  // Reads one command (RESP array or inline) off the buffer, or returns null if incomplete.
+  parse() {
+    if (this.buffer.length === 0) return null;
+    if (this.buffer[0] !== 0x2a /* "*" */) {
+      const end = this.buffer.indexOf("\r\n");
+      if (end === -1) return null;
+      const line = this.buffer.toString(ENCODING, 0, end);
+      this.buffer = this.buffer.subarray(end + 2);
+      const args = line.trim().split(/\s+/).filter(Boolean);
+      return args.length > 0 ? args : this.parse();
+    }
+
+    let offset = 0;
+    const readLine = () => {
+      const end = this.buffer.indexOf("\r\n", offset);
+      if (end === -1) return null;
+      const line = this.buffer.toString(ENCODING, offset, end);
+      offset = end + 2;
+      return line;
+    };
+    const header = readLine();
+    if (header === null) return null;
+    const count = Number(header.slice(1));
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lengthLine = readLine();
+      if (lengthLine === null) return null;
+      const length = Number(lengthLine.slice(1));
+      if (this.buffer.length < offset + length + 2) return null;
+      args.push(this.buffer.toString(ENCODING, offset, offset + length));
+      offset += length + 2;
+    }
+    this.buffer = this.buffer.subarray(offset);
+    return args;
+  }
+
+  // Runs queued commands one at a time; a blocking command holds up the ones behind it, as in Redis.
+  async drain() {
+    if (this.busy) return;
+    this.busy = true;
+    while (this.queue.length > 0 && !this.socket.destroyed) {
+      const args = this.queue.shift();
+      const reply = await this.run(args);
+      if (reply !== undefined) this.write(reply);
+      if (args[0].toLowerCase() === "quit") {
+        this.socket.end();
+        break;
+      }
+    }
+    this.busy = false;
+  }
+
+  run(args) {
+    const name = args[0].toLowerCase();
+    if (this.subscribed && !SUBSCRIBED_COMMANDS.has(name)) {
+      return new ReplyError(`ERR Can't execute '${name}': only (P)SUBSCRIBE / (P)UNSUBSCRIBE / PING / QUIT / RESET are allowed in this context`);
+    }
+    if (this.multi && !TRANSACTION_COMMANDS.has(name)) {
+      if (!COMMANDS[name]) {
+        this.multiFailed = true;
+        return new ReplyError(`ERR unknown command '${args[0]}'`);
+      }
+      this.multi.push(args);
+      return QUEUED;
+    }
+    return this.server.execute(this, args);
+  }
+
+  push(message) {
+    if (!this.socket.destroyed) this.write(message);
+  }
+
+  write(reply) {
+    this.socket.write(Buffer.from(encode(reply), ENCODING));
+  }
+
+  cleanup() {
+    if (!this.server.connections.delete(this)) return;
+    this.waiter?.finish(null);
+    for (const channel of this.channels) this.server.channels.get(channel)?.delete(this);
+    for (const pattern of this.patterns) this.server.patterns.get(pattern)?.connections.delete(this);
+  }
+}
+
+function encode(reply) {
+  if (reply === null || reply === undefined) return "$-1\r\n";
+  if (reply === NULL_ARRAY) return "*-1\r\n";
+  if (typeof reply === "number") return `:${reply}\r\n`;
+  if (typeof reply === "string") return `$${reply.length}\r\n${reply}\r\n`;
+  if (reply instanceof Simple) return `+${reply.text}\r\n`;
+  if (reply instanceof ReplyError) return `-${reply.message}\r\n`;
+  if (Array.isArray(reply)) return `*${reply.length}\r\n${reply.map(encode).join("")}`;
+  throw new TypeError(`Cannot encode reply: ${reply}`);
+}
+
+/* ---------- scripting ---------- */
+// EVAL runs real Lua: fengari is a Lua 5.3 VM written in JS. Like Redis, the
+// server keeps one interpreter and compiles each script once (by its SHA1).
+
+const { lua, lauxlib, lualib } = fengari;
+
+const SCRIPT_CHUNK = toLua("@user_script");
+// Commands a script may not run: they block, nest, or change the connection's state.
+const SCRIPT_FORBIDDEN = new Set([
+  ...SUBSCRIBED_COMMANDS,
+  ...TRANSACTION_COMMANDS,
+  "unwatch",
+  "eval",
+  "evalsha",
+  "eval_ro",
+  "evalsha_ro",
+  "script",
+  "select",
+  "client",
+]);
+// cjson.null: decoded JSON nulls, encoded back as null.
+const JSON_NULL = Object.freeze({ name: "cjson.null" });
+
+// Lua strings are bytes; ours are latin1 strings, so the two convert 1:1.
+function toLua(text) {
+  return Uint8Array.from(Buffer.from(text, ENCODING));
+}
+
+function fromLua(bytes) {
+  return Buffer.from(bytes).toString(ENCODING);
+}
+
+// How Lua 5.1 (Redis's Lua) turns a number into a string: "%.14g".
+function luaNumberString(number) {
+  if (Number.isNaN(number)) return "nan";
+  if (!Number.isFinite(number)) return number > 0 ? "inf" : "-inf";
+  const trim = (digits) => (digits.includes(".") ? digits.replace(/\.?0+$/, "") : digits);
+  const [mantissa, power] = number.toExponential(13).split("e");
+  const exponent = Number(power);
+  if (exponent < -4 || exponent >= 14) {
+    return `${trim(mantissa)}e${exponent < 0 ? "-" : "+"}${String(Math.abs(exponent)).padStart(2, "0")}`;
+  }
+  return trim(number.toFixed(13 - exponent));
+}
+
+// Redis's Lua 5.1 only has doubles. fengari's integers are 32 bit and wrap
+// around (ms timestamps!), so numbers go in as floats, and tonumber() below
+// returns floats too.
+function pushNumber(L, number) {
+  lua.lua_pushnumber(L, number);
+}
+
+const FLOAT_TONUMBER = `
+local tonumber_ = tonumber
+tonumber = function(...)
+  local number = tonumber_(...)
+  if math.type(number) == "integer" then
+    return number + 0.0
+  end
+  return number
+end`;
+
+function pushTable(L, field, text) {
+  lua.lua_createtable(L, 0, 1);
+  lua.lua_pushstring(L, toLua(text));
+  lua.lua_setfield(L, -2, toLua(field));
+}
+
+// Raises a Lua error from inside a JS function called by a script.
+function raise(L, message) {
+  lua.lua_pushstring(L, toLua(message));
+  return lua.lua_error(L);
+}
+
+// Redis reply → Lua value, with the conversions Redis documents for redis.call().
+function pushReply(L, reply) {
+  if (reply === null || reply === undefined || reply === NULL_ARRAY) lua.lua_pushboolean(L, false);
+  else if (typeof reply === "number") pushNumber(L, reply);
+  else if (typeof reply === "string") lua.lua_pushstring(L, toLua(reply));
+  else if (reply instanceof Simple) pushTable(L, "ok", reply.text);
+  else if (reply instanceof ReplyError) pushTable(L, "err", reply.message);
+  else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0);
+    reply.forEach((item, i) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+  } else throw new TypeError(`Cannot convert reply for Lua: ${reply}`);
+}
+
+// The string field `name` of the table at `index`, or undefined.
+function stringField(L, index, name) {
+  lua.lua_getfield(L, index, toLua(name));
+  const value = lua.lua_type(L, -1) === lua.LUA_TSTRING ? fromLua(lua.lua_tostring(L, -1)) : undefined;
+  lua.lua_pop(L, 1);
+  return value;
+}
+
+// Lua value → Redis reply: numbers are truncated to integers, a table is an
+// array up to its first nil, unless it is { ok = ... } or { err = ... }.
+function toReply(L, index) {
+  index = lua.lua_absindex(L, index);
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return fromLua(lua.lua_tostring(L, index));
+    case lua.LUA_TTABLE: {
+      const err = stringField(L, index, "err");
+      if (err !== undefined) return new ReplyError(err);
+      const ok = stringField(L, index, "ok");
+      if (ok !== undefined) return new Simple(ok);
+      const items = [];
+      for (let i = 1; lua.lua_rawgeti(L, index, i) !== lua.LUA_TNIL; i++) {
+        items.push(toReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return items;
+    }
+    default:
+      return null;
+  }
+}
+
+/* ----- cjson ----- */
+
+function luaToJson(L, index, depth = 0) {
+  index = lua.lua_absindex(L, index);
+  if (depth > 1000) throw new Error("Cannot serialise, excessive nesting (1001)");
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNIL:
+      return null;
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index);
+    case lua.LUA_TNUMBER: {
+      const number = lua.lua_tonumber(L, index);
+      if (!Number.isFinite(number)) throw new Error("Cannot serialise number: must not be NaN or Inf");
+      return number;
+    }
+    case lua.LUA_TSTRING:
+      return Buffer.from(lua.lua_tostring(L, index)).toString("utf8");
+    case lua.LUA_TLIGHTUSERDATA:
+      if (lua.lua_touserdata(L, index) === JSON_NULL) return null;
+      break;
+    case lua.LUA_TTABLE: {
+      // Like cjson: positive integer keys only → array, anything else (the empty table too) → object.
+      const entries = [];
+      lua.lua_pushnil(L);
+      while (lua.lua_next(L, index) !== 0) {
+        const key =
+          lua.lua_type(L, -2) === lua.LUA_TNUMBER ? lua.lua_tonumber(L, -2) : Buffer.from(lua.lua_tostring(L, -2)).toString("utf8");
+        entries.push([key, luaToJson(L, -1, depth + 1)]);
+        lua.lua_pop(L, 1);
+      }
+      const isArray = entries.length > 0 && entries.every(([key]) => Number.isInteger(key) && key > 0);
+      if (!isArray) return Object.fromEntries(entries.map(([key, value]) => [String(key), value]));
+      const array = new Array(Math.max(...entries.map(([key]) => key))).fill(null);
+      for (const [key, value] of entries) array[key - 1] = value;
+      return array;
+    }
+  }
+  throw new Error(`Cannot serialise ${fromLua(lua.lua_typename(L, lua.lua_type(L, index)))}: type not supported`);
+}
+
+function pushJson(L, value) {
+  if (value === null) lua.lua_pushlightuserdata(L, JSON_NULL);
+  else if (typeof value === "boolean") lua.lua_pushboolean(L, value);
+  else if (typeof value === "number") pushNumber(L, value);
+  else if (typeof value === "string") lua.lua_pushstring(L, Uint8Array.from(Buffer.from(value, "utf8")));
+  else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, i) => {
+      pushJson(L, item);
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+  } else {
+    lua.lua_createtable(L, 0, Object.keys(value).length);
+    for (const [key, item] of Object.entries(value)) {
+      pushJson(L, item);
+      lua.lua_setfield(L, -2, Uint8Array.from(Buffer.from(key, "utf8")));
+    }
+  }
+}
+
+class Scripting {
+  constructor(server) {
+    this.server = server;
+    this.scripts = new Map(); // sha1 -> registry reference of the compiled chunk
+    this.connection = null; // whose script is running
+    const L = (this.L = lauxlib.luaL_newstate());
+    lualib.luaL_openlibs(L);
+    // Redis's sandbox has no file, OS or module access.
+    for (const name of ["io", "os", "package", "debug", "require", "dofile", "loadfile"]) {
+      lua.lua_pushnil(L);
+      lua.lua_setglobal(L, toLua(name));
+    }
+    lauxlib.luaL_dostring(L, toLua(FLOAT_TONUMBER));
+
+    this.library("redis", {
+      call: (L) => this.call(L, true),
+      pcall: (L) => this.call(L, false),
+      status_reply: (L) => (pushTable(L, "ok", fromLua(lauxlib.luaL_checkstring(L, 1))), 1),
+      error_reply: (L) => (pushTable(L, "err", fromLua(lauxlib.luaL_checkstring(L, 1))), 1),
+      sha1hex: (L) => (lua.lua_pushstring(L, toLua(sha1(fromLua(lauxlib.luaL_checkstring(L, 1))))), 1),
+      log: () => 0,
+    });
+    this.library("cjson", {
+      encode: (L) => {
+        lauxlib.luaL_checkany(L, 1);
+        let json;
+        try {
+          json = JSON.stringify(luaToJson(L, 1));
+        } catch (err) {
+          return raise(L, err.message);
+        }
+        lua.lua_pushstring(L, Uint8Array.from(Buffer.from(json, "utf8")));
+        return 1;
+      },
+      decode: (L) => {
+        let value;
+        try {
+          value = JSON.parse(Buffer.from(lauxlib.luaL_checkstring(L, 1)).toString("utf8"));
+        } catch (err) {
+          return raise(L, `Expected value but found invalid token: ${err.message}`);
+        }
+        pushJson(L, value);
+        return 1;
+      },
+    });
+    lua.lua_getglobal(L, toLua("cjson"));
+    lua.lua_pushlightuserdata(L, JSON_NULL);
+    lua.lua_setfield(L, -2, toLua("null"));
+    lua.lua_pop(L, 1);
+  }
+
+  // A global table of JS functions.
+  library(name, functions) {
+    const L = this.L;
+    lua.lua_createtable(L, 0, Object.keys(functions).length);
+    for (const [field, fn] of Object.entries(functions)) {
+      lua.lua_pushjsfunction(L, fn);
+      lua.lua_setfield(L, -2, toLua(field));
+    }
+    lua.lua_setglobal(L, toLua(name));
+  }
+
+  // redis.call / redis.pcall: runs a command for the script's connection.
+  call(L, raising) {
+    const args = [];
+    for (let i = 1; i <= lua.lua_gettop(L); i++) {
+      const type = lua.lua_type(L, i);
+      if (type === lua.LUA_TNUMBER) args.push(luaNumberString(lua.lua_tonumber(L, i)));
+      else if (type === lua.LUA_TSTRING) args.push(fromLua(lua.lua_tostring(L, i)));
+      else return raise(L, "Lua redis lib command arguments must be strings or integers");
+    }
+    if (args.length === 0) return raise(L, "Please specify at least one argument for this redis lib call");
+
+    const name = args[0].toLowerCase();
+    let reply;
+    try {
+      if (!COMMANDS[name] || SCRIPT_FORBIDDEN.has(name)) throw new ReplyError("ERR Unknown Redis command called from script");
+      reply = COMMANDS[name].call(this.server, this.connection, ...args.slice(1));
+    } catch (err) {
+      reply = err instanceof ReplyError ? err : new ReplyError(`ERR ${err.message}`);
+    }
+    pushReply(L, reply);
+    // redis.call raises the error table; redis.pcall hands it back.
+    return raising && reply instanceof ReplyError ? lua.lua_error(L) : 1;
+  }
+
+  // Compiles a script (once) and returns its SHA1.
+  load(source) {
+    const sha = sha1(source);
+    if (this.scripts.has(sha)) return sha;
+    const L = this.L;
+    if (lauxlib.luaL_loadbuffer(L, toLua(source), null, SCRIPT_CHUNK) !== lua.LUA_OK) {
+      const message = fromLua(lua.lua_tostring(L, -1));
+      lua.lua_pop(L, 1);
+      throw new ReplyError(`ERR Error compiling script (new function): ${message}`);
+    }
+    this.scripts.set(sha, lauxlib.luaL_ref(L, lua.LUA_REGISTRYINDEX));
+    return sha;
+  }
+
+  flush() {
+    for (const ref of this.scripts.values()) lauxlib.luaL_unref(this.L, lua.LUA_REGISTRYINDEX, ref);
+    this.scripts.clear();
+  }
+
+  // Runs a loaded script. Nothing else runs meanwhile, and blocking commands don't block, as in Redis.
+  run(connection, sha, numkeys, rest) {
+    const count = int(numkeys);
+    if (count < 0) throw new ReplyError("ERR Number of keys can't be negative");
+    if (count > rest.length) throw new ReplyError("ERR Number of keys can't be greater than number of args");
+    if (!this.scripts.has(sha)) throw new ReplyError("NOSCRIPT No matching script. Please use EVAL.");
+
+    const L = this.L;
+    this.setArray("KEYS", rest.slice(0, count));
+    this.setArray("ARGV", rest.slice(count));
+    lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, this.scripts.get(sha));
+    const inExec = connection.inExec;
+    this.connection = connection;
+    connection.inExec = true;
+    try {
+      if (lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+        const error = toReply(L, -1);
+        throw error instanceof ReplyError ? error : new ReplyError(`ERR Error running script (call to f_${sha}): ${error}`);
+      }
+      return toReply(L, -1);
+    } finally {
+      lua.lua_settop(L, 0);
+      connection.inExec = inExec;
+      this.connection = null;
+    }
+  }
+
+  setArray(name, values) {
+    pushReply(this.L, values);
+    lua.lua_setglobal(this.L, toLua(name));
+  }
+}
+
+function sha1(source) {
+  return createHash("sha1").update(Buffer.from(source, ENCODING)).digest("hex");
+}
+
+/* ---------- commands ---------- */
+// Called with `this` = the FakeRedis and the connection first; arguments are strings.
+
+function sortedZset(zset) {
+  return [...zset].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+}
+
+function withScores(members, scores) {
+  return scores ? members.flatMap(([member, score]) => [member, formatFloat(score)]) : members.map(([member]) => member);
+}
+
+function popList(list, left) {
+  return left ? list.shift() : list.pop();
+}
+
+function pushList(list, left, value) {
+  if (left) list.unshift(value);
+  else list.push(value);
+}
+
+function side(value) {
+  const upper = value.toUpperCase();
+  if (upper !== "LEFT" && upper !== "RIGHT") throw new ReplyError(SYNTAX);
+  return upper === "LEFT";
+}
+
+// Parses trailing `NAME value` / `FLAG` options of a command.
+function options(args, { flags = [], values = [] }) {
+  const result = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].toUpperCase();
+    if (flags.includes(name)) result[name] = true;
+    else if (values.includes(name) && i + 1 < args.length) result[name] = args[++i];
+    else throw new ReplyError(SYNTAX);
+  }
+  return result;
+}
+
+function expireAtFromTtl(mode, value) {
+  const amount = int(value);
+  if (amount <= 0 && (mode === "EX" || mode === "PX")) throw new ReplyError("ERR invalid expire time in 'set' command");
+  if (mode === "EX") return Date.now() + amount * 1000;
+  if (mode === "PX") return Date.now() + amount;
+  if (mode === "EXAT") return amount * 1000;
+  return amount; // PXAT
+}
+
+// EXPIRE & co: sets the expiry if the NX/XX/GT/LT condition allows it.
+function expire(key, at, mode) {
+  const entry = this.entry(key);
+  if (!entry) return 0;
+  const current = entry.expiresAt;
+  const upper = mode?.toUpperCase();
+  if (upper === "NX" && current !== null) return 0;
+  if (upper === "XX" && current === null) return 0;
+  if (upper === "GT" && (current === null || at <= current)) return 0;
+  if (upper === "LT" && current !== null && at >= current) return 0;
+  if (at <= Date.now()) {
+    this.delete(key);
+    return 1;
+  }
+  entry.expiresAt = at;
+  this.touch(key);
+  return 1;
+}
+
+function incrBy(key, by) {
+  const current = this.read(key, "string");
+  const value = current === undefined ? 0 : Number(current);
+  if (!/^-?\d+$/.test(current ?? "0") || !Number.isSafeInteger(value + by)) throw new ReplyError(NOT_INTEGER);
+  const entry = this.entry(key);
+  this.set(key, "string", String(value + by), entry?.expiresAt ?? null);
+  return value + by;
+}
+
+function setOperation(keys, operation) {
+  const sets = keys.map((key) => this.read(key, "set") ?? new Set());
+  if (operation === "union") return new Set(sets.flatMap((set) => [...set]));
+  const [first, ...rest] = sets;
+  if (operation === "inter") return new Set([...first].filter((member) => rest.every((set) => set.has(member))));
+  return new Set([...first].filter((member) => !rest.some((set) => set.has(member))));
+}
+
+function storeSet(destination, members) {
+  this.delete(destination);
+  if (members.size > 0) this.set(destination, "set", members);
+  return members.size;
+}
+
+function zadd(key, args) {
+  const flags = {};
+  let i = 0;
+  for (; i < args.length; i++) {
+    const upper = args[i].toUpperCase();
+    if (!["NX", "XX", "GT", "LT", "CH", "INCR"].includes(upper)) break;
+    flags[upper] = true;
+  }
+  const pairs = args.slice(i);
+  if (pairs.length === 0 || pairs.length % 2 !== 0) throw new ReplyError(SYNTAX);
+  const zset = this.write(key, "zset", () => new Map());
+  let changed = 0;
+  let result = null;
+  for (let j = 0; j < pairs.length; j += 2) {
+    const member = pairs[j + 1];
+    const exists = zset.has(member);
+    let score = float(pairs[j]);
+    if (flags.INCR) score += zset.get(member) ?? 0;
+    if ((flags.NX && exists) || (flags.XX && !exists)) continue;
+    if (exists && flags.GT && score <= zset.get(member)) continue;
+    if (exists && flags.LT && score >= zset.get(member)) continue;
+    if (!exists || zset.get(member) !== score) changed += !exists || flags.CH ? 1 : 0;
+    zset.set(member, score);
+    result = score;
+  }
+  this.dropIfEmpty(key);
+  this.touch(key);
+  if (flags.INCR) return result === null ? null : formatFloat(result);
+  return changed;
+}
+
+function zrange(key, start, stop, rest, { rev = false, byScore = false } = {}) {
+  let scores = false;
+  let limit = null;
+  for (let i = 0; i < rest.length; i++) {
+    const upper = rest[i].toUpperCase();
+    if (upper === "WITHSCORES") scores = true;
+    else if (upper === "REV") rev = true;
+    else if (upper === "BYSCORE") byScore = true;
+    else if (upper === "LIMIT" && i + 2 < rest.length) {
+      limit = [int(rest[i + 1]), int(rest[i + 2])];
+      i += 2;
+    } else throw new ReplyError(SYNTAX);
+  }
+  const zset = this.read(key, "zset");
+  if (!zset) return [];
+  let members = sortedZset(zset);
+  if (rev) members.reverse();
+
+  if (byScore) {
+    // With REV the bounds come max first.
+    const [min, max] = rev ? [scoreBound(stop), scoreBound(start)] : [scoreBound(start), scoreBound(stop)];
+    members = members.filter(([, score]) => inRange(score, min, max));
+  } else {
+    const range = rangeIndexes(int(start), int(stop), members.length);
+    members = range ? members.slice(range[0], range[1] + 1) : [];
+  }
+  if (limit) members = members.slice(limit[0], limit[1] < 0 ? undefined : limit[0] + limit[1]);
+  return withScores(members, scores);
+}
+
+function zpop(key, count, max) {
+  const zset = this.read(key, "zset");
+  if (!zset) return [];
+  const members = sortedZset(zset);
+  if (max) members.reverse();
+  const popped = members.slice(0, count === undefined ? 1 : int(count));
+  for (const [member] of popped) zset.delete(member);
+  this.dropIfEmpty(key);
+  if (popped.length > 0) this.touch(key);
+  return withScores(popped, true);
+}
+
+function zrank(key, member, rev) {
+  const zset = this.read(key, "zset");
+  if (!zset?.has(member)) return null;
+  const members = sortedZset(zset).map(([m]) => m);
+  if (rev) members.reverse();
+  return members.indexOf(member);
+}
+
+function blockingPop(connection, args, left) {
+  const keys = args.slice(0, -1);
+  const timeout = float(args[args.length - 1]) * 1000;
+  return this.block(
+    connection,
+    keys,
+    timeout,
+    () => {
+      for (const key of keys) {
+        const list = this.read(key, "list");
+        if (list?.length) {
+          const value = popList(list, left);
+          this.dropIfEmpty(key);
+          this.touch(key);
+          return [key, value];
+        }
+      }
+      return undefined;
+    },
+    NULL_ARRAY
+  );
+}
+
+function lmove(source, destination, fromLeft, toLeft) {
+  const list = this.read(source, "list");
+  if (!list?.length) return undefined;
+  if (this.entry(destination) && this.entry(destination).type !== "list") throw new ReplyError(WRONGTYPE);
+  const value = popList(list, fromLeft);
+  this.dropIfEmpty(source);
+  pushList(this.write(destination, "list", () => []), toLeft, value);
+  this.touch(source);
+  this.touch(destination);
+  return value;
+}
+
+/* ----- streams ----- */
+
+function newStream() {
+  return { entries: [], lastId: [0, 0], groups: new Map() };
+}
+
+function streamGroup(key, name) {
+  const stream = this.read(key, "stream");
+  const group = stream?.groups.get(name);
+  if (!group) throw new ReplyError(`NOGROUP No such key '${key}' or consumer group '${name}'`);
+  return { stream, group };
+}
+
+function trimStream(stream, strategy, threshold) {
+  let removed = 0;
+  if (strategy === "MAXLEN") {
+    removed = Math.max(stream.entries.length - threshold, 0);
+    stream.entries.splice(0, removed);
+  } else {
+    const min = parseId(threshold);
+    while (stream.entries.length > 0 && compareIds(stream.entries[0].id, min) < 0) {
+      stream.entries.shift();
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Parses [MAXLEN|MINID [=|~] threshold [LIMIT n]] starting at args[i]; returns the next index.
+function parseTrim(args, i, trim) {
+  trim.strategy = args[i].toUpperCase();
+  i++;
+  if (args[i] === "=" || args[i] === "~") i++;
+  trim.threshold = trim.strategy === "MAXLEN" ? int(args[i]) : args[i];
+  i++;
+  if (args[i]?.toUpperCase() === "LIMIT") i += 2;
+  return i;
+}
+
+function streamRange(stream, start, end, count) {
+  const entries = stream.entries.filter((entry) => compareIds(entry.id, start) >= 0 && compareIds(entry.id, end) <= 0);
+  return count === undefined ? entries : entries.slice(0, count);
+}
+
+function readStreams(keys, ids, count) {
+  const result = [];
+  keys.forEach((key, index) => {
+    const stream = this.read(key, "stream");
+    if (!stream) return;
+    const after = ids[index];
+    const entries = stream.entries.filter((entry) => compareIds(entry.id, after) > 0);
+    if (entries.length > 0) result.push([key, entries.slice(0, count ?? entries.length).map(entryReply)]);
+  });
+  return result.length > 0 ? result : undefined;
+}
+
+function deliver(group, consumer, entry) {
+  group.pending.set(formatId(entry.id), { id: entry.id, consumer, deliveredAt: Date.now(), count: 1 });
+  group.consumers.set(consumer, Date.now());
+}
+
+const COMMANDS = {
+  /* ----- connection ----- */
+  ping(connection, message) {
+    if (connection.subscribed) return ["pong", message ?? ""];
+    return message === undefined ? new Simple("PONG") : message;
+  },
+  echo: (connection, message) => message,
+  quit: () => OK,
+  select(connection, db) {
+    if (int(db) !== 0) throw new ReplyError("ERR DB index is out of range");
+    return OK;
+  },
+  client(connection, subcommand) {
+    const upper = subcommand?.toUpperCase();
+    if (upper === "GETNAME") return connection.name ?? null;
+    if (upper === "SETNAME") connection.name = arguments[2];
+    if (upper === "ID") return 1;
+    return OK;
+  },
+  hello() {
+    throw new ReplyError("NOPROTO this server only speaks RESP2");
+  },
+  info: () =>
+    ["# Server", "redis_version:7.2.0", "redis_mode:standalone", "# Persistence", "loading:0", ""].join("\r\n"),
+  time() {
+    const now = Date.now();
+    return [String(Math.floor(now / 1000)), String((now % 1000) * 1000)];
+  },
+  dbsize() {
+    return this.liveKeys().length;
+  },
+  flushdb() {
+    for (const key of this.liveKeys()) this.delete(key);
+    this.db.clear();
+    return OK;
+  },
+  flushall(connection) {
+    return COMMANDS.flushdb.call(this, connection);
+  },
+
+  /* ----- scripting ----- */
+  eval(connection, source, numkeys, ...rest) {
+    return this.scripting.run(connection, this.scripting.load(source), numkeys, rest);
+  },
+  evalsha(connection, sha, numkeys, ...rest) {
+    return this.scripting.run(connection, sha.toLowerCase(), numkeys, rest);
+  },
+  eval_ro(connection, ...args) {
+    return COMMANDS.eval.call(this, connection, ...args);
+  },
+  evalsha_ro(connection, ...args) {
+    return COMMANDS.evalsha.call(this, connection, ...args);
+  },
+  script(connection, subcommand, ...args) {
+    switch (subcommand?.toUpperCase()) {
+      case "LOAD":
+        return this.scripting.load(args[0]);
+      case "EXISTS":
+        return args.map((sha) => (this.scripting.scripts.has(sha.toLowerCase()) ? 1 : 0));
+      case "FLUSH":
+        this.scripting.flush();
+        return OK;
+      default:
+        throw new ReplyError(`ERR unknown subcommand '${subcommand}'. Try SCRIPT HELP.`);
+    }
+  },
+
+  /* ----- keys ----- */
+  del(connection, ...keys) {
+    return keys.filter((key) => this.delete(key)).length;
+  },
+  unlink(connection, ...keys) {
+    return COMMANDS.del.call(this, connection, ...keys);
+  },
+  exists(connection, ...keys) {
+    return keys.filter((key) => this.entry(key) !== undefined).length;
+  },
+  type(connection, key) {
+    return new Simple(this.entry(key)?.type ?? "none");
+  },
+  expire(connection, key, seconds, mode) {
+    return expire.call(this, key, Date.now() + int(seconds) * 1000, mode);
+  },
+  pexpire(connection, key, ms, mode) {
+    return expire.call(this, key, Date.now() + int(ms), mode);
+  },
+  expireat(connection, key, seconds, mode) {
+    return expire.call(this, key, int(seconds) * 1000, mode);
+  },
+  pexpireat(connection, key, ms, mode) {
+    return expire.call(this, key, int(ms), mode);
+  },
+  ttl(connection, key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  },
+  pttl(connection, key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  },
+  persist(connection, key) {
+    const entry = this.entry(key);
+    if (!entry || entry.expiresAt === null) return 0;
+    entry.expiresAt = null;
+    this.touch(key);
+    return 1;
+  },
+  keys(connection, pattern) {
+    const regex = globToRegExp(pattern);
+    return this.liveKeys().filter((key) => regex.test(key));
+  },
+  scan(connection, cursor, ...rest) {
+    const { MATCH, COUNT, TYPE } = options(rest, { values: ["MATCH", "COUNT", "TYPE"] });
+    const keys = this.liveKeys().sort();
+    const start = int(cursor);
+    const end = start + (COUNT ? int(COUNT) : 10);
+    const regex = MATCH ? globToRegExp(MATCH) : null;
+    const page = keys
+      .slice(start, end)
+      .filter((key) => (!regex || regex.test(key)) && (!TYPE || this.entry(key).type === TYPE.toLowerCase()));
+    return [String(end >= keys.length ? 0 : end), page];
+  },
+  rename(connection, key, newKey) {
+    const entry = this.entry(key);
+    if (!entry) throw new ReplyError("ERR no such key");
+    this.db.delete(key);
+    this.touch(key);
+    this.set(newKey, entry.type, entry.value, entry.expiresAt);
+    return OK;
+  },
+
+  /* ----- strings ----- */
+  get(connection, key) {
+    return this.read(key, "string") ?? null;
+  },
+  set(connection, key, value, ...rest) {
+    let mode = null;
+    let expiresAt = null;
+    let keepTtl = false;
+    let get = false;
+    for (let i = 0; i < rest.length; i++) {
+      const upper = rest[i].toUpperCase();
+      if (upper === "NX" || upper === "XX") mode = upper;
+      else if (upper === "KEEPTTL") keepTtl = true;
+      else if (upper === "GET") get = true;
+      else if (["EX", "PX", "EXAT", "PXAT"].includes(upper) && i + 1 < rest.length) {
+        expiresAt = expireAtFromTtl(upper, rest[++i]);
+      } else throw new ReplyError(SYNTAX);
+    }
+    const entry = this.entry(key);
+    const previous = get ? this.read(key, "string") ?? null : undefined;
+    if ((mode === "NX" && entry) || (mode === "XX" && !entry)) return get ? previous : null;
+    this.set(key, "string", value, keepTtl ? entry?.expiresAt ?? null : expiresAt);
+    return get ? previous : OK;
+  },
+  setnx(connection, key, value) {
+    return COMMANDS.set.call(this, connection, key, value, "NX") === OK ? 1 : 0;
+  },
+  setex(connection, key, seconds, value) {
+    return COMMANDS.set.call(this, connection, key, value, "EX", seconds);
+  },
+  psetex(connection, key, ms, value) {
+    return COMMANDS.set.call(this, connection, key, value, "PX", ms);
+  },
+  getdel(connection, key) {
+    const value = this.read(key, "string") ?? null;
+    if (value !== null) this.delete(key);
+    return value;
+  },
+  mget(connection, ...keys) {
+    return keys.map((key) => {
+      const entry = this.entry(key);
+      return entry?.type === "string" ? entry.value : null;
+    });
+  },
+  mset(connection, ...pairs) {
+    if (pairs.length === 0 || pairs.length % 2 !== 0) throw new ReplyError("ERR wrong number of arguments for 'mset' command");
+    for (let i = 0; i < pairs.length; i += 2) this.set(pairs[i], "string", pairs[i + 1]);
+    return OK;
+  },
+  incr(connection, key) {
+    return incrBy.call(this, key, 1);
+  },
+  incrby(connection, key, by) {
+    return incrBy.call(this, key, int(by));
+  },
+  decr(connection, key) {
+    return incrBy.call(this, key, -1);
+  },
+  decrby(connection, key, by) {
+    return incrBy.call(this, key, -int(by));
+  },
+  incrbyfloat(connection, key, by) {
+    const current = this.read(key, "string");
+    const value = (current === undefined ? 0 : float(current)) + float(by);
+    this.set(key, "string", formatFloat(value), this.entry(key)?.expiresAt ?? null);
+    return formatFloat(value);
+  },
+  append(connection, key, suffix) {
+    const value = (this.read(key, "string") ?? "") + suffix;
+    this.set(key, "string", value, this.entry(key)?.expiresAt ?? null);
+    return value.length;
+  },
+  strlen(connection, key) {
+    return (this.read(key, "string") ?? "").length;
+  },
+
+  /* ----- hashes ----- */
+  hset(connection, key, ...pairs) {
+    if (pairs.length === 0 || pairs.length % 2 !== 0) throw new ReplyError("ERR wrong number of arguments for 'hset' command");
+    const hash = this.write(key, "hash", () => new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) added++;
+      hash.set(pairs[i], pairs[i + 1]);
+    }
+    this.touch(key);
+    return added;
+  },
+  hmset(connection, key, ...pairs) {
+    COMMANDS.hset.call(this, connection, key, ...pairs);
+    return OK;
+  },
+  hsetnx(connection, key, field, value) {
+    if (this.read(key, "hash")?.has(field)) return 0;
+    return COMMANDS.hset.call(this, connection, key, field, value);
+  },
+  hget(connection, key, field) {
+    return this.read(key, "hash")?.get(field) ?? null;
+  },
+  hmget(connection, key, ...fields) {
+    const hash = this.read(key, "hash");
+    return fields.map((field) => hash?.get(field) ?? null);
+  },
+  hgetall(connection, key) {
+    return [...(this.read(key, "hash") ?? [])].flat();
+  },
+  hkeys(connection, key) {
+    return [...(this.read(key, "hash")?.keys() ?? [])];
+  },
+  hvals(connection, key) {
+    return [...(this.read(key, "hash")?.values() ?? [])];
+  },
+  hexists(connection, key, field) {
+    return this.read(key, "hash")?.has(field) ? 1 : 0;
+  },
+  hlen(connection, key) {
+    return this.read(key, "hash")?.size ?? 0;
+  },
+  hdel(connection, key, ...fields) {
+    const hash = this.read(key, "hash");
+    if (!hash) return 0;
+    const removed = fields.filter((field) => hash.delete(field)).length;
+    this.dropIfEmpty(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  },
+  hincrby(connection, key, field, by) {
+    const hash = this.write(key, "hash", () => new Map());
+    const current = hash.get(field) ?? "0";
+    if (!/^-?\d+$/.test(current)) throw new ReplyError("ERR hash value is not an integer");
+    const value = Number(current) + int(by);
+    hash.set(field, String(value));
+    this.touch(key);
+    return value;
+  },
+  hincrbyfloat(connection, key, field, by) {
+    const hash = this.write(key, "hash", () => new Map());
+    const value = float(hash.get(field) ?? "0") + float(by);
+    hash.set(field, formatFloat(value));
+    this.touch(key);
+    return formatFloat(value);
+  },
+
+  /* ----- lists ----- */
+  lpush(connection, key, ...values) {
+    const list = this.write(key, "list", () => []);
+    for (const value of values) list.unshift(value);
+    this.touch(key);
+    return list.length;
+  },
+  rpush(connection, key, ...values) {
+    const list = this.write(key, "list", () => []);
+    list.push(...values);
+    this.touch(key);
+    return list.length;
+  },
+  lpop(connection, key, count) {
+    return COMMANDS.rpop.call(this, connection, key, count, true);
+  },
+  rpop(connection, key, count, left = false) {
+    const list = this.read(key, "list");
+    if (!list) return count === undefined ? null : NULL_ARRAY;
+    const popped = [];
+    for (let i = 0; i < (count === undefined ? 1 : int(count)) && list.length > 0; i++) popped.push(popList(list, left));
+    this.dropIfEmpty(key);
+    this.touch(key);
+    return count === undefined ? popped[0] : popped;
+  },
+  llen(connection, key) {
+    return this.read(key, "list")?.length ?? 0;
+  },
+  lindex(connection, key, index) {
+    const list = this.read(key, "list") ?? [];
+    const i = int(index);
+    return list[i < 0 ? list.length + i : i] ?? null;
+  },
+  lrange(connection, key, start, stop) {
+    const list = this.read(key, "list") ?? [];
+    const range = rangeIndexes(int(start), int(stop), list.length);
+    return range ? list.slice(range[0], range[1] + 1) : [];
+  },
+  lset(connection, key, index, value) {
+    const list = this.read(key, "list");
+    if (!list) throw new ReplyError("ERR no such key");
+    const i = int(index) < 0 ? list.length + int(index) : int(index);
+    if (i < 0 || i >= list.length) throw new ReplyError("ERR index out of range");
+    list[i] = value;
+    this.touch(key);
+    return OK;
+  },
+  ltrim(connection, key, start, stop) {
+    const list = this.read(key, "list");
+    if (!list) return OK;
+    const range = rangeIndexes(int(start), int(stop), list.length);
+    const kept = range ? list.slice(range[0], range[1] + 1) : [];
+    list.splice(0, list.length, ...kept);
+    this.dropIfEmpty(key);
+    this.touch(key);
+    return OK;
+  },
+  lrem(connection, key, count, value) {
+    const list = this.read(key, "list");
+    if (!list) return 0;
+    let limit = int(count);
+    const fromTail = limit < 0;
+    limit = Math.abs(limit) || Infinity;
+    let removed = 0;
+    const indexes = [...list.keys()];
+    if (fromTail) indexes.reverse();
+    const drop = new Set();
+    for (const i of indexes) {
+      if (removed >= limit) break;
+      if (list[i] === value) {
+        drop.add(i);
+        removed++;
+      }
+    }
+    const kept = list.filter((_, i) => !drop.has(i));
+    list.splice(0, list.length, ...kept);
+    this.dropIfEmpty(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  },
+  lmove(connection, source, destination, from, to) {
+    return lmove.call(this, source, destination, side(from), side(to)) ?? null;
+  },
+  rpoplpush(connection, source, destination) {
+    return lmove.call(this, source, destination, false, true) ?? null;
+  },
+  blmove(connection, source, destination, from, to, timeout) {
+    const [fromLeft, toLeft] = [side(from), side(to)];
+    return this.block(connection, [source], float(timeout) * 1000, () => lmove.call(this, source, destination, fromLeft, toLeft), null);
+  },
+  brpoplpush(connection, source, destination, timeout) {
+    return COMMANDS.blmove.call(this, connection, source, destination, "RIGHT", "LEFT", timeout);
+  },
+  blpop(connection, ...args) {
+    return blockingPop.call(this, connection, args, true);
+  },
+  brpop(connection, ...args) {
+    return blockingPop.call(this, connection, args, false);
+  },
+
+  /* ----- sets ----- */
+  sadd(connection, key, ...members) {
+    const set = this.write(key, "set", () => new Set());
+    const before = set.size;
+    members.forEach((member) => set.add(member));
+    this.touch(key);
+    return set.size - before;
+  },
+  srem(connection, key, ...members) {
+    const set = this.read(key, "set");
+    if (!set) return 0;
+    const removed = members.filter((member) => set.delete(member)).length;
+    this.dropIfEmpty(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  },
+  smembers(connection, key) {
+    return [...(this.read(key, "set") ?? [])];
+  },
+  sismember(connection, key, member) {
+    return this.read(key, "set")?.has(member) ? 1 : 0;
+  },
+  smismember(connection, key, ...members) {
+    const set = this.read(key, "set");
+    return members.map((member) => (set?.has(member) ? 1 : 0));
+  },
+  scard(connection, key) {
+    return this.read(key, "set")?.size ?? 0;
+  },
+  sunion(connection, ...keys) {
+    return [...setOperation.call(this, keys, "union")];
+  },
+  sinter(connection, ...keys) {
+    return [...setOperation.call(this, keys, "inter")];
+  },
+  sdiff(connection, ...keys) {
+    return [...setOperation.call(this, keys, "diff")];
+  },
+  sunionstore(connection, destination, ...keys) {
+    return storeSet.call(this, destination, setOperation.call(this, keys, "union"));
+  },
+  sinterstore(connection, destination, ...keys) {
+    return storeSet.call(this, destination, setOperation.call(this, keys, "inter"));
+  },
+  sdiffstore(connection, destination, ...keys) {
+    return storeSet.call(this, destination, setOperation.call(this, keys, "diff"));
+  },
+  srandmember(connection, key, count) {
+    const members = [...(this.read(key, "set") ?? [])];
+    if (count === undefined) return members.length ? members[Math.floor(Math.random() * members.length)] : null;
+    const n = int(count);
+    if (n < 0) return Array.from({ length: -n }, () => members[Math.floor(Math.random() * members.length)]).filter(Boolean);
+    return members.sort(() => Math.random() - 0.5).slice(0, n);
+  },
+  spop(connection, key, count) {
+    const set = this.read(key, "set");
+    if (!set) return count === undefined ? null : [];
+    const popped = [...set].sort(() => Math.random() - 0.5).slice(0, count === undefined ? 1 : int(count));
+    popped.forEach((member) => set.delete(member));
+    this.dropIfEmpty(key);
+    this.touch(key);
+    return count === undefined ? popped[0] : popped;
+  },
+  smove(connection, source, destination, member) {
+    const set = this.read(source, "set");
+    if (!set?.delete(member)) return 0;
+    this.dropIfEmpty(source);
+    this.touch(source);
+    this.write(destination, "set", () => new Set()).add(member);
+    this.touch(destination);
+    return 1;
+  },
+
+  /* ----- sorted sets ----- */
+  zadd(connection, key, ...args) {
+    return zadd.call(this, key, args);
+  },
+  zincrby(connection, key, by, member) {
+    return zadd.call(this, key, ["INCR", by, member]);
+  },
+  zscore(connection, key, member) {
+    const score = this.read(key, "zset")?.get(member);
+    return score === undefined ? null : formatFloat(score);
+  },
+  zmscore(connection, key, ...members) {
+    const zset = this.read(key, "zset");
+    return members.map((member) => (zset?.has(member) ? formatFloat(zset.get(member)) : null));
+  },
+  zcard(connection, key) {
+    return this.read(key, "zset")?.size ?? 0;
+  },
+  zcount(connection, key, min, max) {
+    const [low, high] = [scoreBound(min), scoreBound(max)];
+    return [...(this.read(key, "zset")?.values() ?? [])].filter((score) => inRange(score, low, high)).length;
+  },
+  zrank(connection, key, member) {
+    return zrank.call(this, key, member, false);
+  },
+  zrevrank(connection, key, member) {
+    return zrank.call(this, key, member, true);
+  },
+  zrange(connection, key, start, stop, ...rest) {
+    return zrange.call(this, key, start, stop, rest);
+  },
+  zrevrange(connection, key, start, stop, ...rest) {
+    return zrange.call(this, key, start, stop, rest, { rev: true });
+  },
+  zrangebyscore(connection, key, min, max, ...rest) {
+    return zrange.call(this, key, min, max, rest, { byScore: true });
+  },
+  zrevrangebyscore(connection, key, max, min, ...rest) {
+    return zrange.call(this, key, max, min, rest, { byScore: true, rev: true });
+  },
+  zrem(connection, key, ...members) {
+    const zset = this.read(key, "zset");
+    if (!zset) return 0;
+    const removed = members.filter((member) => zset.delete(member)).length;
+    this.dropIfEmpty(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  },
+  zremrangebyscore(connection, key, min, max) {
+    const zset = this.read(key, "zset");
+    if (!zset) return 0;
+    const [low, high] = [scoreBound(min), scoreBound(max)];
+    const doomed = [...zset].filter(([, score]) => inRange(score, low, high));
+    doomed.forEach(([member]) => zset.delete(member));
+    this.dropIfEmpty(key);
+    if (doomed.length > 0) this.touch(key);
+    return doomed.length;
+  },
+  zremrangebyrank(connection, key, start, stop) {
+    const zset = this.read(key, "zset");
+    if (!zset) return 0;
+    const members = sortedZset(zset);
+    const range = rangeIndexes(int(start), int(stop), members.length);
+    const doomed = range ? members.slice(range[0], range[1] + 1) : [];
+    doomed.forEach(([member]) => zset.delete(member));
+    this.dropIfEmpty(key);
+    if (doomed.length > 0) this.touch(key);
+    return doomed.length;
+  },
+  zpopmin(connection, key, count) {
+    return zpop.call(this, key, count, false);
+  },
+  zpopmax(connection, key, count) {
+    return zpop.call(this, key, count, true);
+  },
+
+  /* ----- streams ----- */
+  xadd(connection, key, ...args) {
+    let i = 0;
+    let noMkStream = false;
+    const trim = {};
+    while (i < args.length) {
+      const upper = args[i].toUpperCase();
+      if (upper === "NOMKSTREAM") {
+        noMkStream = true;
+        i++;
+      } else if (upper === "MAXLEN" || upper === "MINID") i = parseTrim(args, i, trim);
+      else break;
+    }
+    const [idArg, ...fields] = args.slice(i);
+    if (fields.length === 0 || fields.length % 2 !== 0) throw new ReplyError("ERR wrong number of arguments for 'xadd' command");
+    if (noMkStream && !this.read(key, "stream")) return null;
+    const stream = this.write(key, "stream", newStream);
+
+    let id;
+    if (idArg === "*") {
+      const now = Date.now();
+      id = now > stream.lastId[0] ? [now, 0] : [stream.lastId[0], stream.lastId[1] + 1];
+    } else if (idArg.endsWith("-*")) {
+      const ms = int(idArg.slice(0, -2));
+      id = ms === stream.lastId[0] ? [ms, stream.lastId[1] + 1] : [ms, 0];
+    } else id = parseId(idArg);
+    if (compareIds(id, stream.lastId) <= 0) {
+      throw new ReplyError("ERR The ID specified in XADD is equal or smaller than the target stream top item");
+    }
+
+    stream.entries.push({ id, fields });
+    stream.lastId = id;
+    if (trim.strategy) trimStream(stream, trim.strategy, trim.threshold);
+    this.touch(key);
+    return formatId(id);
+  },
+  xlen(connection, key) {
+    return this.read(key, "stream")?.entries.length ?? 0;
+  },
+  xrange(connection, key, start, end, countWord, count) {
+    const stream = this.read(key, "stream");
+    if (!stream) return [];
+    return streamRange(stream, rangeId(start, true), rangeId(end, false), count === undefined ? undefined : int(count)).map(
+      entryReply
+    );
+  },
+  xrevrange(connection, key, end, start, countWord, count) {
+    const stream = this.read(key, "stream");
+    if (!stream) return [];
+    const entries = streamRange(stream, rangeId(start, true), rangeId(end, false)).reverse();
+    return (count === undefined ? entries : entries.slice(0, int(count))).map(entryReply);
+  },
+  xdel(connection, key, ...ids) {
+    const stream = this.read(key, "stream");
+    if (!stream) return 0;
+    const doomed = new Set(ids.map((id) => formatId(parseId(id))));
+    const before = stream.entries.length;
+    stream.entries = stream.entries.filter((entry) => !doomed.has(formatId(entry.id)));
+    this.touch(key);
+    return before - stream.entries.length;
+  },
+  xtrim(connection, key, ...args) {
+    const stream = this.read(key, "stream");
+    if (!stream) return 0;
+    const trim = {};
+    parseTrim(args, 0, trim);
+    const removed = trimStream(stream, trim.strategy, trim.threshold);
+    if (removed > 0) this.touch(key);
+    return removed;
+  },
+  xread(connection, ...args) {
+    let count;
+    let block = null;
+    let i = 0;
+    for (; i < args.length; i++) {
+      const upper = args[i].toUpperCase();
+      if (upper === "COUNT") count = int(args[++i]);
+      else if (upper === "BLOCK") block = int(args[++i]);
+      else if (upper === "STREAMS") break;
+      else throw new ReplyError(SYNTAX);
+    }
+    const rest = args.slice(i + 1);
+    const keys = rest.slice(0, rest.length / 2);
+    // "$" means "after whatever is there now", so resolve it before waiting.
+    const ids = rest.slice(rest.length / 2).map((id, index) => {
+      if (id === "$") return this.read(keys[index], "stream")?.lastId ?? [0, 0];
+      return parseId(id);
+    });
+    const attempt = () => readStreams.call(this, keys, ids, count);
+    if (block === null) return attempt() ?? NULL_ARRAY;
+    return this.block(connection, keys, block, attempt, NULL_ARRAY);
+  },
+  xgroup(connection, subcommand, key, group, id, ...rest) {
+    const upper = subcommand.toUpperCase();
+    if (upper === "CREATE") {
+      const mkStream = rest.some((arg) => arg.toUpperCase() === "MKSTREAM");
+      let stream = this.read(key, "stream");
+      if (!stream) {
+        if (!mkStream) throw new ReplyError("ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.");
+        stream = this.write(key, "stream", newStream);
+      }
+      if (stream.groups.has(group)) throw new ReplyError("BUSYGROUP Consumer Group name already exists");
+      const lastId = id === "$" ? stream.lastId : parseId(id);
+      stream.groups.set(group, { lastId, pending: new Map(), consumers: new Map() });
+      this.touch(key);
+      return OK;
+    }
+    if (upper === "DESTROY") {
+      const stream = this.read(key, "stream");
+      return stream?.groups.delete(group) ? 1 : 0;
+    }
+    if (upper === "SETID") {
+      streamGroup.call(this, key, group).group.lastId = id === "$" ? this.read(key, "stream").lastId : parseId(id);
+      return OK;
+    }
+    throw new ReplyError(`ERR unknown subcommand '${subcommand}'`);
+  },
+  xreadgroup(connection, ...args) {
+    if (args[0]?.toUpperCase() !== "GROUP") throw new ReplyError(SYNTAX);
+    const [groupName, consumer] = [args[1], args[2]];
+    let count;
+    let block = null;
+    let noAck = false;
+    let i = 3;
+    for (; i < args.length; i++) {
+      const upper = args[i].toUpperCase();
+      if (upper === "COUNT") count = int(args[++i]);
+      else if (upper === "BLOCK") block = int(args[++i]);
+      else if (upper === "NOACK") noAck = true;
+      else if (upper === "STREAMS") break;
+      else throw new ReplyError(SYNTAX);
+    }
+    const rest = args.slice(i + 1);
+    const keys = rest.slice(0, rest.length / 2);
+    const ids = rest.slice(rest.length / 2);
+    for (const key of keys) streamGroup.call(this, key, groupName).group.consumers.set(consumer, Date.now());
+
+    const attempt = () => {
+      const result = [];
+      keys.forEach((key, index) => {
+        const { stream, group } = streamGroup.call(this, key, groupName);
+        if (ids[index] === ">") {
+          const entries = stream.entries.filter((entry) => compareIds(entry.id, group.lastId) > 0).slice(0, count);
+          if (entries.length === 0) return;
+          group.lastId = entries[entries.length - 1].id;
+          if (!noAck) entries.forEach((entry) => deliver(group, consumer, entry));
+          result.push([key, entries.map(entryReply)]);
+        } else {
+          // History: this consumer's pending entries after the given id (deleted ones come back as nil).
+          const after = parseId(ids[index]);
+          const pending = [...group.pending.values()]
+            .filter((p) => p.consumer === consumer && compareIds(p.id, after) > 0)
+            .sort((a, b) => compareIds(a.id, b.id))
+            .slice(0, count);
+          const byId = new Map(stream.entries.map((entry) => [formatId(entry.id), entry]));
+          result.push([key, pending.map((p) => {
+            const entry = byId.get(formatId(p.id));
+            return entry ? entryReply(entry) : [formatId(p.id), null];
+          })]);
+        }
+      });
+      return result.length > 0 ? result : undefined;
+    };
+    // Only new entries (">") are worth waiting for; history answers straight away.
+    if (block === null || ids.some((id) => id !== ">")) return attempt() ?? NULL_ARRAY;
+    return this.block(connection, keys, block, attempt, NULL_ARRAY);
+  },
+  xack(connection, key, group, ...ids) {
+    const stream = this.read(key, "stream");
+    const pending = stream?.groups.get(group)?.pending;
+    if (!pending) return 0;
+    return ids.filter((id) => pending.delete(formatId(parseId(id)))).length;
+  },
+  xpending(connection, key, groupName, ...args) {
+    const { group } = streamGroup.call(this, key, groupName);
+    const all = [...group.pending.values()].sort((a, b) => compareIds(a.id, b.id));
+    if (args.length === 0) {
+      if (all.length === 0) return [0, null, null, null];
+      const perConsumer = new Map();
+      all.forEach((p) => perConsumer.set(p.consumer, (perConsumer.get(p.consumer) ?? 0) + 1));
+      return [all.length, formatId(all[0].id), formatId(all[all.length - 1].id), [...perConsumer].map(([c, n]) => [c, String(n)])];
+    }
+    let minIdle = 0;
+    if (args[0].toUpperCase() === "IDLE") {
+      minIdle = int(args[1]);
+      args = args.slice(2);
+    }
+    const [start, end, count, consumer] = args;
+    const now = Date.now();
+    return all
+      .filter(
+        (p) =>
+          compareIds(p.id, rangeId(start, true)) >= 0 &&
+          compareIds(p.id, rangeId(end, false)) <= 0 &&
+          now - p.deliveredAt >= minIdle &&
+          (consumer === undefined || p.consumer === consumer)
+      )
+      .slice(0, int(count))
+      .map((p) => [formatId(p.id), p.consumer, now - p.deliveredAt, p.count]);
+  },
+  xautoclaim(connection, key, groupName, consumer, minIdle, start, ...rest) {
+    const { stream, group } = streamGroup.call(this, key, groupName);
+    let count = 100;
+    let justId = false;
+    for (let i = 0; i < rest.length; i++) {
+      const upper = rest[i].toUpperCase();
+      if (upper === "COUNT") count = int(rest[++i]);
+      else if (upper === "JUSTID") justId = true;
+      else throw new ReplyError(SYNTAX);
+    }
+    const now = Date.now();
+    const byId = new Map(stream.entries.map((entry) => [formatId(entry.id), entry]));
+    const candidates = [...group.pending.values()]
+      .filter((p) => compareIds(p.id, rangeId(start, true)) >= 0)
+      .sort((a, b) => compareIds(a.id, b.id));
+    const claimed = [];
+    const deleted = [];
+    let next = "0-0";
+    for (const p of candidates) {
+      if (claimed.length + deleted.length >= count) {
+        next = formatId(p.id);
+        break;
+      }
+      if (now - p.deliveredAt < int(minIdle)) continue;
+      const entry = byId.get(formatId(p.id));
+      if (!entry) {
+        group.pending.delete(formatId(p.id));
+        deleted.push(formatId(p.id));
+        continue;
+      }
+      p.consumer = consumer;
+      p.deliveredAt = now;
+      if (!justId) p.count++;
+      claimed.push(justId ? formatId(entry.id) : entryReply(entry));
+    }
+    group.consumers.set(consumer, now);
+    return [next, claimed, deleted];
+  },
+
+  /* ----- transactions ----- */
+  multi(connection) {
+    if (connection.multi) throw new ReplyError("ERR MULTI calls can not be nested");
+    connection.multi = [];
+    connection.multiFailed = false;
+    return OK;
+  },
+  discard(connection) {
+    if (!connection.multi) throw new ReplyError("ERR DISCARD without MULTI");
+    connection.multi = null;
+    connection.watched.clear();
+    return OK;
+  },
+  watch(connection, ...keys) {
+    if (connection.multi) throw new ReplyError("ERR WATCH inside MULTI is not allowed");
+    keys.forEach((key) => connection.watched.set(key, this.versions.get(key) ?? 0));
+    return OK;
+  },
+  unwatch(connection) {
+    connection.watched.clear();
+    return OK;
+  },
+  exec(connection) {
+    if (!connection.multi) throw new ReplyError("ERR EXEC without MULTI");
+    const [queued, failed] = [connection.multi, connection.multiFailed];
+    const dirty = [...connection.watched].some(([key, version]) => (this.versions.get(key) ?? 0) !== version);
+    connection.multi = null;
+    connection.watched.clear();
+    if (failed) throw new ReplyError("EXECABORT Transaction discarded because of previous errors.");
+    if (dirty) return NULL_ARRAY;
+    // Everything runs back to back: nothing else can interleave, which is all MULTI promises.
+    connection.inExec = true;
+    try {
+      return queued.map((args) => {
+        try {
+          return COMMANDS[args[0].toLowerCase()].call(this, connection, ...args.slice(1));
+        } catch (err) {
+          if (err instanceof ReplyError) return err;
+          throw err;
+        }
+      });
+    } finally {
+      connection.inExec = false;
+    }
+  },
+
+  /* ----- pub/sub ----- */
+  publish(connection, channel, message) {
+    return this.publish(channel, message);
+  },
+  subscribe(connection, ...channels) {
+    for (const channel of channels) {
+      if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+      this.channels.get(channel).add(connection);
+      connection.channels.add(channel);
+      connection.push(["subscribe", channel, connection.channels.size + connection.patterns.size]);
+    }
+  },
+  unsubscribe(connection, ...channels) {
+    const targets = channels.length > 0 ? channels : [...connection.channels];
+    if (targets.length === 0) connection.push(["unsubscribe", null, connection.patterns.size]);
+    for (const channel of targets) {
+      this.channels.get(channel)?.delete(connection);
+      if (this.channels.get(channel)?.size === 0) this.channels.delete(channel);
+      connection.channels.delete(channel);
+      connection.push(["unsubscribe", channel, connection.channels.size + connection.patterns.size]);
+    }
+  },
+  psubscribe(connection, ...patterns) {
+    for (const pattern of patterns) {
+      if (!this.patterns.has(pattern)) this.patterns.set(pattern, { regex: globToRegExp(pattern), connections: new Set() });
+      this.patterns.get(pattern).connections.add(connection);
+      connection.patterns.add(pattern);
+      connection.push(["psubscribe", pattern, connection.channels.size + connection.patterns.size]);
+    }
+  },
+  punsubscribe(connection, ...patterns) {
+    const targets = patterns.length > 0 ? patterns : [...connection.patterns];
+    if (targets.length === 0) connection.push(["punsubscribe", null, connection.channels.size]);
+    for (const pattern of targets) {
+      this.patterns.get(pattern)?.connections.delete(connection);
+      if (this.patterns.get(pattern)?.connections.size === 0) this.patterns.delete(pattern);
+      connection.patterns.delete(pattern);
+      connection.push(["punsubscribe", pattern, connection.channels.size + connection.patterns.size]);
+    }
+  },
+};
+
+let shared = null;
+
+/**
+ * Starts (once per process) the in-memory Redis every client of this process
+ * shares, so a publisher and a subscriber see each other. Resolves with the
+ * FakeRedis; connect to its `url` / `port`.
+ */
+export function startFakeRedis() {
+  shared ??= new FakeRedis().listen();
+  return shared;
+}
+
+// Run directly: a standalone in-memory Redis on REDIS_PORT (default 6379), so
+// several processes (server.js and the websocket server, a producer and its
+// consumers) can share one without REDIS_FAKE.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = await new FakeRedis().listen(Number(process.env.REDIS_PORT) || 6379);
+  fake.server.ref();
+  console.log(`🧪 In-memory Redis listening at ${fake.url}`);
+}
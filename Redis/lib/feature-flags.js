@@ -0,0 +1,289 @@
+/**
+ * Feature Flags & Audience Segments on Sets
+ * -----------------------------------------
+ * set.js shows users / admins sets and SUNION / SINTER / SDIFF; here they
+ * decide who sees which feature.
+ *
+ * Keys (after REDIS_KEY_PREFIX or the `prefix` option; the {flags} hash tag
+ * keeps them in one Cluster slot for the set operations and MULTIs, see keys.js):
+ *   {flags}:segment:<name>     SET   user ids in a segment (admins, beta, blocked, ...)
+ *   {flags}:flag:<name>        HASH  enabled, rollout (0-100), segment expression, description
+ *   {flags}:flag:<name>:users  SET   user ids that always get the flag
+ *   {flags}:flags              SET   names of all flags
+ *
+ * A flag is on for a user when it is enabled and either
+ *  - the user is in flag:<name>:users, or
+ *  - the user matches the segment expression (if there is one) AND falls
+ *    into the rollout percentage
+ *
+ * Segment expressions combine segments with set operators:
+ *   admins | beta - blocked     union, then difference (left to right)
+ *   beta & staff                intersection (binds tighter than | and -)
+ *   (admins | beta) - blocked   parentheses
+ * Segment names are letters, digits, _ . and : (no "-", that's the operator).
+ * Flag names are letters, digits, _ . and - (no ":": flag "x:users" would be
+ * the key of flag x's user set).
+ *
+ * Percentage rollouts hash flag name + user id, so a user keeps the same
+ * answer between requests, and raising 10% → 20% only adds users.
+ *
+ * Usage:
+ *   const flags = new FeatureFlags(client);
+ *   await flags.addToSegment("beta", ["ankit"]);
+ *   await flags.define("new-editor", { enabled: true, segment: "admins | beta - blocked", rollout: 50 });
+ *   await flags.isEnabled("new-editor", "ankit");
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { logger } from "chat-observability";
+import { KEY_PREFIX } from "./keys.js";
+import { HashRepository } from "./repository.js";
+
+const SEGMENT_NAME = /^[\w.:]+$/;
+const FLAG_NAME = /^[\w.-]+$/;
+
+function checkFlagName(flag) {
+  if (typeof flag !== "string" || !FLAG_NAME.test(flag)) throw new SyntaxError(`Invalid flag name: ${flag}`);
+}
+
+function checkSegmentName(segment) {
+  if (typeof segment !== "string" || !SEGMENT_NAME.test(segment)) throw new SyntaxError(`Invalid segment name: ${segment}`);
+}
+
+// Splits an expression into names, operators and parentheses.
+function tokenize(expression) {
+  const tokens = expression.match(/[\w.:]+|[|&()-]|\S/g) ?? [];
+  const bad = tokens.find((token) => !SEGMENT_NAME.test(token) && !"|&()-".includes(token));
+  if (bad) throw new SyntaxError(`Unexpected "${bad}" in segment expression`);
+  return tokens;
+}
+
+/**
+ * Parses a segment expression into a tree of { segment } leaves and
+ * { op: "|" | "&" | "-", left, right } nodes. Throws SyntaxError.
+ */
+export function parseSegment(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (token) => {
+    if (tokens[position] !== token) throw new SyntaxError(`Expected "${token}" in segment expression`);
+    position++;
+  };
+
+  function primary() {
+    const token = tokens[position++];
+    if (token === "(") {
+      const node = union();
+      expect(")");
+      return node;
+    }
+    if (token === undefined || !SEGMENT_NAME.test(token)) {
+      throw new SyntaxError("Expected a segment name in segment expression");
+    }
+    return { segment: token };
+  }
+
+  function intersection() {
+    let node = primary();
+    while (peek() === "&") {
+      position++;
+      node = { op: "&", left: node, right: primary() };
+    }
+    return node;
+  }
+
+  function union() {
+    let node = intersection();
+    while (peek() === "|" || peek() === "-") {
+      const op = tokens[position++];
+      node = { op, left: node, right: intersection() };
+    }
+    return node;
+  }
+
+  const tree = union();
+  if (position < tokens.length) throw new SyntaxError(`Unexpected "${tokens[position]}" in segment expression`);
+  return tree;
+}
+
+function segmentsOf(node, names = new Set()) {
+  if (node.segment) names.add(node.segment);
+  else {
+    segmentsOf(node.left, names);
+    segmentsOf(node.right, names);
+  }
+  return names;
+}
+
+function matches(node, membership) {
+  if (node.segment) return membership[node.segment];
+  const left = matches(node.left, membership);
+  const right = matches(node.right, membership);
+  if (node.op === "|") return left || right;
+  if (node.op === "&") return left && right;
+  return left && !right;
+}
+
+// Stable bucket in [0, 100) for a user and flag.
+export function rolloutBucket(flag, userId) {
+  const hash = createHash("sha1").update(`${flag}:${userId}`).digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+export class FeatureFlags {
+  constructor(client, { prefix = KEY_PREFIX } = {}) {
+    this.client = client;
+    this.prefix = `${prefix}{flags}:`;
+    this.definitions = new HashRepository(client, `${this.prefix}flag:`, {
+      enabled: "boolean",
+      rollout: "number",
+      segment: "string",
+      description: "string",
+      updatedAt: "date",
+    });
+  }
+
+  segmentKey(name) {
+    return `${this.prefix}segment:${name}`;
+  }
+
+  usersKey(flag) {
+    return `${this.prefix}flag:${flag}:users`;
+  }
+
+  /**
+   * Creates or changes a flag; fields left out keep their value, `segment: null`
+   * removes the segment. Throws SyntaxError / RangeError on bad input.
+   */
+  async define(flag, { enabled, rollout, segment, description } = {}) {
+    checkFlagName(flag);
+    if (rollout !== undefined && (typeof rollout !== "number" || rollout < 0 || rollout > 100)) {
+      throw new RangeError("rollout must be a number from 0 to 100");
+    }
+    if (typeof segment === "string") parseSegment(segment);
+    const changes = { enabled, rollout, description, updatedAt: new Date() };
+    if (segment !== undefined) changes.segment = segment;
+    // Undefined fields would be deleted by update(), so only pass what was given.
+    for (const field of Object.keys(changes)) if (changes[field] === undefined) delete changes[field];
+    await this.definitions.update(flag, changes);
+    await this.client.sAdd(`${this.prefix}flags`, flag);
+  }
+
+  async remove(flag) {
+    checkFlagName(flag);
+    await this.client
+      .multi()
+      .unlink([this.definitions.key(flag), this.usersKey(flag)])
+      .sRem(`${this.prefix}flags`, flag)
+      .exec();
+  }
+
+  // All flags with their definition and explicitly targeted users.
+  async list() {
+    const names = await this.client.sMembers(`${this.prefix}flags`);
+    return Promise.all(
+      names.sort().map(async (name) => ({
+        name,
+        ...(await this.definitions.get(name)),
+        users: await this.client.sMembers(this.usersKey(name)),
+      }))
+    );
+  }
+
+  async target(flag, { add = [], remove = [] } = {}) {
+    checkFlagName(flag);
+    const multi = this.client.multi();
+    if (add.length > 0) multi.sAdd(this.usersKey(flag), add);
+    if (remove.length > 0) multi.sRem(this.usersKey(flag), remove);
+    await multi.exec();
+  }
+
+  async addToSegment(segment, userIds) {
+    checkSegmentName(segment);
+    return this.client.sAdd(this.segmentKey(segment), userIds);
+  }
+
+  async removeFromSegment(segment, userIds) {
+    checkSegmentName(segment);
+    return this.client.sRem(this.segmentKey(segment), userIds);
+  }
+
+  // Does the user match the expression? One SISMEMBER per segment, sent together.
+  async inSegment(expression, userId) {
+    const tree = parseSegment(expression);
+    const names = [...segmentsOf(tree)];
+    const results = await Promise.all(names.map((name) => this.client.sIsMember(this.segmentKey(name), userId)));
+    const membership = Object.fromEntries(names.map((name, i) => [name, results[i] === 1 || results[i] === true]));
+    return matches(tree, membership);
+  }
+
+  /**
+   * Everyone matching the expression, computed in Redis with SUNIONSTORE /
+   * SINTERSTORE / SDIFFSTORE into short-lived temporary keys.
+   */
+  async audience(expression) {
+    const temporary = [];
+    const build = async (node) => {
+      if (node.segment) return this.segmentKey(node.segment);
+      const [left, right] = [await build(node.left), await build(node.right)];
+      const key = `${this.prefix}segment:tmp:${randomUUID()}`;
+      temporary.push(key);
+      const keys = [left, right];
+      if (node.op === "|") await this.client.sUnionStore(key, keys);
+      else if (node.op === "&") await this.client.sInterStore(key, keys);
+      else await this.client.sDiffStore(key, keys);
+      await this.client.expire(key, 60); // cleaned up below; the TTL only matters if we crash first
+      return key;
+    };
+    try {
+      return (await this.client.sMembers(await build(parseSegment(expression)))).sort();
+    } finally {
+      if (temporary.length > 0) await this.client.unlink(temporary);
+    }
+  }
+
+  // Evaluates one flag for a user (see the rules at the top).
+  async isEnabled(flag, userId) {
+    const definition = await this.definitions.get(flag);
+    return definition ? this.evaluate(flag, definition, userId) : false;
+  }
+
+  // Evaluates every flag for a user: { [flag]: boolean }.
+  async evaluateAll(userId) {
+    const names = await this.client.sMembers(`${this.prefix}flags`);
+    const definitions = await Promise.all(names.map((name) => this.definitions.get(name)));
+    const values = await Promise.all(
+      names.map((name, i) => (definitions[i] ? this.evaluate(name, definitions[i], userId) : false))
+    );
+    return Object.fromEntries(names.map((name, i) => [name, values[i]]));
+  }
+
+  async evaluate(flag, { enabled = false, rollout = 100, segment }, userId) {
+    if (!enabled) return false;
+    if (!userId) return !segment && rollout >= 100; // anonymous: only flags that are on for everyone
+    if (await this.client.sIsMember(this.usersKey(flag), userId)) return true;
+    if (segment && !(await this.inSegment(segment, userId))) return false;
+    return rolloutBucket(flag, userId) < rollout;
+  }
+}
+
+/**
+ * Express middleware: evaluates every flag for the request's user and puts
+ * the result on `req.flags`. A Redis failure leaves all flags off rather
+ * than failing the request.
+ *
+ * @param userId  (req) => user id or undefined
+ */
+export function featureFlags(flags, { userId = (req) => req.session?.user } = {}) {
+  return async function featureFlagsMiddleware(req, res, next) {
+    try {
+      req.flags = await flags.evaluateAll(userId(req));
+    } catch (err) {
+      (req.log ?? logger).error("Feature flag evaluation failed", err);
+      req.flags = {};
+    }
+    next();
+  };
+}
@@ -0,0 +1,362 @@
+/**
+ * Redis Job Queue (built on sorted sets)
+ * --------------------------------------
+ * The priority-queue.js idea (ZADD + ZPOPMIN) grown into a queue you can run
+ * workers against: JSON payloads, priorities, delayed jobs, retries with
+ * exponential backoff, crash recovery and a dead-letter set.
+ *
+ * Keys (for a queue called "emails"; the {emails} hash tag keeps them in one
+ * Cluster slot for the scripts, and REDIS_KEY_PREFIX goes first, see keys.js):
+ *   queue:{emails}:jobs     HASH  id -> job metadata JSON (priority, attempts, lastError, ...)
+ *   queue:{emails}:data     HASH  id -> payload JSON, kept apart so the Lua scripts never
+ *                                 re-encode it (cjson turns [] into {} and rounds big numbers)
+ *   queue:{emails}:waiting  ZSET  ready jobs, score = priority * 1e13 + enqueue time (FIFO within a priority)
+ *   queue:{emails}:delayed  ZSET  scheduled / backing-off jobs, score = run-at time (ms)
+ *   queue:{emails}:active   ZSET  claimed jobs, score = visibility deadline (ms)
+ *   queue:{emails}:claims   HASH  id -> token of the worker holding the job
+ *   queue:{emails}:dead     ZSET  jobs that ran out of attempts, score = time of death
+ *
+ * ✅ Guarantees:
+ *  - Every state change is a Lua script, so two workers never claim the same job
+ *  - A worker that dies mid-job stops extending its visibility deadline; once it
+ *    passes, the job goes back to waiting for someone else (at-least-once delivery)
+ *  - Completing or failing a job needs the claim token, so a worker whose job was
+ *    already handed to someone else can't clobber it
+ *
+ * Usage:
+ *   const queue = new JobQueue(client, "emails");
+ *   await queue.add({ to: "a@b.c" }, { priority: 1, delay: 5000 });
+ *   const worker = queue.process(async (job) => send(job.data), { concurrency: 4 });
+ *   await worker.stop();
+ */
+
+import { randomUUID } from "node:crypto";
+import { logger } from "chat-observability";
+import { key } from "./keys.js";
+
+// Scores are doubles: priority * 1e13 + ms timestamp stays exact up to priority ~900.
+const PRIORITY_FACTOR = 1e13;
+const MAX_PRIORITY = 100;
+
+/**
+ * KEYS: jobs, waiting, delayed, active, claims, dead, data
+ * ARGV: now, visibility deadline, claim token
+ * Moves due delayed jobs and expired active jobs back to waiting, then claims
+ * the highest priority waiting job. Returns { metadata JSON (attempts already bumped), payload JSON } or nil.
+ */
+const CLAIM_SCRIPT = `
+local now = tonumber(ARGV[1])
+
+local function requeue(id)
+  local raw = redis.call("HGET", KEYS[1], id)
+  if raw then
+    local job = cjson.decode(raw)
+    -- %.0f: Lua's default number formatting keeps only 14 digits
+    redis.call("ZADD", KEYS[2], string.format("%.0f", job.priority * ${PRIORITY_FACTOR} + now), id)
+  end
+end
+
+for _, id in ipairs(redis.call("ZRANGEBYSCORE", KEYS[3], "-inf", now, "LIMIT", 0, 100)) do
+  redis.call("ZREM", KEYS[3], id)
+  requeue(id)
+end
+
+for _, id in ipairs(redis.call("ZRANGEBYSCORE", KEYS[4], "-inf", now, "LIMIT", 0, 100)) do
+  redis.call("ZREM", KEYS[4], id)
+  redis.call("HDEL", KEYS[5], id)
+  local job = cjson.decode(redis.call("HGET", KEYS[1], id))
+  if job.attempts >= job.maxAttempts then
+    job.lastError = "visibility timeout expired"
+    redis.call("HSET", KEYS[1], id, cjson.encode(job))
+    redis.call("ZADD", KEYS[6], now, id)
+  else
+    requeue(id)
+  end
+end
+
+local popped = redis.call("ZPOPMIN", KEYS[2])
+if #popped == 0 then
+  return nil
+end
+local id = popped[1]
+local job = cjson.decode(redis.call("HGET", KEYS[1], id))
+job.attempts = job.attempts + 1
+local raw = cjson.encode(job)
+redis.call("HSET", KEYS[1], id, raw)
+redis.call("ZADD", KEYS[4], ARGV[2], id)
+redis.call("HSET", KEYS[5], id, ARGV[3])
+return { raw, redis.call("HGET", KEYS[7], id) }`;
+
+/**
+ * KEYS: jobs, active, claims, data
+ * ARGV: id, claim token
+ */
+const COMPLETE_SCRIPT = `
+if redis.call("HGET", KEYS[3], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call("ZREM", KEYS[2], ARGV[1])
+redis.call("HDEL", KEYS[3], ARGV[1])
+redis.call("HDEL", KEYS[1], ARGV[1])
+redis.call("HDEL", KEYS[4], ARGV[1])
+return 1`;
+
+/**
+ * KEYS: jobs, delayed, active, claims, dead
+ * ARGV: id, claim token, now, retry at, error message
+ * Schedules a retry, or moves the job to the dead-letter set when out of attempts.
+ */
+const FAIL_SCRIPT = `
+if redis.call("HGET", KEYS[4], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call("ZREM", KEYS[3], ARGV[1])
+redis.call("HDEL", KEYS[4], ARGV[1])
+local job = cjson.decode(redis.call("HGET", KEYS[1], ARGV[1]))
+job.lastError = ARGV[5]
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+if job.attempts >= job.maxAttempts then
+  redis.call("ZADD", KEYS[5], ARGV[3], ARGV[1])
+  return 2
+end
+redis.call("ZADD", KEYS[2], ARGV[4], ARGV[1])
+return 1`;
+
+/**
+ * KEYS: active, claims
+ * ARGV: id, claim token, new deadline
+ */
+const EXTEND_SCRIPT = `
+if redis.call("HGET", KEYS[2], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call("ZADD", KEYS[1], "XX", ARGV[3], ARGV[1])
+return 1`;
+
+/**
+ * KEYS: jobs, waiting, dead
+ * ARGV: id, now
+ */
+const RETRY_DEAD_SCRIPT = `
+if redis.call("ZREM", KEYS[3], ARGV[1]) == 0 then
+  return 0
+end
+local job = cjson.decode(redis.call("HGET", KEYS[1], ARGV[1]))
+job.attempts = 0
+redis.call("HSET", KEYS[1], ARGV[1], cjson.encode(job))
+redis.call("ZADD", KEYS[2], string.format("%.0f", job.priority * ${PRIORITY_FACTOR} + tonumber(ARGV[2])), ARGV[1])
+return 1`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class JobQueue {
+  /**
+   * @param client             connected node-redis client
+   * @param name               queue name, used in the key names
+   * @param visibilityTimeout  ms a claimed job may go without a heartbeat before it is handed out again
+   * @param maxAttempts        default attempts per job (first run included)
+   * @param backoff            base retry delay in ms; attempt n waits backoff * 2^(n-1)
+   * @param maxBackoff         cap on the retry delay
+   */
+  constructor(
+    client,
+    name,
+    { visibilityTimeout = 30000, maxAttempts = 5, backoff = 1000, maxBackoff = 5 * 60 * 1000 } = {}
+  ) {
+    this.client = client;
+    this.name = name;
+    this.visibilityTimeout = visibilityTimeout;
+    this.maxAttempts = maxAttempts;
+    this.backoff = backoff;
+    this.maxBackoff = maxBackoff;
+
+    const prefix = key(`queue:{${name}}`);
+    this.keys = {
+      jobs: `${prefix}:jobs`,
+      waiting: `${prefix}:waiting`,
+      delayed: `${prefix}:delayed`,
+      active: `${prefix}:active`,
+      claims: `${prefix}:claims`,
+      dead: `${prefix}:dead`,
+      data: `${prefix}:data`,
+    };
+  }
+
+  /**
+   * Adds a job. Lower priority numbers run first (like ZPOPMIN in priority-queue.js).
+   *
+   * @param data         any JSON-serialisable payload
+   * @param priority     0 (highest) .. 100
+   * @param delay        ms to wait before the job may run
+   * @param runAt        Date or ms timestamp to run at (overrides delay)
+   * @param maxAttempts  override the queue default
+   * @param id           custom id, e.g. for idempotent producers; adding an existing id is a no-op
+   * @returns the job id
+   */
+  async add(data, { priority = 0, delay = 0, runAt, maxAttempts = this.maxAttempts, id = randomUUID() } = {}) {
+    if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PRIORITY) {
+      throw new RangeError(`priority must be an integer between 0 and ${MAX_PRIORITY}`);
+    }
+    const now = Date.now();
+    const at = runAt !== undefined ? Number(runAt) : now + delay;
+    const job = { id, priority, attempts: 0, maxAttempts, createdAt: now };
+
+    const added = await this.client.hSetNX(this.keys.jobs, id, JSON.stringify(job));
+    if (!added) return id;
+
+    // Until the ZADD the job is in no set, so nobody can claim it before its payload exists.
+    const multi = this.client.multi().hSet(this.keys.data, id, JSON.stringify(data ?? null));
+    if (at > now) {
+      multi.zAdd(this.keys.delayed, { score: at, value: id });
+    } else {
+      multi.zAdd(this.keys.waiting, { score: priority * PRIORITY_FACTOR + now, value: id });
+    }
+    await multi.exec();
+    return id;
+  }
+
+  /**
+   * Claims the next runnable job, or returns null when there is none.
+   * The caller must complete(), fail() or extend() it using `job.token`.
+   */
+  async claim() {
+    const now = Date.now();
+    const token = randomUUID();
+    const { jobs, waiting, delayed, active, claims, dead, data } = this.keys;
+    const claimed = await this.client.eval(CLAIM_SCRIPT, {
+      keys: [jobs, waiting, delayed, active, claims, dead, data],
+      arguments: [String(now), String(now + this.visibilityTimeout), token],
+    });
+    if (!claimed) return null;
+    const [meta, payload] = claimed;
+    return { ...JSON.parse(meta), data: JSON.parse(payload), token };
+  }
+
+  // Returns false if the claim was lost (visibility timeout expired meanwhile).
+  async complete(job) {
+    const { jobs, active, claims, data } = this.keys;
+    const ok = await this.client.eval(COMPLETE_SCRIPT, {
+      keys: [jobs, active, claims, data],
+      arguments: [job.id, job.token],
+    });
+    return ok === 1;
+  }
+
+  // Returns "retry", "dead", or "lost" if the claim had already expired.
+  async fail(job, error) {
+    const now = Date.now();
+    const delay = Math.min(this.maxBackoff, this.backoff * 2 ** (job.attempts - 1));
+    const { jobs, delayed, active, claims, dead } = this.keys;
+    const result = await this.client.eval(FAIL_SCRIPT, {
+      keys: [jobs, delayed, active, claims, dead],
+      arguments: [job.id, job.token, String(now), String(now + delay), String(error?.message ?? error)],
+    });
+    return { 1: "retry", 2: "dead" }[result] ?? "lost";
+  }
+
+  // Pushes the visibility deadline out again; workers call this while a job runs.
+  async extend(job) {
+    const { active, claims } = this.keys;
+    const ok = await this.client.eval(EXTEND_SCRIPT, {
+      keys: [active, claims],
+      arguments: [job.id, job.token, String(Date.now() + this.visibilityTimeout)],
+    });
+    return ok === 1;
+  }
+
+  // Moves a dead job back to waiting with a fresh set of attempts.
+  async retryDead(id) {
+    const { jobs, waiting, dead } = this.keys;
+    const ok = await this.client.eval(RETRY_DEAD_SCRIPT, {
+      keys: [jobs, waiting, dead],
+      arguments: [id, String(Date.now())],
+    });
+    return ok === 1;
+  }
+
+  async getJob(id) {
+    const [meta, payload] = await Promise.all([
+      this.client.hGet(this.keys.jobs, id),
+      this.client.hGet(this.keys.data, id),
+    ]);
+    return meta ? { ...JSON.parse(meta), data: JSON.parse(payload) } : null;
+  }
+
+  async deadJobs(count = 50) {
+    const ids = await this.client.zRange(this.keys.dead, 0, count - 1);
+    return (await Promise.all(ids.map((id) => this.getJob(id)))).filter(Boolean);
+  }
+
+  async counts() {
+    const [waiting, delayed, active, dead] = await Promise.all([
+      this.client.zCard(this.keys.waiting),
+      this.client.zCard(this.keys.delayed),
+      this.client.zCard(this.keys.active),
+      this.client.zCard(this.keys.dead),
+    ]);
+    return { waiting, delayed, active, dead };
+  }
+
+  /**
+   * Runs `handler(job)` for jobs as they become available, at most
+   * `concurrency` at a time. A handler that throws (or rejects) fails the job.
+   *
+   * @returns a worker with `stop()`, which stops claiming and waits for running jobs
+   */
+  process(handler, { concurrency = 1, pollInterval = 500 } = {}) {
+    return new Worker(this, handler, { concurrency, pollInterval });
+  }
+}
+
+class Worker {
+  constructor(queue, handler, { concurrency, pollInterval }) {
+    this.queue = queue;
+    this.handler = handler;
+    this.pollInterval = pollInterval;
+    this.running = true;
+    this.slots = Array.from({ length: concurrency }, () => this.loop());
+  }
+
+  async loop() {
+    while (this.running) {
+      let job;
+      try {
+        job = await this.queue.claim();
+      } catch (err) {
+        logger.error("Claim failed", { queue: this.queue.name, err });
+      }
+      if (!job) {
+        await sleep(this.pollInterval);
+        continue;
+      }
+      await this.run(job);
+    }
+  }
+
+  async run(job) {
+    // Heartbeat at half the visibility timeout so a live worker never loses its job.
+    const heartbeat = setInterval(() => {
+      this.queue.extend(job).catch((err) => logger.error("Extending a claim failed", { queue: this.queue.name, job: job.id, err }));
+    }, this.queue.visibilityTimeout / 2);
+
+    try {
+      await this.handler(job);
+      clearInterval(heartbeat);
+      if (!(await this.queue.complete(job))) {
+        logger.warn("Job finished after its claim expired", { queue: this.queue.name, job: job.id });
+      }
+    } catch (err) {
+      clearInterval(heartbeat);
+      const outcome = await this.queue.fail(job, err).catch((failErr) => {
+        logger.error("Could not record a job failure", { queue: this.queue.name, job: job.id, err: failErr });
+        return "lost";
+      });
+      logger.error("Job failed", { queue: this.queue.name, job: job.id, attempt: job.attempts, outcome, err });
+    }
+  }
+
+  async stop() {
+    this.running = false;
+    await Promise.all(this.slots);
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Key Names: Prefix and Hash Tags
+ * -------------------------------
+ * REDIS_KEY_PREFIX (e.g. "staging:") goes in front of every key, so several
+ * environments can share one Redis. ioredis clients add it themselves (the
+ * keyPrefix option, see connection.js); node-redis has no such option, so the
+ * lib/ modules put it in front of their default key names with key(). Keys and
+ * prefixes passed to them explicitly (a stream name, a repository prefix, ...)
+ * are used as given: wrap them in key() too.
+ *
+ * Hash tags: Redis Cluster stores a key in the slot of the part between the
+ * first "{" and the next "}". The keys that one Lua script or MULTI touches
+ * carry the same tag, e.g. queue:{emails}:waiting and queue:{emails}:active,
+ * so the script runs in one slot instead of failing with CROSSSLOT.
+ *
+ * ⚠️ The prefix must not contain "{" or "}": it comes first, so its tag would
+ *    replace the modules' own and put everything in one slot.
+ *
+ * Usage:
+ *   new HashRepository(client, key("profile:"), schema);   // → staging:profile:<id>
+ */
+
+export const KEY_PREFIX = process.env.REDIS_KEY_PREFIX ?? "";
+
+if (/[{}]/.test(KEY_PREFIX)) throw new RangeError("REDIS_KEY_PREFIX must not contain { or }");
+
+export function key(name) {
+  return `${KEY_PREFIX}${name}`;
+}
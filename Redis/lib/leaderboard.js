@@ -0,0 +1,152 @@
+/**
+ * Leaderboards on Sorted Sets
+ * ---------------------------
+ * priority-queue.js lists leaderboards as a ZSET use case; this is one.
+ * Player → score in a sorted set, highest score first (ZREVRANK / ZRANGE REV).
+ * Players with the same score get consecutive ranks in reverse alphabetical
+ * order of their names (that is how Redis orders ties in reverse ranges).
+ *
+ * Modes (what a new score does to the stored one):
+ *   best   → keep the highest (ZADD GT)
+ *   sum    → add it up (ZINCRBY), e.g. points collected
+ *   latest → overwrite (ZADD)
+ *
+ * Periods: every score goes onto the all-time board and onto today's and this
+ * week's board (keys end in :daily:2025-01-31 and :weekly:2025-W05, ISO weeks).
+ * All boards of a game share the {<name>} hash tag, so submit's MULTI stays in
+ * one Cluster slot.
+ * A new day or week simply starts writing to a new key, and old boards expire
+ * `keepPeriods` periods after they end (EXPIREAT), so nothing needs cleaning up.
+ *
+ * ⚡ Complexity: submit / rank O(log n); top / page O(log n + page size).
+ *
+ * Usage:
+ *   const board = new Leaderboard(client, "game", { mode: "best" });
+ *   await board.submit("ankit", 420);            // → { all: { score, rank, previousRank }, daily: ..., weekly: ... }
+ *   await board.top(10, { period: "weekly" });   // → [{ rank: 1, player, score }, ...]
+ *   await board.around("ankit", { neighbours: 2 });
+ */
+
+import { key } from "./keys.js";
+
+const MODES = new Set(["best", "sum", "latest"]);
+export const PERIODS = ["all", "daily", "weekly"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ISO 8601 week: weeks start on Monday, week 1 contains the year's first Thursday.
+function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() - ((thursday.getUTCDay() + 6) % 7) + 3);
+  const week = 1 + Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * DAY));
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// Start of the UTC day / ISO week containing `date`.
+function periodStart(period, date) {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return period === "daily" ? day : day - ((date.getUTCDay() + 6) % 7) * DAY;
+}
+
+export class Leaderboard {
+  /**
+   * @param client       connected node-redis client
+   * @param name         board name; keys are `leaderboard:{<name>}[:<period>:<id>]` (see keys.js)
+   * @param mode         "best", "sum" or "latest"
+   * @param keepPeriods  how many more days / weeks a finished daily / weekly board stays readable
+   */
+  constructor(client, name, { mode = "best", keepPeriods = 1 } = {}) {
+    if (!MODES.has(mode)) throw new RangeError(`Unknown mode: ${mode}`);
+    this.client = client;
+    this.name = name;
+    this.mode = mode;
+    this.keepPeriods = keepPeriods;
+  }
+
+  // Key of the board for `period` at time `at` (pass an earlier date to read e.g. yesterday's board).
+  key(period = "all", at = new Date()) {
+    const board = key(`leaderboard:{${this.name}}`);
+    if (period === "all") return board;
+    if (period === "daily") return `${board}:daily:${at.toISOString().slice(0, 10)}`;
+    if (period === "weekly") return `${board}:weekly:${isoWeek(at)}`;
+    throw new RangeError(`Unknown period: ${period}`);
+  }
+
+  // When the board for `period` containing `at` should disappear (ms), or null for the all-time board.
+  expiresAt(period, at) {
+    if (period === "all") return null;
+    const length = period === "daily" ? DAY : 7 * DAY;
+    return periodStart(period, at) + length * (1 + this.keepPeriods);
+  }
+
+  /**
+   * Records a score on every period's board, atomically (MULTI).
+   * Resolves with, per period, the stored score and the player's rank before
+   * and after (1-based; previousRank is null for a new player).
+   */
+  async submit(player, score, at = new Date()) {
+    if (typeof score !== "number" || !Number.isFinite(score)) throw new TypeError("score must be a finite number");
+
+    const multi = this.client.multi();
+    for (const period of PERIODS) {
+      const key = this.key(period, at);
+      multi.zRevRank(key, player);
+      if (this.mode === "sum") multi.zIncrBy(key, score, player);
+      else multi.zAdd(key, { score, value: player }, this.mode === "best" ? { GT: true } : undefined);
+      multi.zRevRank(key, player).zScore(key, player);
+      const expiresAt = this.expiresAt(period, at);
+      if (expiresAt) multi.pExpireAt(key, expiresAt);
+    }
+    const replies = await multi.exec();
+
+    const result = {};
+    let i = 0;
+    for (const period of PERIODS) {
+      const [before, , after, stored] = replies.slice(i, i + 4);
+      i += period === "all" ? 4 : 5;
+      result[period] = { score: Number(stored), rank: after + 1, previousRank: before === null ? null : before + 1 };
+    }
+    return result;
+  }
+
+  // The best `count` players.
+  async top(count = 10, { period = "all", at } = {}) {
+    return this.range(this.key(period, at), 0, count - 1);
+  }
+
+  /**
+   * One page of the board (1-based), plus the total number of players so
+   * clients can render page links.
+   */
+  async page(page = 1, size = 20, { period = "all", at } = {}) {
+    const key = this.key(period, at);
+    const start = (page - 1) * size;
+    const [entries, total] = await Promise.all([this.range(key, start, start + size - 1), this.client.zCard(key)]);
+    return { page, size, total, entries };
+  }
+
+  /**
+   * A player's rank and score with up to `neighbours` players above and below.
+   * Resolves with null if the player has no score on that board.
+   */
+  async around(player, { neighbours = 2, period = "all", at } = {}) {
+    const key = this.key(period, at);
+    const rank = await this.client.zRevRank(key, player);
+    if (rank === null) return null;
+    const entries = await this.range(key, Math.max(rank - neighbours, 0), rank + neighbours);
+    const self = entries.find((entry) => entry.player === player);
+    return { player, rank: rank + 1, score: self?.score ?? null, entries };
+  }
+
+  async range(key, start, stop) {
+    const members = await this.client.zRangeWithScores(key, start, stop, { REV: true });
+    return members.map(({ value, score }, index) => ({ rank: start + index + 1, player: value, score }));
+  }
+
+  // Removes the player from the all-time board and the current daily / weekly ones.
+  async remove(player) {
+    const multi = this.client.multi();
+    for (const period of PERIODS) multi.zRem(this.key(period), player);
+    await multi.exec();
+  }
+}
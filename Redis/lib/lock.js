@@ -0,0 +1,189 @@
+/**
+ * Distributed Lock (SET NX PX + fencing tokens)
+ * ---------------------------------------------
+ * string.js shows `SETNX lock:key` as a lock, but that lock never expires (a
+ * crashed holder blocks everyone forever) and anyone can DEL it. This one:
+ *
+ *  - Acquires with `SET lock:{<name>} <random token> NX PX <ttl>`, so it expires
+ *    on its own if the holder dies
+ *  - Releases and extends with Lua compare-and-delete / compare-and-pexpire, so
+ *    only the holder (the one who knows the token) can do either
+ *  - Runs a watchdog while the work is going on that pushes the expiry out
+ *    every ttl/3, so long jobs don't lose the lock halfway
+ *  - Hands out a fencing token (INCR lock:{<name>}:fence) on every acquisition;
+ *    it only ever goes up, so a storage layer can reject writes carrying an
+ *    older token from a holder that was paused past its lease. The {<name>}
+ *    hash tag keeps both keys in one Cluster slot (see keys.js)
+ *
+ * ⚠️ A lease can still be lost (network partition, long GC pause). The
+ *    watchdog notices and aborts `signal`; pass the fencing token to anything
+ *    that must not be written by two holders.
+ *
+ * Usage:
+ *   const locks = new LockManager(client);
+ *   await locks.withLock("report:daily", async ({ fencingToken, signal }) => {
+ *     await buildReport({ fencingToken, signal });
+ *   }, { retries: 5 });
+ */
+
+import { randomUUID } from "node:crypto";
+import { logger } from "chat-observability";
+import { key } from "./keys.js";
+
+/**
+ * KEYS: lock, fence
+ * ARGV: token, ttl (ms), "1" to hand out a fencing token
+ * Returns the fencing token (0 without fencing), or nil if the lock is taken.
+ */
+const ACQUIRE_SCRIPT = `
+if not redis.call("SET", KEYS[1], ARGV[1], "NX", "PX", ARGV[2]) then
+  return nil
+end
+if ARGV[3] == "1" then
+  return redis.call("INCR", KEYS[2])
+end
+return 0`;
+
+// Compare-and-delete: only the holder may release.
+const RELEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+// Compare-and-extend: only the holder may push the expiry out.
+const EXTEND_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class LockError extends Error {
+  constructor(message, name) {
+    super(message);
+    this.name = "LockError";
+    this.lock = name;
+  }
+}
+
+/** A held lock. Obtained from `LockManager.acquire()`. */
+export class Lease {
+  constructor(manager, name, token, fencingToken, ttl) {
+    this.manager = manager;
+    this.name = name;
+    this.token = token;
+    this.fencingToken = fencingToken;
+    this.ttl = ttl;
+    this.controller = new AbortController();
+    this.timer = null;
+  }
+
+  // Aborted when the watchdog finds the lock is no longer ours.
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get lost() {
+    return this.controller.signal.aborted;
+  }
+
+  // Resets the expiry to `ttl` ms. Resolves false if the lock is no longer held.
+  async extend(ttl = this.ttl) {
+    const ok = await this.manager.client.eval(EXTEND_SCRIPT, {
+      keys: [this.manager.key(this.name)],
+      arguments: [this.token, String(ttl)],
+    });
+    return ok === 1;
+  }
+
+  // Extends the lease every ttl/3 until released.
+  startWatchdog() {
+    this.timer = setInterval(async () => {
+      try {
+        if (!(await this.extend())) this.lose(new LockError(`Lock ${this.name} expired before it was renewed`, this.name));
+      } catch (err) {
+        logger.error("Renewing lock failed", { lock: this.name, err });
+      }
+    }, Math.max(Math.floor(this.ttl / 3), 1));
+    this.timer.unref?.();
+  }
+
+  lose(reason) {
+    clearInterval(this.timer);
+    logger.warn(reason.message, { lock: this.name });
+    this.controller.abort(reason);
+  }
+
+  // Resolves false if the lock had already expired or been taken over.
+  async release() {
+    clearInterval(this.timer);
+    const ok = await this.manager.client.eval(RELEASE_SCRIPT, {
+      keys: [this.manager.key(this.name)],
+      arguments: [this.token],
+    });
+    return ok === 1;
+  }
+}
+
+export class LockManager {
+  /**
+   * @param client      connected node-redis client
+   * @param ttl         ms a lease lasts without renewal
+   * @param retries     extra attempts when the lock is taken (0 = try once)
+   * @param retryDelay  base ms between attempts
+   * @param retryJitter up to this many random ms added to each delay, so waiters don't retry in lockstep
+   * @param fencing     hand out fencing tokens (keeps a lock:{<name>}:fence counter per name)
+   * @param prefix      key namespace (default: lock: after REDIS_KEY_PREFIX)
+   */
+  constructor(client, { ttl = 10000, retries = 0, retryDelay = 200, retryJitter = 100, fencing = true, prefix = key("lock:") } = {}) {
+    this.client = client;
+    this.defaults = { ttl, retries, retryDelay, retryJitter, fencing };
+    this.prefix = prefix;
+  }
+
+  key(name) {
+    return `${this.prefix}{${name}}`;
+  }
+
+  /**
+   * Tries to take the lock, retrying as configured.
+   * Options override the constructor defaults; `watchdog: true` keeps renewing
+   * the lease until it is released.
+   * @returns a Lease, or null if the lock stayed taken
+   */
+  async acquire(name, options = {}) {
+    const { ttl, retries, retryDelay, retryJitter, fencing, watchdog = false } = { ...this.defaults, ...options };
+    const token = randomUUID();
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(retryDelay + Math.random() * retryJitter);
+      const fencingToken = await this.client.eval(ACQUIRE_SCRIPT, {
+        keys: [this.key(name), `${this.key(name)}:fence`],
+        arguments: [token, String(ttl), fencing ? "1" : "0"],
+      });
+      if (fencingToken !== null) {
+        const lease = new Lease(this, name, token, fencingToken, ttl);
+        if (watchdog) lease.startWatchdog();
+        return lease;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Runs `fn({ fencingToken, signal })` while holding the lock, renewing it
+   * in the background, and releases it afterwards (also when fn throws).
+   * Throws LockError if the lock could not be acquired.
+   */
+  async withLock(name, fn, options = {}) {
+    const lease = await this.acquire(name, { ...options, watchdog: true });
+    if (!lease) throw new LockError(`Lock ${name} is held by someone else`, name);
+    try {
+      return await fn({ fencingToken: lease.fencingToken, signal: lease.signal });
+    } finally {
+      await lease.release().catch((err) => logger.error("Releasing lock failed", { lock: name, err }));
+    }
+  }
+}
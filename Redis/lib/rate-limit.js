@@ -0,0 +1,187 @@
+/**
+ * Redis Rate Limiter Middleware for Express
+ * -----------------------------------------
+ * Counts requests per client in Redis, so the limit holds across every
+ * instance of the server. Each algorithm is one Lua script: the check and the
+ * update happen atomically, and the clock is Redis's (TIME), not each
+ * instance's.
+ *
+ * Algorithms:
+ *   fixed-window    INCR + PEXPIRE on one counter per window (the string.js
+ *                   INCR/EXPIRE idea); windows are aligned to the epoch, and
+ *                   the counter expires when its window ends. Cheapest; allows
+ *                   up to 2× limit around a window boundary.
+ *   sliding-window  A sorted set of request timestamps (sliding log): drop the
+ *                   ones older than the window, count the rest. Exact, but one
+ *                   ZSET member per request.
+ *   token-bucket    A hash { tokens, ts }: the bucket refills at limit/window
+ *                   and each request takes a token. Allows bursts of `limit`,
+ *                   then a steady rate.
+ *
+ * ✅ Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ *    (seconds) and RateLimit-Policy; rejected ones get 429 with Retry-After.
+ * ⚠️ If Redis is down, requests are let through (and logged) rather than
+ *    taking the route down with it.
+ *
+ * Usage:
+ *   app.get("/", rateLimit(client, { algorithm: "sliding-window", limit: 60, windowMs: 60000 }), handler);
+ */
+
+import { randomUUID } from "node:crypto";
+import { logger } from "chat-observability";
+import { key } from "./keys.js";
+
+// Every script returns { allowed (1/0), remaining, reset (ms), retryAfter (ms) }. Reset is when the
+// count goes down: the end of the window for fixed-window, when the oldest logged request ages out
+// for sliding-window, when the bucket is full again for token-bucket.
+
+/**
+ * KEYS: counter
+ * ARGV: limit, window (ms)
+ */
+const FIXED_WINDOW_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[2])
+
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], window - now % window)
+end
+local ttl = redis.call("PTTL", KEYS[1])
+local limit = tonumber(ARGV[1])
+if count > limit then
+  return {0, 0, ttl, ttl}
+end
+return {1, limit - count, ttl, 0}`;
+
+/**
+ * KEYS: log
+ * ARGV: limit, window (ms), unique member for this request
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call("ZADD", KEYS[1], now, ARGV[3])
+  redis.call("PEXPIRE", KEYS[1], window)
+  count = count + 1
+  allowed = 1
+end
+-- Room frees up when the oldest request in the window ages out.
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+local reset = tonumber(oldest[2]) + window - now
+if allowed == 1 then
+  return {1, limit - count, reset, 0}
+end
+return {0, 0, reset, reset}`;
+
+/**
+ * KEYS: bucket
+ * ARGV: capacity, window (ms) to refill a full bucket
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local capacity = tonumber(ARGV[1])
+local rate = capacity / tonumber(ARGV[2]) -- tokens per ms
+
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * rate)
+
+local allowed = 0
+local retry = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retry = math.ceil((1 - tokens) / rate)
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", now)
+-- A bucket that has refilled completely carries no information; let it go.
+local full = math.ceil((capacity - tokens) / rate)
+redis.call("PEXPIRE", KEYS[1], math.max(full, 1))
+return {allowed, math.floor(tokens), full, retry}`;
+
+const ALGORITHMS = {
+  "fixed-window": (client, key, limit, windowMs) =>
+    client.eval(FIXED_WINDOW_SCRIPT, { keys: [key], arguments: [String(limit), String(windowMs)] }),
+  "sliding-window": (client, key, limit, windowMs) =>
+    client.eval(SLIDING_WINDOW_SCRIPT, { keys: [key], arguments: [String(limit), String(windowMs), randomUUID()] }),
+  "token-bucket": (client, key, limit, windowMs) =>
+    client.eval(TOKEN_BUCKET_SCRIPT, { keys: [key], arguments: [String(limit), String(windowMs)] }),
+};
+
+// Who a request is counted against. Requests without a known API key / login fall back to their IP.
+const KEY_BY = {
+  ip: (req) => `ip:${req.ip}`,
+  // Unknown keys count as no key: a client could send a new made-up key with every request.
+  apiKey: (req, { apiKeys }) => {
+    const key = req.get("x-api-key");
+    return key && apiKeys.has(key) ? `key:${key}` : `ip:${req.ip}`;
+  },
+  user: (req) => (req.session?.user ? `user:${req.session.user}` : `ip:${req.ip}`),
+};
+
+/**
+ * Creates the rate-limiting middleware.
+ *
+ * @param client     connected node-redis client
+ * @param algorithm  "fixed-window", "sliding-window" or "token-bucket"
+ * @param limit      requests per window (the bucket size for token-bucket)
+ * @param windowMs   window length (the time to refill a whole bucket for token-bucket)
+ * @param keyBy      "ip", "apiKey", "user" or `(req) => string`
+ * @param apiKeys    the valid X-Api-Key values, for keyBy "apiKey"
+ * @param name       separates the counters of different limits on the same client
+ * @param prefix     key namespace
+ */
+export function rateLimit(
+  client,
+  {
+    algorithm = "sliding-window",
+    limit = 60,
+    windowMs = 60000,
+    keyBy = "ip",
+    apiKeys = [],
+    name = "default",
+    prefix = key("ratelimit:http:"),
+  } = {}
+) {
+  const check = ALGORITHMS[algorithm];
+  if (!check) throw new RangeError(`Unknown rate limit algorithm: ${algorithm}`);
+  const identify = typeof keyBy === "function" ? keyBy : KEY_BY[keyBy];
+  if (!identify) throw new RangeError(`Unknown keyBy: ${keyBy}`);
+  const known = { apiKeys: new Set(apiKeys) };
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    let verdict;
+    try {
+      verdict = await check(client, `${prefix}${name}:${identify(req, known)}`, limit, windowMs);
+    } catch (err) {
+      (req.log ?? logger).error("Rate limit check failed, letting the request through", err);
+      return next();
+    }
+
+    const [allowed, remaining, resetMs, retryAfterMs] = verdict;
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(remaining, 0)),
+      "RateLimit-Reset": String(Math.ceil(resetMs / 1000)),
+      "RateLimit-Policy": policy,
+    });
+    if (allowed === 1) return next();
+
+    const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: "Too many requests", retryAfter });
+  };
+}
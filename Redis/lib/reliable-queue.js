@@ -0,0 +1,225 @@
+/**
+ * Reliable List Queue (BLMOVE + processing lists)
+ * -----------------------------------------------
+ * list.js uses BLPOP for job queues, but a worker that crashes right after
+ * popping takes the item with it. The reliable-queue pattern fixes that: the
+ * pop is an atomic MOVE into a per-worker "processing" list, and the item only
+ * disappears (LREM) once the worker says it is done.
+ *
+ * Keys (for a queue called "mail"; the {mail} hash tag keeps them in one
+ * Cluster slot for the scripts, and REDIS_KEY_PREFIX goes first, see keys.js):
+ *   rqueue:{mail}:pending             LIST  items waiting (pushed at the head)
+ *   rqueue:{mail}:processing:<worker> LIST  items a worker has taken but not finished
+ *   rqueue:{mail}:workers             ZSET  worker id -> last heartbeat (ms)
+ *
+ * Modes:
+ *   fifo → workers take from the tail (oldest first)
+ *   lifo → workers take from the head (newest first, a stack)
+ *
+ * ⚡ Complexity: push/pop O(1); ack is LREM, O(n) in the worker's processing list
+ *    (tiny in practice: it only holds what that worker is working on).
+ *
+ * Usage:
+ *   const queue = new ReliableQueue(client, "mail", { mode: "fifo" });
+ *   await queue.push({ to: "a@b.c" });
+ *   const worker = await queue.worker("worker-1");
+ *   const item = await worker.pop(5);       // waits up to 5 sec
+ *   await worker.ack(item);
+ *   setInterval(() => queue.reap().catch(console.error), 10000); // somewhere, return items of dead workers
+ */
+
+import os from "node:os";
+import { logger } from "chat-observability";
+import { key } from "./keys.js";
+
+/**
+ * KEYS: workers, processing list of the worker, pending
+ * ARGV: worker id, cutoff (ms), end of pending that workers take from
+ * If the worker's heartbeat is (still) older than the cutoff, pushes everything
+ * it was holding back onto the consuming end of pending, so it is picked up
+ * next, and forgets the worker.
+ */
+const REAP_SCRIPT = `
+local beat = redis.call("ZSCORE", KEYS[1], ARGV[1])
+if not beat or tonumber(beat) > tonumber(ARGV[2]) then
+  return 0
+end
+local moved = 0
+while redis.call("LMOVE", KEYS[2], KEYS[3], "LEFT", ARGV[3]) do
+  moved = moved + 1
+end
+redis.call("ZREM", KEYS[1], ARGV[1])
+return moved`;
+
+/**
+ * KEYS: processing, pending
+ * ARGV: item, end of pending that workers take from
+ */
+const NACK_SCRIPT = `
+if redis.call("LREM", KEYS[1], 1, ARGV[1]) == 1 then
+  if ARGV[2] == "RIGHT" then
+    redis.call("RPUSH", KEYS[2], ARGV[1])
+  else
+    redis.call("LPUSH", KEYS[2], ARGV[1])
+  end
+  return 1
+end
+return 0`;
+
+export class ReliableQueue {
+  /**
+   * @param client     connected node-redis client (workers duplicate it for blocking pops)
+   * @param name       queue name
+   * @param mode       "fifo" or "lifo"
+   * @param deadAfter  ms without a heartbeat before reap() considers a worker dead
+   */
+  constructor(client, name, { mode = "fifo", deadAfter = 30000 } = {}) {
+    if (mode !== "fifo" && mode !== "lifo") throw new RangeError(`Unknown mode: ${mode}`);
+    this.client = client;
+    this.name = name;
+    this.deadAfter = deadAfter;
+    // Items are always pushed at the head; fifo consumes from the tail, lifo from the head.
+    this.takeFrom = mode === "fifo" ? "RIGHT" : "LEFT";
+    const prefix = key(`rqueue:{${name}}`);
+    this.keys = {
+      pending: `${prefix}:pending`,
+      processingPrefix: `${prefix}:processing:`,
+      workers: `${prefix}:workers`,
+    };
+  }
+
+  // Adds one or more items (any JSON-serialisable values).
+  async push(...items) {
+    if (items.length === 0) return 0;
+    return this.client.lPush(this.keys.pending, items.map((item) => JSON.stringify(item)));
+  }
+
+  async size() {
+    return this.client.lLen(this.keys.pending);
+  }
+
+  /**
+   * Registers a worker and starts its heartbeat. Ids should be stable across
+   * restarts: a worker that crashed comes back under the same id and calls
+   * `recover()` to retry what it was holding. The default, the host name, fits
+   * one worker per host; give workers that share a host ids of their own.
+   */
+  async worker(id = os.hostname(), { heartbeatInterval = this.deadAfter / 3 } = {}) {
+    const worker = new ReliableWorker(this, id, heartbeatInterval);
+    await worker.start();
+    return worker;
+  }
+
+  /**
+   * Returns items held by workers whose heartbeat is older than `deadAfter`
+   * to the pending list. Safe to run from every instance.
+   * @returns number of items moved back
+   */
+  async reap() {
+    const cutoff = Date.now() - this.deadAfter;
+    const dead = await this.client.zRangeByScore(this.keys.workers, "-inf", cutoff);
+    let moved = 0;
+    // One script per worker, so every key it touches is passed in KEYS. It checks the
+    // heartbeat again: the worker may have come back since the ZRANGEBYSCORE.
+    for (const id of dead) {
+      moved += await this.client.eval(REAP_SCRIPT, {
+        keys: [this.keys.workers, this.processingKey(id), this.keys.pending],
+        arguments: [id, String(cutoff), this.takeFrom],
+      });
+    }
+    return moved;
+  }
+
+  processingKey(workerId) {
+    return `${this.keys.processingPrefix}${workerId}`;
+  }
+}
+
+class ReliableWorker {
+  constructor(queue, id, heartbeatInterval) {
+    this.queue = queue;
+    this.id = id;
+    this.processing = queue.processingKey(id);
+    this.heartbeatInterval = heartbeatInterval;
+    // Blocking pops hold the connection, so each worker gets its own.
+    this.connection = queue.client.duplicate();
+    this.connection.on("error", (err) => logger.error("Redis worker error", { queue: queue.name, err }));
+    this.timer = null;
+  }
+
+  async start() {
+    await this.connection.connect();
+    await this.beat();
+    this.timer = setInterval(() => {
+      this.beat().catch((err) => logger.error("Worker heartbeat failed", { queue: this.queue.name, worker: this.id, err }));
+    }, this.heartbeatInterval);
+  }
+
+  beat() {
+    return this.queue.client.zAdd(this.queue.keys.workers, { score: Date.now(), value: this.id });
+  }
+
+  /**
+   * Takes one item, waiting up to `timeout` seconds (0 = forever).
+   * Resolves with the decoded item, or null on timeout.
+   */
+  async pop(timeout = 0) {
+    const raw = await this.connection.blMove(this.queue.keys.pending, this.processing, this.queue.takeFrom, "LEFT", timeout);
+    return raw === null ? null : decode(raw);
+  }
+
+  /**
+   * Takes up to `size` items: waits up to `timeout` seconds for the first one,
+   * then grabs whatever else is already there without waiting.
+   */
+  async popBatch(size, timeout = 0) {
+    const first = await this.connection.blMove(this.queue.keys.pending, this.processing, this.queue.takeFrom, "LEFT", timeout);
+    if (first === null) return [];
+    const multi = this.connection.multi();
+    for (let i = 1; i < size; i++) {
+      multi.lMove(this.queue.keys.pending, this.processing, this.queue.takeFrom, "LEFT");
+    }
+    const rest = size > 1 ? await multi.exec() : [];
+    return [first, ...rest.filter((raw) => raw !== null)].map(decode);
+  }
+
+  // Marks an item as done. Returns false if it was no longer held (e.g. reaped).
+  async ack(item) {
+    return (await this.queue.client.lRem(this.processing, 1, item.raw)) === 1;
+  }
+
+  // Gives an item back so it is the next one taken.
+  async nack(item) {
+    const ok = await this.queue.client.eval(NACK_SCRIPT, {
+      keys: [this.processing, this.queue.keys.pending],
+      arguments: [item.raw, this.queue.takeFrom],
+    });
+    return ok === 1;
+  }
+
+  // Puts back everything still in this worker's processing list, e.g. after a restart.
+  async recover() {
+    let moved = 0;
+    while (await this.queue.client.lMove(this.processing, this.queue.keys.pending, "LEFT", this.queue.takeFrom)) {
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * Stops the heartbeat, puts items still held back in the queue, then
+   * deregisters. Until the deregistration the worker stays reapable, so
+   * nothing is stranded if the process dies halfway.
+   */
+  async stop() {
+    clearInterval(this.timer);
+    await this.recover();
+    await this.queue.client.zRem(this.queue.keys.workers, this.id);
+    await this.connection.quit();
+  }
+}
+
+// Items carry their exact stored string, which is what ack/nack need for LREM.
+function decode(raw) {
+  return { value: JSON.parse(raw), raw };
+}
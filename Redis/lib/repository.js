@@ -0,0 +1,237 @@
+/**
+ * Typed Hash Repository
+ * ---------------------
+ * hashmap.js writes `user:100` by hand and everything comes back from HGETALL
+ * as a string. A repository maps plain JS objects to one hash per id using a
+ * schema, so values come back with their types:
+ *
+ *   string  → as is
+ *   number  → "42"                         → 42
+ *   boolean → "1" / "0"                    → true / false
+ *   date    → "2025-01-31T10:00:00.000Z"   → Date
+ *   json    → JSON.stringify(value)        → nested objects / arrays
+ *
+ * ✅ Features:
+ *  - save() replaces the whole object, update() only touches the given fields
+ *    (null / undefined deletes a field)
+ *  - increment() is HINCRBY / HINCRBYFLOAT on a number field: atomic, no read needed
+ *  - modify() is read-modify-write with optimistic concurrency (WATCH/MULTI):
+ *    if someone else changes the hash in between, EXEC aborts and we retry
+ *  - `ttl` (seconds) makes every write reset the expiry, for sessions & co.
+ *
+ * Usage:
+ *   const users = new HashRepository(client, "user:", {
+ *     name: "string", age: "number", admin: "boolean", createdAt: "date", settings: "json",
+ *   });
+ *   await users.save("100", { name: "Ankit", age: 23, admin: false, createdAt: new Date() });
+ *   await users.increment("100", "age");
+ *   await users.modify("100", (user) => ({ settings: { ...user.settings, theme: "dark" } }));
+ */
+
+import { WatchError } from "redis";
+import { logger } from "chat-observability";
+
+const TYPES = {
+  string: {
+    encode: (value) => {
+      if (typeof value !== "string") throw new TypeError("expected a string");
+      return value;
+    },
+    decode: (raw) => raw,
+  },
+  number: {
+    encode: (value) => {
+      if (typeof value !== "number" || !Number.isFinite(value)) throw new TypeError("expected a finite number");
+      return String(value);
+    },
+    decode: Number,
+  },
+  boolean: {
+    encode: (value) => {
+      if (typeof value !== "boolean") throw new TypeError("expected a boolean");
+      return value ? "1" : "0";
+    },
+    decode: (raw) => raw === "1",
+  },
+  date: {
+    encode: (value) => {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) throw new TypeError("expected a date");
+      return date.toISOString();
+    },
+    decode: (raw) => new Date(raw),
+  },
+  json: {
+    encode: (value) => JSON.stringify(value),
+    decode: (raw) => JSON.parse(raw),
+  },
+};
+
+export class HashRepository {
+  /**
+   * @param client  connected node-redis client
+   * @param prefix  key prefix; objects live at `${prefix}${id}`
+   * @param schema  { field: "string" | "number" | "boolean" | "date" | "json" }
+   * @param ttl     seconds; when set, every write resets the key's expiry
+   */
+  constructor(client, prefix, schema, { ttl = null } = {}) {
+    for (const [field, type] of Object.entries(schema)) {
+      if (!TYPES[type]) throw new TypeError(`Unknown type "${type}" for field ${field}`);
+    }
+    this.client = client;
+    this.prefix = prefix;
+    this.schema = schema;
+    this.ttl = ttl;
+    this.watcher = null;
+    this.queue = Promise.resolve();
+  }
+
+  key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  // Turns the non-empty fields of `object` into hash fields; empty ones are returned separately.
+  encode(object) {
+    const fields = {};
+    const removed = [];
+    for (const [field, value] of Object.entries(object)) {
+      const type = this.schema[field];
+      if (!type) throw new TypeError(`Unknown field: ${field}`);
+      if (value === null || value === undefined) {
+        removed.push(field);
+        continue;
+      }
+      try {
+        fields[field] = TYPES[type].encode(value);
+      } catch (err) {
+        throw new TypeError(`${field}: ${err.message}`);
+      }
+    }
+    return { fields, removed };
+  }
+
+  // Fields outside the schema (e.g. added by hand in redis-cli) are left out.
+  decode(hash) {
+    const object = {};
+    for (const [field, raw] of Object.entries(hash)) {
+      const type = this.schema[field];
+      if (type) object[field] = TYPES[type].decode(raw);
+    }
+    return object;
+  }
+
+  // Resolves with the object, or null if there is none.
+  async get(id) {
+    const hash = await this.client.hGetAll(this.key(id));
+    return Object.keys(hash).length === 0 ? null : this.decode(hash);
+  }
+
+  async exists(id) {
+    return (await this.client.exists(this.key(id))) === 1;
+  }
+
+  // Replaces the stored object with `object`.
+  async save(id, object, { ttl = this.ttl } = {}) {
+    const { fields } = this.encode(object);
+    const multi = this.client.multi().del(this.key(id));
+    if (Object.keys(fields).length > 0) multi.hSet(this.key(id), fields);
+    if (ttl) multi.expire(this.key(id), ttl);
+    await multi.exec();
+  }
+
+  // Sets the given fields and deletes those given as null / undefined; the rest stay.
+  async update(id, changes, { ttl = this.ttl } = {}) {
+    await this.write(this.client.multi(), id, changes, ttl).exec();
+  }
+
+  // Queues the writes for `changes` on a MULTI.
+  write(multi, id, changes, ttl) {
+    const { fields, removed } = this.encode(changes);
+    if (Object.keys(fields).length > 0) multi.hSet(this.key(id), fields);
+    if (removed.length > 0) multi.hDel(this.key(id), removed);
+    if (ttl) multi.expire(this.key(id), ttl);
+    return multi;
+  }
+
+  // Atomically adds `by` to a number field (a missing field counts as 0) and returns the new value.
+  async increment(id, field, by = 1) {
+    if (this.schema[field] !== "number") throw new TypeError(`${field} is not a number field`);
+    const value = Number.isInteger(by)
+      ? await this.client.hIncrBy(this.key(id), field, by)
+      : await this.client.hIncrByFloat(this.key(id), field, by);
+    if (this.ttl) await this.client.expire(this.key(id), this.ttl);
+    return Number(value);
+  }
+
+  /**
+   * Read-modify-write with optimistic concurrency: `fn(current)` gets the
+   * current object (null if none) and returns the changes to apply, or null
+   * to leave it alone. If the hash changes before EXEC, `fn` runs again on the
+   * new value, up to `retries` times, then WatchError is thrown.
+   * Resolves with the object as written.
+   */
+  async modify(id, fn, { retries = 5, ttl = this.ttl } = {}) {
+    // WATCH is per connection, so it gets its own; calls from this process take turns on it.
+    const run = this.queue.then(async () => {
+      const connection = await this.watcherConnection();
+      for (let attempt = 0; ; attempt++) {
+        await connection.watch(this.key(id));
+        const hash = await connection.hGetAll(this.key(id));
+        const current = Object.keys(hash).length === 0 ? null : this.decode(hash);
+        let changes;
+        try {
+          changes = await fn(current);
+        } catch (err) {
+          await connection.unwatch();
+          throw err;
+        }
+        if (!changes) {
+          await connection.unwatch();
+          return current;
+        }
+        try {
+          await this.write(connection.multi(), id, changes, ttl).exec();
+          return this.apply(current, changes);
+        } catch (err) {
+          if (!(err instanceof WatchError) || attempt >= retries) throw err;
+        }
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  apply(current, changes) {
+    const next = { ...(current ?? {}) };
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null || value === undefined) delete next[field];
+      else next[field] = value;
+    }
+    return next;
+  }
+
+  async watcherConnection() {
+    if (!this.watcher) {
+      this.watcher = this.client.duplicate();
+      this.watcher.on("error", (err) => logger.error("Redis watcher error", err));
+      await this.watcher.connect();
+    }
+    return this.watcher;
+  }
+
+  // Resets the expiry without writing. Resolves false if the object does not exist.
+  async touch(id, ttl = this.ttl) {
+    return (await this.client.expire(this.key(id), ttl)) === 1;
+  }
+
+  async delete(id) {
+    return (await this.client.unlink(this.key(id))) === 1;
+  }
+
+  // Closes the extra connection used by modify(), if one was opened.
+  async close() {
+    await this.queue;
+    await this.watcher?.quit();
+    this.watcher = null;
+  }
+}
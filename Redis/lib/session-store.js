@@ -0,0 +1,61 @@
+/**
+ * express-session Store on Redis
+ * ------------------------------
+ * Keeps sessions in Redis (one hash per session, `sess:<sid>`) instead of
+ * express-session's MemoryStore, which leaks memory and forgets everyone on
+ * restart. Expiry is Redis's job: each write sets the TTL from the session
+ * cookie's maxAge, so abandoned sessions disappear on their own.
+ *
+ * Usage:
+ *   app.use(session({ store: new RedisSessionStore(client), secret, resave: false, saveUninitialized: false }));
+ */
+
+import session from "express-session";
+import { key } from "./keys.js";
+import { HashRepository } from "./repository.js";
+
+// Hands the outcome of `promise` to a Node-style callback on the next tick, outside the promise
+// chain: an error thrown by the callback itself (inside express-session) is then an ordinary
+// uncaught exception, not an unhandled rejection or a second call with that error.
+function settle(promise, callback) {
+  promise.then(
+    (value) => process.nextTick(callback, null, value),
+    (err) => process.nextTick(callback, err)
+  );
+}
+
+export class RedisSessionStore extends session.Store {
+  /**
+   * @param client  connected node-redis client
+   * @param prefix  key prefix
+   * @param ttl     seconds, for sessions whose cookie has no maxAge
+   */
+  constructor(client, { prefix = key("sess:"), ttl = 86400 } = {}) {
+    super();
+    this.sessions = new HashRepository(client, prefix, { data: "json" });
+    this.ttl = ttl;
+  }
+
+  // Seconds the session should live: until the cookie expires.
+  ttlFor(sess) {
+    const maxAge = sess?.cookie?.maxAge;
+    return typeof maxAge === "number" ? Math.max(Math.ceil(maxAge / 1000), 1) : this.ttl;
+  }
+
+  get(sid, callback) {
+    settle(this.sessions.get(sid).then((stored) => stored?.data ?? null), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    settle(this.sessions.save(sid, { data: sess }, { ttl: this.ttlFor(sess) }), callback);
+  }
+
+  // Called on requests that didn't change the session (with resave: false), to keep it alive.
+  touch(sid, sess, callback = () => {}) {
+    settle(this.sessions.touch(sid, this.ttlFor(sess)), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    settle(this.sessions.delete(sid), callback);
+  }
+}
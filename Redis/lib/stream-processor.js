@@ -0,0 +1,261 @@
+/**
+ * Redis Streams Consumer-Group Processor
+ * --------------------------------------
+ * The "at-least-once delivery → XREADGROUP with ACK" note from stream.js,
+ * implemented: a small framework that runs N consumers in one group.
+ *
+ * How it works:
+ *  - XGROUP CREATE ... MKSTREAM once (an existing group is fine)
+ *  - Each consumer first re-reads its own pending entries (ID 0), then new ones (ID >)
+ *    with XREADGROUP BLOCK, and XACKs an entry only after the handler succeeded;
+ *    pending entries that were trimmed or deleted meanwhile are ACKed and skipped
+ *  - A reclaimer periodically looks at the Pending Entries List (PEL):
+ *      • entries delivered `maxDeliveries` times are poison → copied to a
+ *        dead-letter stream, then ACKed so they stop coming back
+ *      • entries idle longer than `minIdleTime` (their consumer died or hung)
+ *        are taken over with XAUTOCLAIM and handled again
+ *  - XADD through `publish()` trims with MAXLEN ~ so the stream stays bounded
+ *
+ * ⚠️ A handler may see the same entry more than once (after a crash, or if it
+ *    fails and is retried), so it should be idempotent.
+ * ⚠️ Only a consumer that restarts under the same name gets its own pending
+ *    entries back at once. The default prefix is the host name, so run one
+ *    processor per host per group, or give each one its own `consumerPrefix`
+ *    (e.g. from an env variable); otherwise its entries wait for the reclaimer.
+ *
+ * Usage:
+ *   const { process } = createStreamProcessor(client);
+ *   const processor = await process("orders", "billing", async ({ id, message }) => {
+ *     await charge(message.orderId);
+ *   }, { consumers: 3 });
+ *   await processor.stop();
+ */
+
+import os from "node:os";
+import { logger } from "chat-observability";
+
+export class StreamProcessor {
+  /**
+   * @param client         connected node-redis client; each consumer gets its own duplicate
+   *                       because XREADGROUP BLOCK ties up the connection
+   * @param stream         stream key, used as given (wrap it in key() from keys.js for REDIS_KEY_PREFIX)
+   * @param group          consumer group name
+   * @param handler        async ({ id, message }) => void; throwing leaves the entry pending
+   * @param consumers      number of consumers to run in this process
+   * @param consumerPrefix consumer names are `${consumerPrefix}-${i}`; keep them stable
+   *                       across restarts so a restarted consumer picks up its own pending entries,
+   *                       and unique per process (defaults to the host name)
+   * @param count          entries per XREADGROUP
+   * @param block          ms XREADGROUP waits for new entries
+   * @param claimInterval  ms between reclaimer runs
+   * @param minIdleTime    ms an entry must sit unacknowledged before another consumer takes it
+   * @param maxDeliveries  deliveries after which an entry goes to the dead-letter stream
+   * @param deadLetterStream  defaults to `${stream}:dead`
+   * @param maxLen         approximate cap used by publish() and on the dead-letter stream
+   */
+  constructor(
+    client,
+    stream,
+    group,
+    handler,
+    {
+      consumers = 1,
+      consumerPrefix = os.hostname(),
+      count = 10,
+      block = 5000,
+      claimInterval = 30000,
+      minIdleTime = 60000,
+      maxDeliveries = 5,
+      deadLetterStream = `${stream}:dead`,
+      maxLen = 10000,
+    } = {}
+  ) {
+    this.client = client;
+    this.stream = stream;
+    this.group = group;
+    this.handler = handler;
+    this.options = { consumers, consumerPrefix, count, block, claimInterval, minIdleTime, maxDeliveries, maxLen };
+    this.deadLetterStream = deadLetterStream;
+    this.running = false;
+    this.connections = [];
+    this.loops = [];
+    this.timer = null;
+  }
+
+  // Creates the group (and the stream) unless they already exist.
+  async ensureGroup() {
+    try {
+      await this.client.xGroupCreate(this.stream, this.group, "$", { MKSTREAM: true });
+    } catch (err) {
+      if (!err.message.includes("BUSYGROUP")) throw err;
+    }
+  }
+
+  async start() {
+    await this.ensureGroup();
+    this.running = true;
+
+    for (let i = 0; i < this.options.consumers; i++) {
+      const connection = this.client.duplicate();
+      connection.on("error", (err) => logger.error("Redis consumer error", { stream: this.stream, group: this.group, err }));
+      await connection.connect();
+      this.connections.push(connection);
+      this.loops.push(this.consume(connection, `${this.options.consumerPrefix}-${i}`));
+    }
+
+    this.timer = setInterval(() => {
+      this.reclaim().catch((err) => logger.error("Reclaim failed", { stream: this.stream, group: this.group, err }));
+    }, this.options.claimInterval);
+    return this;
+  }
+
+  // Stops reading, lets in-flight handlers finish and closes the consumer connections.
+  async stop() {
+    this.running = false;
+    clearInterval(this.timer);
+    await Promise.all(this.loops);
+    await Promise.all(this.connections.map((connection) => connection.quit()));
+    this.connections = [];
+    this.loops = [];
+  }
+
+  // Appends an entry, trimming the stream to roughly maxLen.
+  async publish(fields) {
+    return this.client.xAdd(this.stream, "*", fields, {
+      TRIM: { strategy: "MAXLEN", strategyModifier: "~", threshold: this.options.maxLen },
+    });
+  }
+
+  async consume(connection, consumer) {
+    // "0" re-reads what this consumer was given before a restart but never ACKed.
+    let cursor = "0";
+    while (this.running) {
+      let messages;
+      try {
+        if (cursor === ">") {
+          const reply = await connection.xReadGroup(
+            this.group,
+            consumer,
+            { key: this.stream, id: cursor },
+            { COUNT: this.options.count, BLOCK: this.options.block }
+          );
+          messages = reply?.[0]?.messages ?? [];
+        } else {
+          messages = await this.readBacklog(connection, consumer, cursor);
+        }
+      } catch (err) {
+        logger.error("Stream read failed", { stream: this.stream, group: this.group, consumer, err });
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      if (cursor !== ">" && messages.length === 0) {
+        cursor = ">"; // own backlog done, switch to new entries
+        continue;
+      }
+      for (const entry of messages) {
+        if (entry.message) {
+          await this.handle(entry, consumer);
+        } else {
+          await this.dropTrimmed(entry.id, consumer);
+        }
+      }
+      // In the backlog, move past what we just tried, even if it failed again.
+      if (cursor !== ">") cursor = messages[messages.length - 1].id;
+    }
+  }
+
+  /**
+   * This consumer's pending entries after `cursor`. Read raw because an entry
+   * trimmed or deleted while pending comes back as [id, nil], which node-redis
+   * fails to parse (the whole read would throw); those get `message: null`.
+   */
+  async readBacklog(connection, consumer, cursor) {
+    const args = [
+      "XREADGROUP", "GROUP", this.group, consumer,
+      "COUNT", String(this.options.count),
+      "STREAMS", this.stream, cursor,
+    ];
+    // A RedisCluster needs the key to pick the node.
+    const reply = await (connection.masters ? connection.sendCommand(this.stream, false, args) : connection.sendCommand(args));
+    const entries = reply?.[0]?.[1] ?? [];
+    return entries.map(([id, fields]) => {
+      if (!fields) return { id, message: null };
+      const message = {};
+      for (let i = 0; i < fields.length; i += 2) message[fields[i]] = fields[i + 1];
+      return { id, message };
+    });
+  }
+
+  // A pending entry whose data is gone can't be handled; ACK it so it leaves the PEL.
+  async dropTrimmed(id, consumer) {
+    try {
+      await this.client.xAck(this.stream, this.group, id);
+      logger.warn("Pending entry was trimmed, acknowledged without handling", { stream: this.stream, group: this.group, consumer, entry: id });
+    } catch (err) {
+      logger.error("Acknowledging a trimmed entry failed", { stream: this.stream, group: this.group, consumer, entry: id, err });
+    }
+  }
+
+  async handle(entry, consumer) {
+    try {
+      await this.handler(entry);
+      await this.client.xAck(this.stream, this.group, entry.id);
+    } catch (err) {
+      // Not ACKed: stays in the PEL and comes back through the reclaimer.
+      logger.error("Handler failed, entry stays pending", { stream: this.stream, group: this.group, consumer, entry: entry.id, err });
+    }
+  }
+
+  /**
+   * One reclaimer pass: dead-letter poison entries, then take over entries that
+   * have sat idle too long and handle them here.
+   */
+  async reclaim() {
+    const { minIdleTime, maxDeliveries, count } = this.options;
+    const consumer = `${this.options.consumerPrefix}-reclaimer`;
+
+    const pending = await this.client.xPendingRange(this.stream, this.group, "-", "+", 100, { IDLE: minIdleTime });
+    for (const { id, deliveriesCounter } of pending) {
+      if (deliveriesCounter >= maxDeliveries) await this.deadLetter(id, deliveriesCounter);
+    }
+
+    let start = "0-0";
+    do {
+      const { nextId, messages } = await this.client.xAutoClaim(this.stream, this.group, consumer, minIdleTime, start, {
+        COUNT: count,
+      });
+      for (const entry of messages) {
+        if (entry) await this.handle(entry, consumer); // null = trimmed away while pending
+      }
+      start = nextId;
+    } while (this.running && start !== "0-0");
+  }
+
+  async deadLetter(id, deliveries) {
+    const [entry] = await this.client.xRange(this.stream, id, id);
+    // Not a MULTI: on Cluster the dead-letter stream may be in another slot. A crash in
+    // between leaves the entry pending, so it is dead-lettered again on the next pass.
+    await this.client.xAdd(
+      this.deadLetterStream,
+      "*",
+      { ...(entry?.message ?? {}), originalId: id, deliveries: String(deliveries) },
+      { TRIM: { strategy: "MAXLEN", strategyModifier: "~", threshold: this.options.maxLen } }
+    );
+    await this.client.xAck(this.stream, this.group, id);
+    logger.warn("Entry moved to the dead letter stream", { stream: this.stream, group: this.group, entry: id, deadLetterStream: this.deadLetterStream, deliveries });
+  }
+}
+
+/**
+ * Binds a client once and returns `process(stream, group, handler, options)`,
+ * which starts consuming `stream` as `group`, calling `handler` for every entry.
+ * It resolves with the running StreamProcessor (call `stop()` to shut down).
+ */
+export function createStreamProcessor(client, defaults = {}) {
+  return {
+    process(stream, group, handler, options = {}) {
+      return new StreamProcessor(client, stream, group, handler, { ...defaults, ...options }).start();
+    },
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Push to WebSocket clients from here
+ * -----------------------------------
+ * The WebSocket server (../websocket) fans room messages out across its
+ * instances over a Redis pub/sub channel (websocket/src/bus.ts). Publishing an
+ * envelope on that same channel delivers a frame to WebSocket clients without
+ * this process holding any sockets.
+ *
+ * Envelope: { origin, room, payload } where payload is the JSON frame as a
+ * string; room "*" means every connected client. Frames follow the shared
+ * protocol (../protocol): the version, a fresh id and the timestamp are
+ * stamped here, so callers only pass the type and its fields. chat-protocol is
+ * TypeScript: `npm install` here builds it (the prepare script).
+ *
+ * Usage:
+ *   const bridge = new WsBridge(client);
+ *   await bridge.toEveryone({ type: "system", text: "Deploying in 5 min" });
+ */
+
+import { randomUUID } from "node:crypto";
+import { PROTOCOL_VERSION } from "chat-protocol";
+
+export const EVERYONE = "*";
+
+export class WsBridge {
+  /**
+   * @param client   connected node-redis client
+   * @param channel  must match WS_BUS_CHANNEL of the WebSocket server
+   */
+  constructor(client, { channel = process.env.WS_BUS_CHANNEL || "ws:broadcast" } = {}) {
+    this.client = client;
+    this.channel = channel;
+  }
+
+  // Resolves with the number of WebSocket server instances that received it.
+  async toRoom(room, message) {
+    const frame = { v: PROTOCOL_VERSION, id: randomUUID(), ts: new Date().toISOString(), ...message };
+    const envelope = { origin: "redis-playground", room, payload: JSON.stringify(frame) };
+    return this.client.publish(this.channel, JSON.stringify(envelope));
+  }
+
+  async toEveryone(message) {
+    return this.toRoom(EVERYONE, message);
+  }
+}
@@ -24,7 +24,7 @@
  * Run: node list.js
  */
 
-const client = require("./client"); // ioredis client instance
+import client from "./client.js"; // ioredis client instance
 
 async function init() {
   // Clear old data
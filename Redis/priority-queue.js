@@ -16,7 +16,7 @@
 // - Lower score = higher priority (like min-heap).
 // ================================
 
-const client = require("./client");
+import client from "./client.js";
 
 async function init() {
   // Clear old queue
@@ -48,6 +48,8 @@ async function init() {
   await client.zincrby("taskQueue", -1, "Check emails"); // Move up in priority
   const updated = await client.zrange("taskQueue", 0, -1, "WITHSCORES");
   console.log("Updated priorities:", updated);
+
+  await client.quit();
 }
 
 init();
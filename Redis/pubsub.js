@@ -16,15 +16,15 @@
  */
 
 // pubsub.js
-import { createClient } from "redis";
+import { createRedisClient } from "./lib/connection.js";
 
 async function runPubSub() {
   // Publisher
-  const publisher = createClient();
+  const publisher = createRedisClient();
   await publisher.connect();
 
   // Subscriber
-  const subscriber = createClient();
+  const subscriber = createRedisClient();
   await subscriber.connect();
 
   await subscriber.subscribe("my-channel", (message) => {
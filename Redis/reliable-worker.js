@@ -0,0 +1,74 @@
+/**
+ * 📦 Reliable Queue Demo (lib/reliable-queue.js)
+ * ----------------------------------------------
+ * Terminal 1..N (workers, each with its own WORKER_ID; keep it when restarting):
+ *    WORKER_ID=1 node reliable-worker.js         # one item at a time
+ *    WORKER_ID=2 node reliable-worker.js batch   # up to 3 items per pop
+ *
+ * Another terminal (producer):
+ *    node reliable-worker.js produce
+ *
+ * Kill a worker with Ctrl+\ (SIGQUIT, no cleanup) while it is "sending": its
+ * items stay in rqueue:{emails}:processing:<worker> until another worker's reaper
+ * notices the missing heartbeat (10 sec) and puts them back in pending — or
+ * until the worker is started again with the same WORKER_ID and recovers them.
+ */
+
+import os from "node:os";
+import { createRedisClient, onShutdown } from "./lib/connection.js";
+import { ReliableQueue } from "./lib/reliable-queue.js";
+
+const client = createRedisClient();
+client.on("error", (err) => console.error("Redis Client Error", err));
+await client.connect();
+
+const queue = new ReliableQueue(client, "emails", { mode: "fifo", deadAfter: 10000 });
+
+if (process.argv[2] === "produce") {
+  for (let i = 1; i <= 6; i++) {
+    await queue.push({ to: `user${i}@example.com`, subject: "Welcome!" });
+  }
+  console.log(`📤 Queued 6 emails, ${await queue.size()} pending`);
+  await client.quit();
+} else {
+  const worker = await queue.worker(`${os.hostname()}-${process.env.WORKER_ID ?? 1}`);
+  const recovered = await worker.recover();
+  if (recovered > 0) console.log(`♻️ Recovered ${recovered} items from before a restart`);
+  const batchSize = process.argv[2] === "batch" ? 3 : 1;
+  const reaper = setInterval(async () => {
+    try {
+      const moved = await queue.reap();
+      if (moved > 0) console.log(`♻️ Returned ${moved} items from dead workers`);
+    } catch (err) {
+      console.error("Reaping failed", err);
+    }
+  }, 5000);
+  console.log(`👂 Worker ${worker.id} waiting for emails...`);
+
+  let running = true;
+  const working = (async () => {
+    while (running) {
+      try {
+        const items = await worker.popBatch(batchSize, 1);
+        for (const item of items) {
+          console.log(`✉️ Sending to ${item.value.to}...`);
+          await new Promise((resolve) => setTimeout(resolve, 2000));
+          await worker.ack(item);
+          console.log(`✅ Sent to ${item.value.to}`);
+        }
+      } catch (err) {
+        // Unacked items stay in the processing list; stop() or a reaper puts them back.
+        console.error("Working failed, retrying in 1 sec", err);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+    clearInterval(reaper);
+    await worker.stop();
+  })().catch((err) => console.error("Stopping the worker failed", err));
+
+  // Ctrl+C finishes the current batch before the connections close.
+  onShutdown(async () => {
+    running = false;
+    await working;
+  });
+}
@@ -1,45 +1,495 @@
 
+import { randomUUID } from "node:crypto";
 import express from "express";
 import axios from "axios";
-import { createClient } from "redis";
+import session from "express-session";
+import { CONTENT_TYPE, logger, registry } from "chat-observability";
+import { createRedisClient, onShutdown } from "./lib/connection.js";
+import { key } from "./lib/keys.js";
+import { cache, LocalCache } from "./lib/cache.js";
+import { CacheInvalidator } from "./lib/cache-invalidation.js";
+import { HashRepository } from "./lib/repository.js";
+import { Leaderboard, PERIODS } from "./lib/leaderboard.js";
+import { WsBridge } from "./lib/ws-bridge.js";
+import { FeatureFlags, featureFlags } from "./lib/feature-flags.js";
+import { rateLimit } from "./lib/rate-limit.js";
+import { RedisSessionStore } from "./lib/session-store.js";
+import { JobQueue } from "./lib/job-queue.js";
+import { ReliableQueue } from "./lib/reliable-queue.js";
 
 const app = express();
 const PORT = 9000;
 
+// Upstream API — point UPSTREAM_URL at `node upstream-stub.js` to test without the internet.
+const UPSTREAM_URL = process.env.UPSTREAM_URL || "https://jsonplaceholder.typicode.com";
+const upstream = axios.create({ baseURL: UPSTREAM_URL, timeout: 5000 });
+
 // Create Redis client
-const client = createClient();
+const client = createRedisClient();
 
-client.on("error", (err) => console.error("Redis Client Error", err));
+client.on("error", (err) => logger.error("Redis client error", err));
 
 await client.connect();
 
-// Route: GET /
-app.get("/", async (req, res) => {
-  try {
-    const cacheKey = "posts"; // single key for demo
+// In-process copies of hot entries; the invalidator keeps them in sync across instances.
+const l1 = new LocalCache({ maxEntries: 500, ttl: 5 });
+const invalidator = new CacheInvalidator(client, { l1 });
+await invalidator.listen();
+
+// User profiles, one hash per user (profile:<name>), typed by the schema.
+const profiles = new HashRepository(client, key("profile:"), {
+  name: "string",
+  logins: "number",
+  lastLogin: "date",
+  admin: "boolean",
+  preferences: "json",
+});
+
+// One board per game, each with its own scoring mode (see lib/leaderboard.js).
+const leaderboards = {
+  arcade: new Leaderboard(client, "arcade", { mode: "best" }),
+  quests: new Leaderboard(client, "quests", { mode: "sum" }),
+  rating: new Leaderboard(client, "rating", { mode: "latest" }),
+};
 
-    // 1. Check cache first
-    const cachedData = await client.get(cacheKey);
+// Feature flags targeting users, segments (Redis sets) and rollout percentages.
+const flags = new FeatureFlags(client);
 
-    if (cachedData) {
-      console.log("✅ Serving from Redis Cache");
-      return res.json(JSON.parse(cachedData));
+// With WS_PUSH=1, rank changes and flag changes are pushed to react-ws clients through the WebSocket server's bus.
+const wsBridge = process.env.WS_PUSH ? new WsBridge(client) : null;
+
+/* ---------- observability ---------- */
+
+// Prometheus metrics, served at GET /metrics (see ../observability).
+const httpRequests = registry.counter({
+  name: "http_requests_total",
+  help: "HTTP requests answered, by route and status",
+  labelNames: ["method", "route", "status"],
+});
+const httpDuration = registry.histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to answer an HTTP request",
+  labelNames: ["method", "route"],
+});
+// X-Cache of the responses of cached routes (lib/cache.js): hit, stale or miss.
+const cacheRequests = registry.counter({
+  name: "cache_requests_total",
+  help: "Requests to cached routes, by how the cache answered them",
+  labelNames: ["result"],
+});
+registry.gauge({
+  name: "cache_hit_ratio",
+  help: "Share of requests to cached routes answered from the cache (hit or stale) since start",
+  collect: (gauge) => {
+    const [hit, stale, miss] = ["hit", "stale", "miss"].map((result) => cacheRequests.get({ result }));
+    gauge.set({}, hit + stale + miss === 0 ? 0 : (hit + stale) / (hit + stale + miss));
+  },
+});
+const upstreamDuration = registry.histogram({
+  name: "upstream_request_duration_seconds",
+  help: "Time the upstream API took to answer, by status (error: no answer)",
+  labelNames: ["status"],
+});
+// Queues shared with the workers: job-worker.js (JobQueue "demo") and reliable-worker.js (ReliableQueue "emails").
+const jobQueues = (process.env.METRICS_JOB_QUEUES ?? "demo").split(",").filter(Boolean).map((name) => new JobQueue(client, name));
+const reliableQueues = (process.env.METRICS_RELIABLE_QUEUES ?? "emails").split(",").filter(Boolean).map((name) => new ReliableQueue(client, name));
+registry.gauge({
+  name: "queue_depth",
+  help: "Items in the Redis queues, by queue and state",
+  labelNames: ["queue", "state"],
+  collect: async (gauge) => {
+    for (const queue of jobQueues) {
+      for (const [state, depth] of Object.entries(await queue.counts())) gauge.set({ queue: queue.name, state }, depth);
     }
+    for (const queue of reliableQueues) gauge.set({ queue: queue.name, state: "pending" }, await queue.size());
+  },
+});
 
-    // 2. If not in cache → fetch from API
-    console.log("🌐 Fetching from JSONPlaceholder API...");
-    const { data } = await axios.get("https://jsonplaceholder.typicode.com/posts");
+upstream.interceptors.request.use((config) => {
+  config.endTimer = upstreamDuration.startTimer();
+  return config;
+});
+upstream.interceptors.response.use(
+  (response) => {
+    response.config.endTimer({ status: response.status });
+    return response;
+  },
+  (error) => {
+    error.config?.endTimer?.({ status: error.response?.status ?? "error" });
+    return Promise.reject(error);
+  }
+);
 
-    // 3. Save response in Redis (set expiry 60 sec)
-    await client.setEx(cacheKey, 60, JSON.stringify(data));
+// Every request gets an id (or keeps a valid X-Request-Id from a proxy), returned in the response
+// and attached to its log lines through req.log. One log line per answered request.
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  req.id = given && /^[\w.-]{1,64}$/.test(given) ? given : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+  const endTimer = httpDuration.startTimer({ method: req.method });
+  res.on("finish", () => {
+    // The route pattern, not the URL, so /posts/1 and /posts/2 are one series.
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const seconds = endTimer({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    const cacheResult = res.get("X-Cache");
+    if (cacheResult) cacheRequests.inc({ result: cacheResult.toLowerCase() });
+    req.log.info("Request", { method: req.method, path: req.originalUrl, status: res.statusCode, ms: Math.round(seconds * 1000) });
+  });
+  next();
+});
 
-    return res.json(data);
+// Route: GET /healthz — the process is up (liveness)
+app.get("/healthz", (req, res) => res.json({ status: "ok" }));
+
+// Route: GET /readyz — Redis answers, so requests can be served (readiness)
+app.get("/readyz", async (req, res) => {
+  try {
+    await Promise.race([
+      client.ping(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error("Redis did not answer PING within 1 sec")), 1000).unref()),
+    ]);
+    res.json({ status: "ready" });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Something went wrong" });
+    req.log.warn("Not ready", { err: error });
+    res.status(503).json({ status: "unavailable", error: error.message });
+  }
+});
+
+// Route: GET /metrics — Prometheus scrape endpoint
+app.get("/metrics", async (req, res) => {
+  res.type(CONTENT_TYPE).send(await registry.metrics());
+});
+
+app.use(express.json());
+
+// Behind a proxy / load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client, not the proxy.
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+// Limits shared by all instances (see lib/rate-limit.js).
+// Post routes hit the upstream API: 60 requests a minute per API key (X-Api-Key, one of
+// the comma-separated API_KEYS) or else per IP.
+const postsLimit = rateLimit(client, {
+  algorithm: "sliding-window",
+  limit: 60,
+  windowMs: 60000,
+  keyBy: "apiKey",
+  apiKeys: (process.env.API_KEYS ?? "").split(",").filter(Boolean),
+  name: "posts",
+});
+// Slows down password guessing.
+const loginLimit = rateLimit(client, { algorithm: "fixed-window", limit: 10, windowMs: 60000, name: "login" });
+// Bursts of 20 scores, then one every half second.
+const scoresLimit = rateLimit(client, { algorithm: "token-bucket", limit: 20, windowMs: 10000, keyBy: "user", name: "scores" });
+
+// Logged-in sessions live in Redis for a day, so they survive restarts and are shared by all instances.
+if (!process.env.SESSION_SECRET) logger.warn("SESSION_SECRET is not set, using an insecure development secret");
+app.use(
+  session({
+    store: new RedisSessionStore(client),
+    secret: process.env.SESSION_SECRET || "dev-session-secret",
+    resave: false,
+    saveUninitialized: false,
+    cookie: { httpOnly: true, sameSite: "lax", maxAge: 24 * 60 * 60 * 1000 },
+  })
+);
+
+function requireLogin(req, res, next) {
+  if (!req.session.user) return res.status(401).json({ error: "Not logged in" });
+  next();
+}
+
+// Admin routes need `Authorization: Bearer $ADMIN_TOKEN`, and are off when it isn't set.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ error: "Set ADMIN_TOKEN to enable admin routes" });
+  if (req.get("authorization") !== `Bearer ${token}`) return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
+
+// For a route's own errors: those of the given types come from bad input and answer 400 with
+// their message; anything else goes on to the error handler at the end.
+function badInput(...types) {
+  return (error, req, res, next) => {
+    if (!types.some((type) => error instanceof type)) return next(error);
+    res.status(400).json({ error: error.message });
+  };
+}
+
+// Route: GET / — all posts: fresh for 60 sec, then served stale (and refreshed) for up to 10 min
+app.get("/", postsLimit, cache(client, { softTtl: 60, hardTtl: 600, tags: ["posts"], l1 }), async (req, res) => {
+  req.log.info("Fetching posts from the upstream API");
+  const { data } = await upstream.get("/posts");
+  return res.json(data);
+});
+
+// Route: GET /posts/:id — a single post; these change less often, so fresh for 5 min, kept for an hour
+app.get(
+  "/posts/:id",
+  postsLimit,
+  cache(client, { softTtl: 300, hardTtl: 3600, tags: (req) => ["posts", `post:${req.params.id}`], l1 }),
+  async (req, res) => {
+    req.log.info("Fetching a post from the upstream API", { post: req.params.id });
+    const { data } = await upstream.get(`/posts/${encodeURIComponent(req.params.id)}`);
+    return res.json(data);
+  },
+  (error, req, res, next) => {
+    if (error.response?.status !== 404) return next(error);
+    res.status(404).json({ error: "Post not found" });
+  }
+);
+
+// Route: POST /login — body { "username": "ankit", "password": "..." }
+// The password is only checked when LOGIN_PASSWORD is set (one shared password, enough for a playground).
+app.post("/login", loginLimit, async (req, res, next) => {
+  const { username, password } = req.body ?? {};
+  if (typeof username !== "string" || !/^[\w-]{1,32}$/.test(username)) {
+    return res.status(400).json({ error: "Invalid username" });
+  }
+  if (process.env.LOGIN_PASSWORD && password !== process.env.LOGIN_PASSWORD) {
+    return res.status(401).json({ error: "Wrong password" });
   }
+  const profile = await profiles.modify(username, (current) => ({
+    name: current?.name ?? username,
+    lastLogin: new Date(),
+    admin: current?.admin ?? false,
+  }));
+  const logins = await profiles.increment(username, "logins");
+  // New session id on login, so a session id planted before login is useless afterwards.
+  req.session.regenerate((err) => {
+    if (err) return next(err);
+    req.session.user = username;
+    res.json({ user: { ...profile, logins } });
+  });
+});
+
+// Route: GET /me — the logged-in user's profile
+app.get("/me", requireLogin, async (req, res) => {
+  res.json({ user: await profiles.get(req.session.user) });
+});
+
+// Route: PATCH /me/preferences — merges the body into the stored preferences
+app.patch("/me/preferences", requireLogin, async (req, res) => {
+  if (typeof req.body !== "object" || req.body === null || Array.isArray(req.body)) {
+    return res.status(400).json({ error: "Expected an object" });
+  }
+  const profile = await profiles.modify(req.session.user, (current) => ({
+    preferences: { ...(current?.preferences ?? {}), ...req.body },
+  }));
+  res.json({ user: profile });
+});
+
+// Route: POST /logout
+app.post("/logout", (req, res, next) => {
+  req.session.destroy((err) => {
+    if (err) return next(err);
+    res.clearCookie("connect.sid").status(204).end();
+  });
+});
+
+// Leaderboard routes share the lookup of the board and the period query parameter.
+function findBoard(req, res, next) {
+  req.board = leaderboards[req.params.board];
+  if (!req.board) return res.status(404).json({ error: "Unknown leaderboard" });
+  req.period = req.query.period ?? "all";
+  if (!PERIODS.includes(req.period)) return res.status(400).json({ error: `period must be one of ${PERIODS.join(", ")}` });
+  next();
+}
+
+// Positive integer query parameter, capped at `max`.
+function intParam(value, fallback, max) {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? Math.min(number, max) : fallback;
+}
+
+// Route: POST /leaderboards/:board/scores — body { "score": 420 }, recorded for the logged-in user
+app.post("/leaderboards/:board/scores", requireLogin, scoresLimit, findBoard, async (req, res) => {
+  const { score } = req.body ?? {};
+  if (typeof score !== "number" || !Number.isFinite(score)) {
+    return res.status(400).json({ error: "score must be a number" });
+  }
+  const player = req.session.user;
+  const result = await req.board.submit(player, score);
+  if (wsBridge) {
+    for (const [period, { rank, previousRank, score: stored }] of Object.entries(result)) {
+      if (rank === previousRank) continue;
+      wsBridge
+        .toEveryone({ type: "leaderboard", board: req.params.board, period, player, score: stored, rank, previousRank })
+        .catch((err) => req.log.error("Leaderboard push failed", err));
+    }
+  }
+  res.status(201).json({ player, ...result });
+});
+
+// Route: GET /leaderboards/:board/top?count=10&period=daily
+app.get("/leaderboards/:board/top", findBoard, async (req, res) => {
+  const entries = await req.board.top(intParam(req.query.count, 10, 100), { period: req.period });
+  res.json({ period: req.period, entries });
+});
+
+// Route: GET /leaderboards/:board?page=2&size=20&period=weekly
+app.get("/leaderboards/:board", findBoard, async (req, res) => {
+  const page = await req.board.page(intParam(req.query.page, 1, Number.MAX_SAFE_INTEGER), intParam(req.query.size, 20, 100), {
+    period: req.period,
+  });
+  res.json({ period: req.period, ...page });
+});
+
+// Route: GET /leaderboards/:board/players/:player?neighbours=2 — rank, score and the players around them
+app.get("/leaderboards/:board/players/:player", findBoard, async (req, res) => {
+  const result = await req.board.around(req.params.player, {
+    neighbours: intParam(req.query.neighbours, 2, 25),
+    period: req.period,
+  });
+  if (!result) return res.status(404).json({ error: "No score for this player" });
+  res.json({ period: req.period, ...result });
+});
+
+// Route: GET /flags?user=ankit — flags for the logged-in user (or ?user=, for the react-ws client,
+// which logs in with the WebSocket server instead). Flags toggle UI, they must not guard anything secret.
+app.get(
+  "/flags",
+  (req, res, next) => {
+    res.set("Access-Control-Allow-Origin", process.env.CORS_ORIGIN || "*");
+    next();
+  },
+  featureFlags(flags, { userId: (req) => req.session.user ?? req.query.user }),
+  (req, res) => res.json({ flags: req.flags })
+);
+
+// Tells connected react-ws clients to fetch their flags again.
+function flagsChanged(names) {
+  wsBridge
+    ?.toEveryone({ type: "flags-changed", flags: names })
+    .catch((err) => logger.error("Flag change push failed", err));
+}
+
+// Route: GET /admin/flags — every flag with its definition and targeted users
+app.get("/admin/flags", requireAdmin, async (req, res) => {
+  res.json({ flags: await flags.list() });
+});
+
+// Route: PUT /admin/flags/:flag — body { enabled, rollout, segment, description }, all optional
+app.put(
+  "/admin/flags/:flag",
+  requireAdmin,
+  async (req, res) => {
+    const { enabled, rollout, segment, description } = req.body ?? {};
+    await flags.define(req.params.flag, { enabled, rollout, segment, description });
+    flagsChanged([req.params.flag]);
+    res.json({ flag: req.params.flag, ...(await flags.definitions.get(req.params.flag)) });
+  },
+  badInput(SyntaxError, RangeError, TypeError)
+);
+
+app.delete(
+  "/admin/flags/:flag",
+  requireAdmin,
+  async (req, res) => {
+    await flags.remove(req.params.flag);
+    flagsChanged([req.params.flag]);
+    res.status(204).end();
+  },
+  badInput(SyntaxError)
+);
+
+// Both bodies are { "add": ["ankit"], "remove": ["raj"] }.
+function userLists(body) {
+  const { add = [], remove = [] } = body ?? {};
+  const valid = (list) => Array.isArray(list) && list.every((user) => typeof user === "string" && user.length > 0);
+  return valid(add) && valid(remove) ? { add, remove } : null;
+}
+
+// Route: POST /admin/flags/:flag/users — users who always get the flag
+app.post(
+  "/admin/flags/:flag/users",
+  requireAdmin,
+  async (req, res) => {
+    const lists = userLists(req.body);
+    if (!lists) return res.status(400).json({ error: "add and remove must be arrays of user ids" });
+    await flags.target(req.params.flag, lists);
+    flagsChanged([req.params.flag]);
+    res.json({ ok: true });
+  },
+  badInput(SyntaxError)
+);
+
+// Route: POST /admin/segments/:segment — segment membership changes can flip any flag using it
+app.post(
+  "/admin/segments/:segment",
+  requireAdmin,
+  async (req, res) => {
+    const lists = userLists(req.body);
+    if (!lists) return res.status(400).json({ error: "add and remove must be arrays of user ids" });
+    if (lists.add.length > 0) await flags.addToSegment(req.params.segment, lists.add);
+    if (lists.remove.length > 0) await flags.removeFromSegment(req.params.segment, lists.remove);
+    flagsChanged([]);
+    res.json({ ok: true });
+  },
+  badInput(SyntaxError)
+);
+
+// Route: GET /admin/segments/audience?expr=admins|beta-blocked — who a segment expression matches
+app.get(
+  "/admin/segments/audience",
+  requireAdmin,
+  async (req, res) => {
+    if (typeof req.query.expr !== "string") return res.status(400).json({ error: "expr is required" });
+    res.json({ users: await flags.audience(req.query.expr) });
+  },
+  badInput(SyntaxError)
+);
+
+// Route: POST /admin/cache/invalidate — body is one of
+//   { "key": "cache:GET:/posts/1" }
+//   { "pattern": "cache:GET:/posts/*" }
+//   { "tags": ["post:1"] }
+// Keys and patterns start with REDIS_KEY_PREFIX, if one is set.
+app.post(
+  "/admin/cache/invalidate",
+  requireAdmin,
+  async (req, res) => {
+    const { key, pattern, tags } = req.body ?? {};
+    // Only the field that was used goes into the log, not whatever else the body carried.
+    let removed;
+    let target;
+    if (typeof key === "string") {
+      target = { key };
+      removed = await invalidator.invalidateKey(key);
+    } else if (typeof pattern === "string") {
+      target = { pattern };
+      removed = await invalidator.invalidatePattern(pattern);
+    } else if (Array.isArray(tags) && tags.every((tag) => typeof tag === "string")) {
+      target = { tags };
+      removed = await invalidator.invalidateTags(tags);
+    } else {
+      return res.status(400).json({ error: "Expected one of: key, pattern, tags" });
+    }
+    req.log.info("Invalidated cache entries", { removed, ...target });
+    res.json({ removed });
+  },
+  badInput(RangeError)
+);
+
+// Errors passed on by the routes above (Express 5 passes on rejected async handlers too). Errors
+// that carry a client status, like a body express.json() can't parse, keep it; the rest are ours.
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status ?? error.statusCode;
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: error.expose ? error.message : "Bad request" });
+  }
+  req.log.error("Request failed", error);
+  res.status(500).json({ error: "Something went wrong" });
+});
+
+const server = app.listen(PORT, () => {
+  logger.info(`Server running at http://localhost:${PORT}`, { port: PORT });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
+// Ctrl+C / SIGTERM: stop taking requests, let running ones finish, then close the extra Redis connections.
+onShutdown(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await Promise.all([invalidator.close(), profiles.close()]);
 });
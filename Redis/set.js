@@ -22,7 +22,7 @@
  * Run: node set.js
  */
 
-const client = require("./client"); // ioredis client instance
+import client from "./client.js"; // ioredis client instance
 
 async function init() {
   // Clear old data
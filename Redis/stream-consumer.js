@@ -0,0 +1,53 @@
+/**
+ * 📬 Consumer Group Demo (lib/stream-processor.js)
+ * ------------------------------------------------
+ * Terminal 1..N (consumers, each runs 2 consumers in the "billing" group):
+ *    node stream-consumer.js
+ *
+ * Another terminal (producer):
+ *    node stream-consumer.js produce
+ *
+ * Events with `poison=1` always fail: after 3 deliveries the reclaimer moves
+ * them to the `orders:dead` stream (check with `redis-cli XRANGE orders:dead - +`).
+ * Kill a consumer mid-way and its pending entries are taken over after 10 sec.
+ * Consumers on one host need their own CONSUMER_ID (default 1): a consumer
+ * restarted with the same id handles its own pending entries right away.
+ */
+
+import os from "node:os";
+import { createRedisClient, onShutdown } from "./lib/connection.js";
+import { key } from "./lib/keys.js";
+import { createStreamProcessor, StreamProcessor } from "./lib/stream-processor.js";
+
+const client = createRedisClient();
+client.on("error", (err) => console.error("Redis Client Error", err));
+await client.connect();
+
+const stream = key("orders");
+
+const options = {
+  consumerPrefix: `${os.hostname()}-${process.env.CONSUMER_ID ?? 1}`,
+  consumers: 2,
+  claimInterval: 5000,
+  minIdleTime: 10000,
+  maxDeliveries: 3,
+  maxLen: 1000,
+};
+
+if (process.argv[2] === "produce") {
+  const producer = new StreamProcessor(client, stream, "billing", null, options);
+  for (let i = 1; i <= 5; i++) {
+    const id = await producer.publish({ event: "order_placed", orderId: String(5000 + i), poison: i === 3 ? "1" : "0" });
+    console.log(`📤 Added order ${5000 + i} =>`, id);
+  }
+  await client.quit();
+} else {
+  const { process: consume } = createStreamProcessor(client, options);
+  const processor = await consume(stream, "billing", async ({ id, message }) => {
+    if (message.poison === "1") throw new Error("Cannot bill this order");
+    console.log(`💳 ${id} billed order ${message.orderId}`);
+  });
+  console.log("👂 Consuming orders as group billing...");
+
+  onShutdown(() => processor.stop());
+}
@@ -37,7 +37,7 @@
 //
 // ========================================
 
-const client = require("./client");
+import client from "./client.js";
 
 async function init() {
   try {
@@ -10,7 +10,7 @@
  * Run: node string.js
  */
 
-const client = require("./client"); // ioredis client instance
+import client from "./client.js"; // ioredis client instance
 
 async function init() {
   /**
@@ -81,6 +81,8 @@ async function init() {
    * 7. SETNX (Set if Not Exists)
    * -----------------------------
    * Useful for locks or ensuring a key is only created once.
+   * ⚠️ As a lock this never expires and anyone can DEL it; see lib/lock.js
+   *    for SET NX PX with owner tokens, renewal and fencing tokens.
    */
   const setnx1 = await client.setnx("lock:key", "locked");
   console.log("SETNX first attempt =>", setnx1); // 1 (success)
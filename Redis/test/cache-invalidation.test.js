@@ -0,0 +1,55 @@
+/**
+ * lib/cache-invalidation.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { LocalCache } from "../lib/cache.js";
+import { CacheInvalidator } from "../lib/cache-invalidation.js";
+import { connection } from "./helpers.js";
+
+let client;
+let invalidator;
+const l1 = new LocalCache();
+
+before(async () => {
+  client = await connection();
+  invalidator = new CacheInvalidator(client, { l1 });
+  await invalidator.listen();
+});
+
+after(async () => {
+  await invalidator.close();
+});
+
+test("keys, patterns and tags are evicted from Redis and from the L1 cache", async () => {
+  await client.mSet({ "cache:GET:/posts/1": "a", "cache:GET:/posts/2": "b", "cache:GET:/users/1": "c" });
+  await client.sAdd("cache:tag:users", "cache:GET:/users/1");
+  ["cache:GET:/posts/1", "cache:GET:/posts/2", "cache:GET:/users/1"].forEach((key) => l1.set(key, {}));
+
+  assert.equal(await invalidator.invalidateKey("cache:GET:/posts/1"), 1);
+  assert.equal(await invalidator.invalidatePattern("cache:GET:/posts/*"), 1);
+  assert.equal(await invalidator.invalidateTags(["users"]), 1);
+  await sleep(50); // the notifications come back through the subscriber
+  assert.deepEqual([...l1.entries.keys()], []);
+  assert.deepEqual(await client.keys("cache:*"), []);
+});
+
+test("only cache keys can be invalidated", async () => {
+  await client.set("sess:abc", "{}");
+  await assert.rejects(invalidator.invalidateKey("sess:abc"), RangeError);
+  await assert.rejects(invalidator.invalidatePattern("*"), RangeError);
+  assert.equal(await client.exists("sess:abc"), 1);
+});
+
+test("malformed messages are dropped and the subscriber keeps working", async () => {
+  for (const message of ["not json", "null", '{"keys":5}', '{"keys":["a",1]}', '{"pattern":7}']) {
+    await client.publish("cache:invalidations", message);
+  }
+  l1.set("cache:GET:/still-listening", {});
+  await invalidator.notify({ keys: ["cache:GET:/still-listening"] });
+  await sleep(50);
+  assert.equal(l1.get("cache:GET:/still-listening"), null);
+});
@@ -0,0 +1,170 @@
+/**
+ * The in-memory Redis (lib/fake-redis.js), driven through node-redis the
+ * same way the servers use it. Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { WatchError } from "redis";
+import { connection } from "./helpers.js";
+
+let client;
+
+before(async () => {
+  client = await connection();
+});
+
+test("strings with TTL", async () => {
+  assert.equal(await client.set("t:greeting", "hi", { PX: 50 }), "OK");
+  assert.equal(await client.set("t:greeting", "again", { NX: true }), null);
+  assert.ok((await client.pTTL("t:greeting")) > 0);
+  await sleep(80);
+  assert.equal(await client.get("t:greeting"), null);
+  assert.equal(await client.exists("t:greeting"), 0);
+
+  assert.equal(await client.incrBy("t:counter", 5), 5);
+  assert.equal(await client.set("t:counter", "x", { GET: true }), "5");
+  await assert.rejects(client.incr("t:counter"), /not an integer/);
+  await assert.rejects(client.hGet("t:counter", "field"), /WRONGTYPE/);
+});
+
+test("hashes", async () => {
+  await client.hSet("t:user", { name: "Ankit", age: "23" });
+  assert.equal(await client.hIncrBy("t:user", "age", 1), 24);
+  assert.deepEqual({ ...(await client.hGetAll("t:user")) }, { name: "Ankit", age: "24" });
+  assert.equal(await client.hDel("t:user", ["name", "age"]), 2);
+  assert.equal(await client.exists("t:user"), 0); // empty hashes disappear
+});
+
+test("blocking list pops wake up on a push from another connection", async () => {
+  const blocked = await connection();
+  const pop = blocked.blPop("t:jobs", 5);
+  await sleep(20);
+  await client.rPush("t:jobs", ["a", "b"]);
+  assert.deepEqual(await pop, { key: "t:jobs", element: "a" });
+  assert.deepEqual(await client.lRange("t:jobs", 0, -1), ["b"]);
+
+  const move = blocked.blMove("t:jobs:empty", "t:jobs:done", "RIGHT", "LEFT", 5);
+  await sleep(20);
+  await client.lPush("t:jobs:empty", "c");
+  assert.equal(await move, "c");
+  assert.deepEqual(await client.lRange("t:jobs:done", 0, -1), ["c"]);
+
+  assert.equal(await blocked.brPop("t:nothing", 0.05), null);
+});
+
+test("sets and sorted sets", async () => {
+  await client.sAdd("t:users", ["ankit", "neha", "raj"]);
+  await client.sAdd("t:admins", ["ankit", "priya"]);
+  assert.deepEqual((await client.sInter(["t:users", "t:admins"])).sort(), ["ankit"]);
+  assert.equal(await client.sDiffStore("t:plain", ["t:users", "t:admins"]), 2);
+
+  await client.zAdd("t:board", [
+    { score: 10, value: "a" },
+    { score: 30, value: "b" },
+    { score: 20, value: "c" },
+  ]);
+  assert.equal(await client.zAdd("t:board", { score: 5, value: "b" }, { GT: true }), 0);
+  assert.equal(await client.zRevRank("t:board", "c"), 1);
+  assert.deepEqual(await client.zRangeWithScores("t:board", 0, 1, { REV: true }), [
+    { value: "b", score: 30 },
+    { value: "c", score: 20 },
+  ]);
+  assert.deepEqual(await client.zRangeByScore("t:board", "(10", "+inf"), ["c", "b"]);
+});
+
+test("XREAD BLOCK wakes up on XADD", async () => {
+  const reader = await connection();
+  const read = reader.xRead({ key: "t:events", id: "$" }, { BLOCK: 2000 });
+  await sleep(20);
+  const id = await client.xAdd("t:events", "*", { event: "signup" });
+  const [stream] = await read;
+  assert.equal(stream.name, "t:events");
+  assert.equal(stream.messages.length, 1);
+  assert.equal(stream.messages[0].id, id);
+  assert.deepEqual({ ...stream.messages[0].message }, { event: "signup" });
+
+  assert.equal(await reader.xRead({ key: "t:events", id: "$" }, { BLOCK: 50 }), null);
+});
+
+test("consumer groups", async () => {
+  await client.xGroupCreate("t:orders", "billing", "0", { MKSTREAM: true });
+  await client.xAdd("t:orders", "*", { order: "1" });
+  await client.xAdd("t:orders", "*", { order: "2" });
+
+  const [{ messages }] = await client.xReadGroup("billing", "worker-1", { key: "t:orders", id: ">" });
+  assert.equal(messages.length, 2);
+  assert.equal(await client.xAck("t:orders", "billing", messages[0].id), 1);
+  assert.equal((await client.xPending("t:orders", "billing")).pending, 1);
+
+  // The unacknowledged entry can be taken over by another consumer.
+  const claimed = await client.xAutoClaim("t:orders", "billing", "worker-2", 0, "0-0");
+  assert.deepEqual(
+    claimed.messages.map(({ id }) => id),
+    [messages[1].id]
+  );
+});
+
+test("MULTI/EXEC and WATCH", async () => {
+  const replies = await client.multi().set("t:a", "1").incr("t:a").get("t:a").exec();
+  assert.deepEqual(replies, ["OK", 2, "2"]);
+
+  const watcher = await connection();
+  await watcher.watch("t:a");
+  await client.set("t:a", "changed");
+  await assert.rejects(watcher.multi().set("t:a", "mine").exec(), WatchError);
+  assert.equal(await client.get("t:a"), "changed");
+});
+
+test("pub/sub with channels and patterns", async () => {
+  const subscriber = await connection();
+  const received = [];
+  let done;
+  const bothArrived = new Promise((resolve) => (done = resolve));
+  const listener = (message, channel) => {
+    received.push([channel, message]);
+    if (received.length === 2) done();
+  };
+  await subscriber.subscribe("t:news", listener);
+  await subscriber.pSubscribe("t:room:*", listener);
+
+  assert.equal(await client.publish("t:news", "hello"), 1);
+  assert.equal(await client.publish("t:room:42", "hi room"), 1);
+  assert.equal(await client.publish("t:other", "nobody"), 0);
+  await bothArrived;
+  assert.deepEqual(received, [
+    ["t:news", "hello"],
+    ["t:room:42", "hi room"],
+  ]);
+});
+
+test("Lua scripts with redis.call, cjson and reply conversion", async () => {
+  const script = `
+local job = cjson.decode(redis.call("GET", KEYS[1]))
+job.attempts = job.attempts + 1
+redis.call("SET", KEYS[1], cjson.encode(job))
+-- A nil reply is false in Lua (an array goes on past it); floats are truncated.
+return {job.attempts, redis.call("GET", "t:missing"), redis.call("SET", KEYS[2], ARGV[1]), 2.9}`;
+  await client.set("t:job", JSON.stringify({ attempts: 1, createdAt: 1700000000000 }));
+  assert.deepEqual(await client.eval(script, { keys: ["t:job", "t:other"], arguments: ["x"] }), [2, null, "OK", 2]);
+  assert.deepEqual(JSON.parse(await client.get("t:job")), { attempts: 2, createdAt: 1700000000000 });
+
+  // Numbers passed to redis.call are formatted the way Redis's Lua does it.
+  await client.eval(`redis.call("SET", KEYS[1], tonumber(ARGV[1]) * 1000 + 0.5)`, { keys: ["t:number"], arguments: ["1700000000"] });
+  assert.equal(await client.get("t:number"), "1700000000000.5");
+
+  const sha = await client.scriptLoad("return ARGV[1]");
+  assert.equal(await client.evalSha(sha, { arguments: ["hi"] }), "hi");
+  await assert.rejects(client.evalSha("0".repeat(40)), /NOSCRIPT/);
+});
+
+test("script errors", async () => {
+  await client.set("t:text", "abc");
+  // redis.call raises the command's error, redis.pcall returns it.
+  await assert.rejects(client.eval(`return redis.call("INCR", KEYS[1])`, { keys: ["t:text"] }), /not an integer/);
+  const caught = await client.eval(`return redis.pcall("INCR", KEYS[1]).err`, { keys: ["t:text"] });
+  assert.equal(caught, "ERR value is not an integer or out of range");
+  await assert.rejects(client.eval("return ("), /Error compiling script/);
+  await assert.rejects(client.eval(`redis.call("SUBSCRIBE", "x")`), /Unknown Redis command called from script/);
+});
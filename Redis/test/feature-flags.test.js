@@ -0,0 +1,111 @@
+/**
+ * lib/feature-flags.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { FeatureFlags, parseSegment, rolloutBucket } from "../lib/feature-flags.js";
+import { connection } from "./helpers.js";
+
+let client;
+
+before(async () => {
+  client = await connection();
+});
+
+// Each test gets its own keys.
+const flagsFor = (name) => new FeatureFlags(client, { prefix: `t:${name}:` });
+
+test("parseSegment: & binds tighter than | and -, which go left to right", () => {
+  assert.deepEqual(parseSegment("admins"), { segment: "admins" });
+  assert.deepEqual(parseSegment("admins | beta - blocked"), {
+    op: "-",
+    left: { op: "|", left: { segment: "admins" }, right: { segment: "beta" } },
+    right: { segment: "blocked" },
+  });
+  assert.deepEqual(parseSegment("admins | beta & staff"), {
+    op: "|",
+    left: { segment: "admins" },
+    right: { op: "&", left: { segment: "beta" }, right: { segment: "staff" } },
+  });
+  assert.deepEqual(parseSegment("admins - (beta | eu.staff:2)"), {
+    op: "-",
+    left: { segment: "admins" },
+    right: { op: "|", left: { segment: "beta" }, right: { segment: "eu.staff:2" } },
+  });
+});
+
+test("parseSegment: malformed expressions are a SyntaxError", () => {
+  for (const expression of ["", "admins |", "| admins", "(admins", "admins)", "admins beta", "admins + beta", "a & & b", "()"]) {
+    assert.throws(() => parseSegment(expression), SyntaxError, expression);
+  }
+});
+
+test("rollout buckets are stable per flag and user, and a larger rollout only adds users", () => {
+  assert.equal(rolloutBucket("editor", "ann"), rolloutBucket("editor", "ann"));
+  const users = Array.from({ length: 1000 }, (_, i) => `user-${i}`);
+  const buckets = users.map((user) => rolloutBucket("editor", user));
+  assert.ok(buckets.every((bucket) => bucket >= 0 && bucket < 100));
+
+  const inRollout = (percent) => users.filter((user, i) => buckets[i] < percent);
+  const ten = inRollout(10);
+  const twenty = inRollout(20);
+  assert.ok(ten.length > 50 && ten.length < 150, `${ten.length} of 1000 at 10%`);
+  assert.ok(ten.every((user) => twenty.includes(user)));
+  // Another flag spreads users differently.
+  assert.notDeepEqual(users.filter((user) => rolloutBucket("search", user) < 10), ten);
+});
+
+test("evaluate: off unless enabled; targeted users, then segment and rollout", async () => {
+  const flags = flagsFor("evaluate");
+  await flags.addToSegment("beta", ["ann", "bob", "eve"]);
+  await flags.addToSegment("blocked", ["eve"]);
+  await flags.define("editor", { enabled: true, segment: "beta - blocked" });
+  await flags.target("editor", { add: ["zed"] });
+
+  assert.equal(await flags.isEnabled("editor", "ann"), true);
+  assert.equal(await flags.isEnabled("editor", "eve"), false); // blocked
+  assert.equal(await flags.isEnabled("editor", "carl"), false); // not in beta
+  assert.equal(await flags.isEnabled("editor", "zed"), true); // targeted, whatever the segment
+  assert.equal(await flags.isEnabled("editor", undefined), false); // anonymous: segment flags are off
+  assert.equal(await flags.isEnabled("missing", "ann"), false);
+
+  // The rollout only applies to users who match the segment.
+  const inRollout = (user) => rolloutBucket("editor", user) < 50;
+  await flags.define("editor", { rollout: 50 });
+  for (const user of ["ann", "bob"]) assert.equal(await flags.isEnabled("editor", user), inRollout(user));
+  assert.equal(await flags.isEnabled("editor", "zed"), true);
+
+  await flags.define("editor", { enabled: false });
+  assert.deepEqual(await flags.evaluateAll("zed"), { editor: false });
+
+  // No segment, full rollout: on for everyone, including anonymous users.
+  await flags.define("banner", { enabled: true });
+  assert.deepEqual(await flags.evaluateAll(undefined), { banner: true, editor: false });
+});
+
+test("audience computes the expression in Redis and leaves no temporary keys", async () => {
+  const flags = flagsFor("audience");
+  await flags.addToSegment("admins", ["ann"]);
+  await flags.addToSegment("beta", ["bob", "eve", "ann"]);
+  await flags.addToSegment("blocked", ["eve"]);
+  assert.deepEqual(await flags.audience("admins | beta - blocked"), ["ann", "bob"]);
+  assert.deepEqual(await flags.audience("admins & beta"), ["ann"]);
+  assert.deepEqual(await client.keys("t:audience:{flags}:segment:tmp:*"), []);
+});
+
+test("segment and flag names are checked on every write", async () => {
+  const flags = flagsFor("names");
+  await assert.rejects(flags.addToSegment("a-b", ["ann"]), SyntaxError);
+  await assert.rejects(flags.removeFromSegment("a-b", ["ann"]), SyntaxError);
+  await assert.rejects(flags.removeFromSegment(["beta"], ["ann"]), SyntaxError);
+  await assert.rejects(flags.define("x:users", { enabled: true }), SyntaxError);
+  await assert.rejects(flags.define("editor", { segment: "beta |" }), SyntaxError);
+  await assert.rejects(flags.define("editor", { rollout: 101 }), RangeError);
+  assert.deepEqual(await client.keys("t:names:*"), []);
+
+  await flags.addToSegment("beta", ["ann", "bob"]);
+  await flags.removeFromSegment("beta", ["ann"]);
+  assert.deepEqual(await client.sMembers("t:names:{flags}:segment:beta"), ["bob"]);
+});
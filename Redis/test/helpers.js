@@ -0,0 +1,30 @@
+/**
+ * Shared fixture for the tests that run against the in-memory Redis
+ * (lib/fake-redis.js). One fake per test process; every client opened with
+ * `connection()` and still open is closed after the file's tests.
+ *
+ * Usage:
+ *   import { connection } from "./helpers.js";
+ *   let client;
+ *   before(async () => (client = await connection()));
+ */
+
+import { after } from "node:test";
+import { createClient } from "redis";
+import { startFakeRedis } from "../lib/fake-redis.js";
+
+const clients = [];
+
+after(async () => {
+  await Promise.all(clients.filter((client) => client.isOpen).map((client) => client.quit()));
+});
+
+const fake = await startFakeRedis();
+
+// A connected client of its own; blocking commands and subscribers need one each.
+export async function connection() {
+  const client = createClient({ url: fake.url });
+  await client.connect();
+  clients.push(client);
+  return client;
+}
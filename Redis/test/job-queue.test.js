@@ -0,0 +1,138 @@
+/**
+ * lib/job-queue.js against the in-memory Redis (lib/fake-redis.js), which
+ * runs the queue's Lua scripts. Run: npm test
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { JobQueue } from "../lib/job-queue.js";
+import { connection } from "./helpers.js";
+
+test("claims by priority, then in order of arrival; delayed jobs wait", async () => {
+  const queue = new JobQueue(await connection(), "order");
+  await queue.add({ n: 1 }, { priority: 5 });
+  await queue.add({ n: 2 }, { priority: 1 });
+  await queue.add({ n: 3 }, { priority: 1, delay: 300 });
+  await sleep(2);
+  await queue.add({ n: 4 }, { priority: 1 });
+  assert.deepEqual(await queue.counts(), { waiting: 3, delayed: 1, active: 0, dead: 0 });
+
+  const claimed = [];
+  for (let job; (job = await queue.claim()); ) claimed.push(job);
+  assert.deepEqual(claimed.map((job) => job.data.n), [2, 4, 1]);
+  assert.deepEqual(claimed.map((job) => job.attempts), [1, 1, 1]);
+
+  await sleep(300);
+  assert.deepEqual((await queue.claim()).data, { n: 3 });
+  assert.deepEqual(await queue.counts(), { waiting: 0, delayed: 0, active: 4, dead: 0 });
+});
+
+test("adding an existing id is a no-op", async () => {
+  const queue = new JobQueue(await connection(), "idempotent");
+  assert.equal(await queue.add({ v: 1 }, { id: "welcome:ankit" }), "welcome:ankit");
+  assert.equal(await queue.add({ v: 2 }, { id: "welcome:ankit" }), "welcome:ankit");
+  assert.deepEqual((await queue.getJob("welcome:ankit")).data, { v: 1 });
+  assert.equal((await queue.counts()).waiting, 1);
+});
+
+test("concurrent workers never claim the same job", async () => {
+  const producer = new JobQueue(await connection(), "race");
+  for (let i = 0; i < 30; i++) await producer.add({ i });
+
+  const workers = await Promise.all(Array.from({ length: 4 }, async () => new JobQueue(await connection(), "race")));
+  const claimed = await Promise.all(
+    workers.map(async (queue) => {
+      const ids = [];
+      for (let job; (job = await queue.claim()); ) {
+        ids.push(job.id);
+        assert.equal(await queue.complete(job), true);
+      }
+      return ids;
+    })
+  );
+  const ids = claimed.flat();
+  assert.equal(ids.length, 30);
+  assert.equal(new Set(ids).size, 30);
+  assert.deepEqual(await producer.counts(), { waiting: 0, delayed: 0, active: 0, dead: 0 });
+});
+
+test("failed jobs back off, then land in the dead-letter set", async () => {
+  const queue = new JobQueue(await connection(), "retries", { maxAttempts: 2, backoff: 300 });
+  const id = await queue.add({ to: "a@b.c" });
+
+  const first = await queue.claim();
+  assert.equal(await queue.fail(first, new Error("SMTP down")), "retry");
+  assert.deepEqual(await queue.counts(), { waiting: 0, delayed: 1, active: 0, dead: 0 });
+  assert.equal(await queue.claim(), null); // still backing off
+
+  await sleep(320);
+  const second = await queue.claim();
+  assert.equal(second.attempts, 2);
+  assert.equal(second.lastError, "SMTP down");
+  assert.equal(await queue.fail(second, new Error("SMTP still down")), "dead");
+
+  const [dead] = await queue.deadJobs();
+  assert.equal(dead.id, id);
+  assert.equal(dead.lastError, "SMTP still down");
+  assert.deepEqual(dead.data, { to: "a@b.c" });
+
+  assert.equal(await queue.retryDead(id), true);
+  assert.equal(await queue.retryDead(id), false);
+  const again = await queue.claim();
+  assert.equal(again.attempts, 1);
+  assert.equal(await queue.complete(again), true);
+  assert.equal(await queue.getJob(id), null);
+});
+
+test("a job whose claim times out goes to another worker, and the first can't finish it", async () => {
+  const queue = new JobQueue(await connection(), "visibility", { visibilityTimeout: 300, maxAttempts: 2 });
+  await queue.add({ slow: true });
+
+  const stalled = await queue.claim();
+  await sleep(200);
+  assert.equal(await queue.extend(stalled), true);
+  await sleep(200);
+  assert.equal(await queue.claim(), null); // extended, so still claimed
+
+  await sleep(250);
+  const taken = await queue.claim();
+  assert.equal(taken.id, stalled.id);
+  assert.equal(taken.attempts, 2);
+  assert.equal(await queue.complete(stalled), false);
+  assert.equal(await queue.extend(stalled), false);
+  assert.equal(await queue.fail(stalled, new Error("late")), "lost");
+
+  // Out of attempts: the next timeout buries it instead of handing it out again.
+  await sleep(400);
+  assert.equal(await queue.claim(), null);
+  const [dead] = await queue.deadJobs();
+  assert.equal(dead.lastError, "visibility timeout expired");
+});
+
+test("process() runs jobs with the given concurrency and stop() waits for them", async () => {
+  const queue = new JobQueue(await connection(), "process", { maxAttempts: 1 });
+  for (let i = 0; i < 4; i++) await queue.add({ i });
+  await queue.add({ fail: true });
+
+  let running = 0;
+  let most = 0;
+  const done = [];
+  const worker = queue.process(
+    async (job) => {
+      running++;
+      most = Math.max(most, running);
+      await sleep(100); // long enough for the other slot to claim a job meanwhile
+      running--;
+      if (job.data.fail) throw new Error("Simulated failure");
+      done.push(job.data.i);
+    },
+    { concurrency: 2, pollInterval: 10 }
+  );
+  while ((await queue.counts()).waiting > 0) await sleep(10);
+  await worker.stop();
+
+  assert.equal(most, 2);
+  assert.deepEqual(done.sort(), [0, 1, 2, 3]);
+  assert.deepEqual(await queue.counts(), { waiting: 0, delayed: 0, active: 0, dead: 1 });
+});
@@ -0,0 +1,78 @@
+/**
+ * Key names of the lib/ modules: REDIS_KEY_PREFIX with node-redis, and hash
+ * tags that keep the keys of one script or MULTI in one Cluster slot.
+ * Run: npm test
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { FeatureFlags } from "../lib/feature-flags.js";
+import { JobQueue } from "../lib/job-queue.js";
+import { Leaderboard, PERIODS } from "../lib/leaderboard.js";
+import { LockManager } from "../lib/lock.js";
+import { ReliableQueue } from "../lib/reliable-queue.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+// The part of a key Redis Cluster hashes: between the first "{" and the next "}", if not empty.
+function hashTag(key) {
+  const start = key.indexOf("{");
+  const end = key.indexOf("}", start + 1);
+  return start !== -1 && end > start + 1 ? key.slice(start + 1, end) : key;
+}
+
+const tags = (keys) => [...new Set(keys.map(hashTag))];
+
+test("keys used together share a hash tag", () => {
+  // The constructors don't talk to Redis.
+  const queue = new JobQueue(null, "emails");
+  assert.deepEqual(tags(Object.values(queue.keys)), ["emails"]);
+
+  const reliable = new ReliableQueue(null, "mail");
+  assert.deepEqual(tags([reliable.keys.pending, reliable.keys.workers, reliable.processingKey("w1")]), ["mail"]);
+
+  const lock = new LockManager(null).key("report:daily");
+  assert.deepEqual(tags([lock, `${lock}:fence`]), ["report:daily"]);
+
+  const board = new Leaderboard(null, "arcade");
+  assert.deepEqual(tags(PERIODS.map((period) => board.key(period))), ["arcade"]);
+
+  const flags = new FeatureFlags(null, { prefix: "t:" });
+  const flagKeys = [flags.segmentKey("beta"), flags.usersKey("editor"), flags.definitions.key("editor"), `${flags.prefix}flags`];
+  assert.deepEqual(tags(flagKeys), ["flags"]);
+  assert.ok(flagKeys.every((key) => key.startsWith("t:")));
+});
+
+test("REDIS_KEY_PREFIX goes in front of the lib/ keys of node-redis clients", async () => {
+  const script = `
+    import { createRedisClient } from "./lib/connection.js";
+    import { JobQueue } from "./lib/job-queue.js";
+    import { LockManager } from "./lib/lock.js";
+    const client = createRedisClient();
+    await client.connect();
+    await new JobQueue(client, "emails").add({ to: "a@b.c" });
+    await new LockManager(client).acquire("report");
+    console.log(JSON.stringify((await client.keys("*")).sort()));
+    await client.quit();
+  `;
+  const run = (prefix) =>
+    promisify(execFile)(process.execPath, ["--input-type=module", "-e", script], {
+      cwd: ROOT,
+      env: { ...process.env, REDIS_FAKE: "1", REDIS_KEY_PREFIX: prefix },
+      timeout: 15000,
+    });
+
+  const { stdout } = await run("staging:");
+  assert.deepEqual(JSON.parse(stdout.trim().split("\n").pop()), [
+    "staging:lock:{report}",
+    "staging:lock:{report}:fence",
+    "staging:queue:{emails}:data",
+    "staging:queue:{emails}:jobs",
+    "staging:queue:{emails}:waiting",
+  ]);
+  // A tag in the prefix would put every key in one slot.
+  await assert.rejects(run("{staging}:"), /REDIS_KEY_PREFIX must not contain/);
+});
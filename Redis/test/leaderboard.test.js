@@ -0,0 +1,97 @@
+/**
+ * lib/leaderboard.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { Leaderboard } from "../lib/leaderboard.js";
+import { connection } from "./helpers.js";
+
+let client;
+
+before(async () => {
+  client = await connection();
+});
+
+// A Wednesday, so the daily and weekly boards are different keys; in the future, so they haven't expired.
+const AT = new Date("2031-01-29T12:00:00.000Z");
+
+test("ranks come highest score first, ties in reverse alphabetical order", async () => {
+  const board = new Leaderboard(client, "t:ties");
+  for (const [player, score] of [["bob", 50], ["ann", 50], ["zed", 90], ["cat", 50], ["dan", 10]]) {
+    await board.submit(player, score, AT);
+  }
+  assert.deepEqual(await board.top(10, { at: AT }), [
+    { rank: 1, player: "zed", score: 90 },
+    { rank: 2, player: "cat", score: 50 },
+    { rank: 3, player: "bob", score: 50 },
+    { rank: 4, player: "ann", score: 50 },
+    { rank: 5, player: "dan", score: 10 },
+  ]);
+  // around() agrees with top() on tied ranks.
+  assert.equal((await board.around("bob")).rank, 3);
+  assert.deepEqual(await board.page(2, 2), {
+    page: 2,
+    size: 2,
+    total: 5,
+    entries: [
+      { rank: 3, player: "bob", score: 50 },
+      { rank: 4, player: "ann", score: 50 },
+    ],
+  });
+});
+
+test("submit reports the stored score and the rank before and after, per mode", async () => {
+  const best = new Leaderboard(client, "t:best");
+  await best.submit("ann", 30, AT);
+  assert.deepEqual((await best.submit("bob", 20, AT)).all, { score: 20, rank: 2, previousRank: null });
+  assert.deepEqual((await best.submit("bob", 10, AT)).all, { score: 20, rank: 2, previousRank: 2 }); // lower: kept
+  assert.deepEqual((await best.submit("bob", 40, AT)).all, { score: 40, rank: 1, previousRank: 2 });
+
+  const sum = new Leaderboard(client, "t:sum", { mode: "sum" });
+  await sum.submit("ann", 5, AT);
+  assert.deepEqual((await sum.submit("ann", 7, AT)).weekly, { score: 12, rank: 1, previousRank: 1 });
+
+  const latest = new Leaderboard(client, "t:latest", { mode: "latest" });
+  await latest.submit("ann", 1500, AT);
+  assert.equal((await latest.submit("ann", 1400, AT)).daily.score, 1400);
+
+  await assert.rejects(best.submit("ann", Number.NaN), TypeError);
+  assert.throws(() => new Leaderboard(client, "t:x", { mode: "max" }), RangeError);
+});
+
+test("rank lookup: a player with neighbours, clipped at the ends of the board", async () => {
+  const board = new Leaderboard(client, "t:around");
+  for (let i = 1; i <= 6; i++) await board.submit(`p${i}`, i * 10, AT); // p6 is first, p1 last
+
+  const middle = await board.around("p4", { neighbours: 1 });
+  assert.deepEqual(middle, {
+    player: "p4",
+    rank: 3,
+    score: 40,
+    entries: [
+      { rank: 2, player: "p5", score: 50 },
+      { rank: 3, player: "p4", score: 40 },
+      { rank: 4, player: "p3", score: 30 },
+    ],
+  });
+  assert.deepEqual((await board.around("p6", { neighbours: 2 })).entries.map((entry) => entry.player), ["p6", "p5", "p4"]);
+  assert.deepEqual((await board.around("p1", { neighbours: 2 })).entries.map((entry) => entry.rank), [4, 5, 6]);
+  assert.equal(await board.around("nobody"), null);
+});
+
+test("daily and weekly boards are separate and expire after their period", async () => {
+  const board = new Leaderboard(client, "t:periods", { keepPeriods: 1 });
+  await board.submit("ann", 10, AT);
+  await board.submit("bob", 20, new Date("2031-01-30T08:00:00.000Z")); // next day, same ISO week
+
+  assert.deepEqual((await board.top(10, { period: "daily", at: AT })).map((entry) => entry.player), ["ann"]);
+  assert.deepEqual((await board.top(10, { period: "weekly", at: AT })).map((entry) => entry.player), ["bob", "ann"]);
+  assert.equal(board.key("weekly", AT), "leaderboard:{t:periods}:weekly:2031-W05");
+  // The board of Jan 29 stays readable through Jan 30, the week's through the next week.
+  const expiresAt = async (period) => Date.now() + (await client.pTTL(board.key(period, AT)));
+  assert.ok(Math.abs((await expiresAt("daily")) - Date.parse("2031-01-31T00:00:00.000Z")) < 1000);
+  assert.ok(Math.abs((await expiresAt("weekly")) - Date.parse("2031-02-10T00:00:00.000Z")) < 1000);
+  assert.equal(await client.ttl(board.key("all")), -1);
+});
@@ -0,0 +1,90 @@
+/**
+ * lib/lock.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { LockError, LockManager } from "../lib/lock.js";
+import { connection } from "./helpers.js";
+
+// A manager on its own connection, like one per process.
+async function manager(options) {
+  return new LockManager(await connection(), options);
+}
+
+test("only one of several contenders gets the lock", async () => {
+  const managers = await Promise.all(Array.from({ length: 5 }, () => manager()));
+  const leases = await Promise.all(managers.map((locks) => locks.acquire("t:single")));
+  const held = leases.filter(Boolean);
+  assert.equal(held.length, 1);
+  assert.equal(held[0].fencingToken, 1);
+
+  assert.equal(await held[0].release(), true);
+  const next = await managers[0].acquire("t:single");
+  assert.equal(next.fencingToken, 2);
+  await next.release();
+});
+
+test("withLock runs critical sections one at a time, with increasing fencing tokens", async () => {
+  const managers = await Promise.all(Array.from({ length: 4 }, () => manager({ retries: 50, retryDelay: 5, retryJitter: 5 })));
+  let inside = 0;
+  const tokens = [];
+  await Promise.all(
+    managers.map((locks) =>
+      locks.withLock("t:section", async ({ fencingToken }) => {
+        inside++;
+        assert.equal(inside, 1);
+        tokens.push(fencingToken);
+        await sleep(10);
+        inside--;
+      })
+    )
+  );
+  assert.deepEqual(tokens, [1, 2, 3, 4]);
+});
+
+test("only the holder can release or extend", async () => {
+  const locks = await manager();
+  const stale = await locks.acquire("t:holder", { ttl: 100 });
+  await sleep(150);
+  const current = await locks.acquire("t:holder", { ttl: 5000 });
+  assert.ok(current);
+
+  assert.equal(await stale.extend(), false);
+  assert.equal(await stale.release(), false);
+  assert.equal(await locks.client.get("lock:{t:holder}"), current.token);
+
+  assert.equal(await current.extend(60000), true);
+  assert.ok((await locks.client.pTTL("lock:{t:holder}")) > 5000);
+  assert.equal(await current.release(), true);
+  assert.equal(await current.release(), false);
+});
+
+test("the watchdog keeps the lease alive and aborts the signal once it is lost", async () => {
+  const locks = await manager({ ttl: 150 });
+  const lease = await locks.acquire("t:watchdog", { watchdog: true });
+  await sleep(400);
+  assert.equal(await locks.acquire("t:watchdog"), null);
+  assert.equal(lease.lost, false);
+
+  await locks.client.del("lock:{t:watchdog}"); // e.g. expired during a partition
+  await sleep(100);
+  assert.equal(lease.lost, true);
+  assert.ok(lease.signal.reason instanceof LockError);
+  assert.equal(await lease.release(), false);
+});
+
+test("withLock refuses a taken lock and releases after a failure", async () => {
+  const locks = await manager({ fencing: false });
+  const lease = await locks.acquire("t:busy");
+  assert.equal(lease.fencingToken, 0);
+  await assert.rejects(locks.withLock("t:busy", async () => {}), { name: "LockError", lock: "t:busy" });
+  await lease.release();
+
+  await assert.rejects(locks.withLock("t:busy", async () => {
+    throw new Error("report failed");
+  }), /report failed/);
+  assert.equal(await locks.client.exists("lock:{t:busy}"), 0);
+});
@@ -0,0 +1,277 @@
+/**
+ * Runs every playground script against the in-memory Redis (REDIS_FAKE=1)
+ * and checks what it prints. Demos split over several processes (a producer
+ * and its workers) share one in-memory Redis started here instead.
+ * Run: npm test
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { createClient } from "redis";
+import { startFakeRedis } from "../lib/fake-redis.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const ENV = { ...process.env, REDIS_FAKE: "1" };
+
+const shared = await startFakeRedis();
+const SHARED_ENV = { ...process.env, REDIS_FAKE: "", REDIS_URL: shared.url };
+
+// Runs a script to completion and resolves with its output.
+async function run(script, ...args) {
+  return runWith(ENV, script, ...args);
+}
+
+async function runWith(env, script, ...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, [script, ...args], { cwd: ROOT, env, timeout: 15000 });
+  return stdout;
+}
+
+// Starts a long-running script, resolves once its output matches `pattern`, then stops it.
+// `whileRunning` (async) runs in between, e.g. to send requests to a server.
+function runUntil(script, pattern, { args = [], env = ENV, timeout = 15000, whileRunning } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { cwd: ROOT, env });
+    let output = "";
+    let matched = false;
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} never printed ${pattern}:\n${output}`));
+    }, timeout);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (!pattern.test(output) || matched) return;
+      matched = true;
+      clearTimeout(timer);
+      Promise.resolve(whileRunning?.())
+        .then(() => resolve(output), reject)
+        .finally(() => child.kill());
+    });
+    child.on("error", reject);
+  });
+}
+
+test("string.js", async () => {
+  const output = await run("string.js");
+  assert.match(output, /GET msg:1 => Hello, Redis!/);
+  assert.match(output, /Counter => 5/);
+  assert.match(output, /Greeting => Hello, World!/);
+  assert.match(output, /MGET user, age, city => \[ 'Ankit', '23', 'Delhi' \]/);
+  assert.match(output, /msg:1 deleted/);
+  assert.match(output, /SETNX first attempt => 1\nSETNX second attempt => 0/);
+});
+
+test("hashmap.js", async () => {
+  const output = await run("hashmap.js");
+  assert.match(output, /HGETALL => \{ name: 'Ankit', age: '23', city: 'Delhi' \}/);
+  assert.match(output, /Age after increment => 24/);
+  assert.match(output, /After HDEL => \{ name: 'Ankit', age: '24' \}/);
+  assert.match(output, /Total fields => 2/);
+});
+
+test("list.js", async () => {
+  const output = await run("list.js");
+  assert.match(output, /All tasks => \[ 'task0', 'task1', 'task2' \]/);
+  assert.match(output, /LPOP => task0\nRPOP => task2/);
+  assert.match(output, /After LREM => \[ 'task1', 'task2', 'task3' \]/);
+  assert.match(output, /BLPOP result => null/); // the 1s blocking pop times out on an empty list
+});
+
+test("set.js", async () => {
+  const output = await run("set.js");
+  assert.match(output, /Is raj a user\? => Yes/);
+  assert.match(output, /Users ∪ Admins => \[ 'ankit', 'neha', 'priya' \]/);
+  assert.match(output, /Users ∩ Admins => \[ 'ankit' \]/);
+  assert.match(output, /Users - Admins => \[ 'neha' \]/);
+});
+
+test("priority-queue.js", async () => {
+  const output = await run("priority-queue.js");
+  assert.match(output, /Popped \(highest priority\) task: \[ 'Write report', '1' \]/);
+  assert.match(output, /Updated priorities: \[ 'Fix bug', '2', 'Deploy app', '3', 'Check emails', '4' \]/);
+});
+
+test("stream.js", async () => {
+  const output = await run("stream.js");
+  assert.match(output, /Added 3 events to stream/);
+  assert.match(output, /'event', 'payment_done', 'amount', '250'/);
+  assert.match(output, /No new events in last 5 seconds/); // XREAD BLOCK 5000 with nothing new
+});
+
+test("pubsub.js", async () => {
+  const output = await runUntil("pubsub.js", /Received message: Hello @/);
+  assert.match(output, /Received message: Hello @ \d{4}-/);
+});
+
+test("stream-consumer.js produce", async () => {
+  const output = await run("stream-consumer.js", "produce");
+  assert.equal(output.match(/Added order \d+ => \d+-\d+/g).length, 5);
+});
+
+test("stream-consumer.js consume", async () => {
+  // The group reads new events only, so the consumer starts first, as in the demo.
+  const output = await runUntil("stream-consumer.js", /Consuming orders/, {
+    env: SHARED_ENV,
+    whileRunning: async () => {
+      await runWith(SHARED_ENV, "stream-consumer.js", "produce");
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    },
+  });
+  for (const order of [5001, 5002, 5004, 5005]) {
+    assert.match(output, new RegExp(`💳 \\d+-\\d+ billed order ${order}\n`));
+  }
+  assert.doesNotMatch(output, /billed order 5003/); // poison, retried until it is dead-lettered
+});
+
+test("job-worker.js", async () => {
+  const produced = await runWith(SHARED_ENV, "job-worker.js", "produce");
+  assert.match(produced, /Enqueued 5 jobs => \{ waiting: 4, delayed: 1, active: 0, dead: 0 \}/);
+  const output = await runUntil("job-worker.js", /done with "Fix bug"/, { env: SHARED_ENV });
+  // Concurrency 2, highest priority first: "Write report" and one of the priority 2 jobs.
+  assert.match(output, /working on "Write report" \(attempt 1\)\n.*working on "(Fix bug|Flaky job)" \(attempt 1\)/);
+  assert.match(output, /done with "Write report"/);
+  assert.match(await runWith(SHARED_ENV, "job-worker.js", "dead"), /Dead jobs => \[\]/);
+});
+
+test("reliable-worker.js", async () => {
+  assert.match(await runWith(SHARED_ENV, "reliable-worker.js", "produce"), /Queued 6 emails, 6 pending/);
+  const output = await runUntil("reliable-worker.js", /Sent to user2@example.com/, { args: ["batch"], env: SHARED_ENV });
+  assert.match(output, /Worker [\w-]+ waiting for emails/);
+  assert.match(output, /Sending to user1@example.com...\n✅ Sent to user1@example.com\n✉️ Sending to user2@example.com/);
+});
+
+test("client.js", async () => {
+  const script = `
+    import client from "./client.js";
+    await client.set("greeting", "hi");
+    console.log(await client.get("greeting"), await client.keys("*"));
+    await client.quit();
+  `;
+  const env = { ...ENV, REDIS_KEY_PREFIX: "staging:" };
+  const { stdout } = await promisify(execFile)(process.execPath, ["--input-type=module", "-e", script], { cwd: ROOT, env, timeout: 15000 });
+  // The ioredis client prefixes key arguments (not KEYS patterns): "greeting" is stored as staging:greeting.
+  assert.match(stdout, /^hi \[ 'staging:greeting' \]$/m);
+});
+
+test("server.js starts", async () => {
+  const output = await runUntil("server.js", /Server running/);
+  assert.match(output, /in-memory Redis/);
+});
+
+test("server.js answers health checks and metrics, and logs requests as JSON", async () => {
+  const output = await runUntil("server.js", /Server running/, {
+    whileRunning: async () => {
+      const health = await fetch("http://localhost:9000/healthz");
+      assert.equal(health.status, 200);
+      const ready = await fetch("http://localhost:9000/readyz");
+      assert.deepEqual(await ready.json(), { status: "ready" });
+      assert.match(ready.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+      const given = await fetch("http://localhost:9000/leaderboards/arcade/top", { headers: { "X-Request-Id": "trace-1" } });
+      assert.equal(given.headers.get("x-request-id"), "trace-1");
+
+      const metrics = await fetch("http://localhost:9000/metrics");
+      assert.match(metrics.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+      const text = await metrics.text();
+      assert.match(text, /^http_requests_total\{method="GET",route="\/healthz",status="200"\} 1$/m);
+      assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/leaderboards\/:board\/top"\} 1$/m);
+      assert.match(text, /^queue_depth\{queue="demo",state="waiting"\} 0$/m);
+      assert.match(text, /^cache_hit_ratio 0$/m);
+      // Give the access log line of the last request a moment to be written.
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    },
+  });
+  const lines = output.trim().split("\n").map((line) => JSON.parse(line));
+  const request = lines.find((line) => line.requestId === "trace-1");
+  assert.equal(request.msg, "Request");
+  assert.equal(request.status, 200);
+  assert.equal(request.path, "/leaderboards/arcade/top");
+});
+
+test("server.js caches and rate-limits the post routes and login", async () => {
+  const env = { ...ENV, UPSTREAM_URL: "http://localhost:9100" };
+  const upstreamLog = await runUntil("upstream-stub.js", /Upstream stub running/, {
+    whileRunning: () =>
+      runUntil("server.js", /Server running/, {
+        env,
+        whileRunning: async () => {
+          const first = await fetch("http://localhost:9000/");
+          assert.equal(first.headers.get("x-cache"), "MISS");
+          assert.equal((await first.json()).length, 100);
+          assert.equal(first.headers.get("ratelimit-policy"), "60;w=60");
+          assert.equal(first.headers.get("ratelimit-remaining"), "59");
+          const second = await fetch("http://localhost:9000/");
+          assert.equal(second.headers.get("x-cache"), "HIT");
+          assert.equal(second.headers.get("ratelimit-remaining"), "58");
+
+          const post = await fetch("http://localhost:9000/posts/7");
+          assert.equal(post.headers.get("x-cache"), "MISS");
+          assert.equal((await post.json()).title, "Stub post 7");
+          assert.equal((await fetch("http://localhost:9000/posts/7")).headers.get("x-cache"), "HIT");
+          assert.equal((await fetch("http://localhost:9000/posts/999")).status, 404);
+
+          // 10 logins a minute per IP, then 429 until the window ends.
+          const login = () =>
+            fetch("http://localhost:9000/login", {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ username: "ankit" }),
+            });
+          for (let i = 9; i >= 0; i--) {
+            const allowed = await login();
+            assert.equal(allowed.status, 200);
+            assert.equal(allowed.headers.get("ratelimit-remaining"), String(i));
+          }
+          const refused = await login();
+          assert.equal(refused.status, 429);
+          assert.ok(Number(refused.headers.get("retry-after")) >= 1);
+          assert.deepEqual(Object.keys(await refused.json()), ["error", "retryAfter"]);
+        },
+      }),
+  });
+  // Cache hits never reach the upstream.
+  assert.equal(upstreamLog.match(/GET \/posts\n/g).length, 1);
+  assert.equal(upstreamLog.match(/GET \/posts\/7\n/g).length, 1);
+});
+
+test("server.js pushes leaderboard rank changes to WebSocket clients (WS_PUSH=1)", async () => {
+  const subscriber = createClient({ url: shared.url });
+  await subscriber.connect();
+  const envelopes = [];
+  await subscriber.subscribe("ws:broadcast", (message) => envelopes.push(JSON.parse(message)));
+
+  await runUntil("server.js", /Server running/, {
+    env: { ...SHARED_ENV, WS_PUSH: "1" },
+    whileRunning: async () => {
+      const login = await fetch("http://localhost:9000/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: "pusher" }),
+      });
+      const cookie = login.headers.get("set-cookie").split(";")[0];
+      const submit = (score) =>
+        fetch("http://localhost:9000/leaderboards/arcade/scores", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", cookie },
+          body: JSON.stringify({ score }),
+        });
+      assert.equal((await submit(1000)).status, 201);
+      // Not a new best on the "best" board: no rank changes, nothing pushed.
+      assert.equal((await submit(10)).status, 201);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    },
+  });
+  await subscriber.quit();
+
+  // One frame per period, all for the first submission.
+  assert.deepEqual(envelopes.map(({ origin, room }) => ({ origin, room })), Array(3).fill({ origin: "redis-playground", room: "*" }));
+  const frames = envelopes.map(({ payload }) => JSON.parse(payload));
+  assert.deepEqual(frames.map((frame) => frame.period).sort(), ["all", "daily", "weekly"]);
+  for (const { v, id, ts, period, ...frame } of frames) {
+    assert.equal(typeof v, "number");
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.ok(!Number.isNaN(Date.parse(ts)));
+    assert.deepEqual(frame, { type: "leaderboard", board: "arcade", player: "pusher", score: 1000, rank: 1, previousRank: null }, period);
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * lib/rate-limit.js in front of a small Express app, against the in-memory
+ * Redis (lib/fake-redis.js). Run: npm test
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import express from "express";
+import { rateLimit } from "../lib/rate-limit.js";
+import { connection } from "./helpers.js";
+
+let client;
+const servers = [];
+
+before(async () => {
+  client = await connection();
+});
+
+after(() => {
+  servers.forEach((server) => server.close());
+});
+
+// Serves GET / behind `limiter`; resolves with a function that requests it.
+async function serve(limiter) {
+  const app = express();
+  app.get("/", limiter, (req, res) => res.json({ ok: true }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  servers.push(server);
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  return (headers = {}) => fetch(url, { headers });
+}
+
+async function statuses(request, count, headers) {
+  const result = [];
+  for (let i = 0; i < count; i++) result.push((await request(headers)).status);
+  return result;
+}
+
+test("fixed window: counts per epoch-aligned window, then answers 429 with Retry-After", async () => {
+  const request = await serve(rateLimit(client, { algorithm: "fixed-window", limit: 3, windowMs: 60000, name: "fixed" }));
+  // Keep the four requests inside one window.
+  if (Date.now() % 60000 > 58000) await sleep(60000 - (Date.now() % 60000) + 50);
+  const remaining = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await request();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("ratelimit-limit"), "3");
+    assert.equal(response.headers.get("ratelimit-policy"), "3;w=60");
+    remaining.push(response.headers.get("ratelimit-remaining"));
+  }
+  assert.deepEqual(remaining, ["2", "1", "0"]);
+
+  const refused = await request();
+  assert.equal(refused.status, 429);
+  const untilWindowEnds = 60000 - (Date.now() % 60000);
+  assert.ok(Math.abs(Number(refused.headers.get("retry-after")) - Math.ceil(untilWindowEnds / 1000)) <= 1);
+  assert.deepEqual(await refused.json(), { error: "Too many requests", retryAfter: Number(refused.headers.get("retry-after")) });
+
+  // The counter expires with its window, whenever the first request came in.
+  const [key] = await client.keys("ratelimit:http:fixed:*");
+  assert.ok(Math.abs((await client.pTTL(key)) - untilWindowEnds) < 100);
+});
+
+test("sliding window: room frees up as old requests age out", async () => {
+  const request = await serve(rateLimit(client, { algorithm: "sliding-window", limit: 2, windowMs: 400, name: "sliding" }));
+  assert.deepEqual(await statuses(request, 3), [200, 200, 429]);
+  await sleep(450);
+  assert.deepEqual(await statuses(request, 3), [200, 200, 429]);
+});
+
+test("sliding window: RateLimit-Reset counts down to when the oldest request ages out", async () => {
+  const request = await serve(rateLimit(client, { algorithm: "sliding-window", limit: 2, windowMs: 10000, name: "reset" }));
+  assert.equal((await request()).headers.get("ratelimit-reset"), "10");
+  await sleep(1200);
+  // Still the first request that frees up room, in 8.8 sec.
+  assert.equal((await request()).headers.get("ratelimit-reset"), "9");
+  const refused = await request();
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers.get("ratelimit-reset"), "9");
+  assert.equal(refused.headers.get("retry-after"), "9");
+});
+
+test("token bucket: bursts up to the bucket size, then refills steadily", async () => {
+  // Two tokens, refilled at one per 200 ms.
+  const request = await serve(rateLimit(client, { algorithm: "token-bucket", limit: 2, windowMs: 400, name: "bucket" }));
+  assert.deepEqual(await statuses(request, 3), [200, 200, 429]);
+  await sleep(250);
+  assert.deepEqual(await statuses(request, 2), [200, 429]);
+});
+
+test("unknown API keys are counted against the IP", async () => {
+  const request = await serve(rateLimit(client, { limit: 1, keyBy: "apiKey", apiKeys: ["team-a", "team-b"], name: "keys" }));
+  assert.deepEqual(await statuses(request, 2, { "X-Api-Key": "team-a" }), [200, 429]);
+  assert.deepEqual(await statuses(request, 1, { "X-Api-Key": "team-b" }), [200]);
+  // Made-up keys share the IP's counter, so new ones don't buy new requests.
+  assert.deepEqual(await statuses(request, 1, { "X-Api-Key": "made-up-1" }), [200]);
+  assert.deepEqual(await statuses(request, 1, { "X-Api-Key": "made-up-2" }), [429]);
+  assert.deepEqual(await statuses(request, 1), [429]);
+});
+
+test("custom keys, bad options, and Redis failures", async () => {
+  const byTenant = rateLimit(client, { limit: 1, keyBy: (req) => `tenant:${req.get("x-tenant")}`, name: "tenant" });
+  const request = await serve(byTenant);
+  assert.deepEqual(await statuses(request, 2, { "X-Tenant": "acme" }), [200, 429]);
+  assert.deepEqual(await statuses(request, 1, { "X-Tenant": "globex" }), [200]);
+
+  assert.throws(() => rateLimit(client, { algorithm: "leaky" }), RangeError);
+  assert.throws(() => rateLimit(client, { keyBy: "cookie" }), RangeError);
+
+  // Without Redis the limiter lets requests through rather than failing them.
+  const down = await connection();
+  await down.quit();
+  const unlimited = await serve(rateLimit(down, { limit: 1, name: "down" }));
+  assert.deepEqual(await statuses(unlimited, 2), [200, 200]);
+});
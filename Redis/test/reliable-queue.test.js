@@ -0,0 +1,74 @@
+/**
+ * lib/reliable-queue.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { ReliableQueue } from "../lib/reliable-queue.js";
+import { connection } from "./helpers.js";
+
+let client;
+
+before(async () => {
+  client = await connection();
+});
+
+const values = (items) => items.map((item) => item.value);
+
+test("fifo and lifo order, ack and nack", async () => {
+  const fifo = new ReliableQueue(client, "t:fifo");
+  await fifo.push(1, 2, 3);
+  const worker = await fifo.worker("w1");
+  const first = await worker.pop(1);
+  assert.equal(first.value, 1);
+  assert.equal(await worker.nack(first), true);
+  assert.deepEqual(values(await worker.popBatch(5, 1)), [1, 2, 3]);
+  assert.equal(await worker.ack(first), true);
+  assert.equal(await worker.ack(first), false);
+  assert.equal(await worker.pop(0.1), null);
+  await worker.stop();
+
+  const lifo = new ReliableQueue(client, "t:lifo", { mode: "lifo" });
+  await lifo.push(1, 2, 3);
+  const stacker = await lifo.worker("w1");
+  assert.deepEqual(values(await stacker.popBatch(3, 1)), [3, 2, 1]);
+  await stacker.stop();
+});
+
+test("stop() puts held items back before deregistering", async () => {
+  const queue = new ReliableQueue(client, "t:stop");
+  await queue.push("a", "b");
+  const worker = await queue.worker("w1");
+  await worker.popBatch(2, 1);
+  assert.equal(await queue.size(), 0);
+  await worker.stop();
+
+  assert.equal(await queue.size(), 2);
+  assert.deepEqual(await client.zRange(queue.keys.workers, 0, -1), []);
+  const next = await queue.worker("w2");
+  assert.deepEqual(values(await next.popBatch(2, 1)), ["a", "b"]); // still oldest first
+  await next.stop();
+});
+
+test("items of a dead worker are reaped, or recovered when it restarts under its id", async () => {
+  const queue = new ReliableQueue(client, "t:reap", { deadAfter: 150 });
+  await queue.push("a", "b");
+  // Two workers crash while holding an item each: their heartbeats stop.
+  const crashed = await Promise.all(["w1", "w2"].map((id) => queue.worker(id)));
+  for (const worker of crashed) {
+    await worker.pop(1);
+    clearInterval(worker.timer);
+    await worker.connection.quit();
+  }
+
+  const restarted = await queue.worker("w1");
+  assert.equal(await restarted.recover(), 1);
+  assert.equal(await queue.reap(), 0); // w2 is not overdue yet
+  await sleep(200);
+  assert.equal(await queue.reap(), 1); // w2 is; w1 is beating again
+  assert.deepEqual(await client.zRange(queue.keys.workers, 0, -1), ["w1"]);
+  assert.equal(await queue.size(), 2);
+  await restarted.stop();
+});
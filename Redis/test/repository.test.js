@@ -0,0 +1,131 @@
+/**
+ * lib/repository.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { WatchError } from "redis";
+import { HashRepository } from "../lib/repository.js";
+import { connection } from "./helpers.js";
+
+let client;
+const repositories = [];
+
+before(async () => {
+  client = await connection();
+});
+
+after(async () => {
+  await Promise.all(repositories.map((repository) => repository.close()));
+});
+
+const SCHEMA = { name: "string", age: "number", admin: "boolean", createdAt: "date", settings: "json" };
+
+function users(options) {
+  const repository = new HashRepository(client, "t:user:", SCHEMA, options);
+  repositories.push(repository);
+  return repository;
+}
+
+test("values come back with their types, and only schema fields", async () => {
+  const repository = users();
+  const createdAt = new Date("2025-01-31T10:00:00.000Z");
+  await repository.save("1", { name: "Ankit", age: 23, admin: false, createdAt, settings: { theme: "light", tabs: [1, 2] } });
+  assert.deepEqual({ ...(await client.hGetAll("t:user:1")) }, {
+    name: "Ankit",
+    age: "23",
+    admin: "0",
+    createdAt: "2025-01-31T10:00:00.000Z",
+    settings: '{"theme":"light","tabs":[1,2]}',
+  });
+
+  await client.hSet("t:user:1", "note", "added by hand");
+  assert.deepEqual(await repository.get("1"), { name: "Ankit", age: 23, admin: false, createdAt, settings: { theme: "light", tabs: [1, 2] } });
+  assert.equal(await repository.get("missing"), null);
+  assert.equal(await repository.exists("1"), true);
+});
+
+test("save replaces, update only touches the given fields", async () => {
+  const repository = users();
+  await repository.save("2", { name: "Ann", age: 30, admin: true });
+  await repository.save("2", { name: "Ann" });
+  assert.deepEqual(await repository.get("2"), { name: "Ann" });
+
+  await repository.update("2", { age: 31, admin: true });
+  await repository.update("2", { admin: null, name: undefined });
+  assert.deepEqual(await repository.get("2"), { age: 31 });
+});
+
+test("bad values, unknown fields and unknown types are refused", async () => {
+  const repository = users();
+  await assert.rejects(repository.save("3", { age: "thirty" }), { name: "TypeError", message: "age: expected a finite number" });
+  await assert.rejects(repository.update("3", { admin: "yes" }), { name: "TypeError", message: "admin: expected a boolean" });
+  await assert.rejects(repository.save("3", { email: "a@b.c" }), { name: "TypeError", message: "Unknown field: email" });
+  await assert.rejects(repository.increment("3", "name"), TypeError);
+  assert.throws(() => new HashRepository(client, "t:x:", { id: "uuid" }), TypeError);
+  assert.equal(await repository.exists("3"), false);
+});
+
+test("increment adds atomically, whole or fractional", async () => {
+  const repository = users();
+  assert.equal(await repository.increment("4", "age"), 1);
+  assert.equal(await repository.increment("4", "age", 5), 6);
+  assert.equal(await repository.increment("4", "age", 0.5), 6.5);
+  assert.deepEqual(await repository.get("4"), { age: 6.5 });
+});
+
+test("a ttl makes every write reset the expiry; touch and delete", async () => {
+  const repository = users({ ttl: 60 });
+  await repository.save("5", { name: "Tmp" });
+  assert.equal(await client.ttl("t:user:5"), 60);
+  await client.expire("t:user:5", 5);
+  await repository.update("5", { age: 1 });
+  assert.equal(await client.ttl("t:user:5"), 60);
+  await client.expire("t:user:5", 5);
+  await repository.increment("5", "age");
+  assert.equal(await client.ttl("t:user:5"), 60);
+
+  assert.equal(await repository.touch("5", 120), true);
+  assert.equal(await client.ttl("t:user:5"), 120);
+  assert.equal(await repository.touch("missing", 120), false);
+
+  // Without a ttl, writes leave the key persistent.
+  await users().save("6", { name: "Kept" });
+  assert.equal(await client.ttl("t:user:6"), -1);
+
+  assert.equal(await repository.delete("5"), true);
+  assert.equal(await repository.delete("5"), false);
+});
+
+test("modify retries when the hash changes between read and write", async () => {
+  const repository = users();
+  await repository.save("7", { age: 1 });
+
+  let calls = 0;
+  const written = await repository.modify("7", async (user) => {
+    calls++;
+    // Someone else writes while the first attempt is between WATCH and EXEC.
+    if (calls === 1) await client.hSet("t:user:7", "age", "10");
+    return { age: user.age + 1 };
+  });
+  assert.equal(calls, 2);
+  assert.deepEqual(written, { age: 11 });
+  assert.deepEqual(await repository.get("7"), { age: 11 });
+
+  // null from fn leaves the hash alone; an error from fn is passed on.
+  assert.deepEqual(await repository.modify("7", () => null), { age: 11 });
+  await assert.rejects(repository.modify("7", () => {
+    throw new Error("nope");
+  }), /nope/);
+
+  // Concurrent calls from this process take turns, so none is lost.
+  await Promise.all([1, 2, 3].map(() => repository.modify("7", (user) => ({ age: user.age + 1 }))));
+  assert.deepEqual(await repository.get("7"), { age: 14 });
+
+  // Out of retries: WatchError.
+  await assert.rejects(repository.modify("7", async (user) => {
+    await client.hSet("t:user:7", "age", String(user.age + 100));
+    return { age: 0 };
+  }, { retries: 1 }), WatchError);
+});
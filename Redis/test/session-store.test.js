@@ -0,0 +1,79 @@
+/**
+ * lib/session-store.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { promisify } from "node:util";
+import { RedisSessionStore } from "../lib/session-store.js";
+import { connection } from "./helpers.js";
+
+let client;
+
+before(async () => {
+  client = await connection();
+});
+
+// The store's callback API, as promises.
+function promised(store) {
+  return {
+    get: promisify(store.get.bind(store)),
+    set: promisify(store.set.bind(store)),
+    touch: promisify(store.touch.bind(store)),
+    destroy: promisify(store.destroy.bind(store)),
+  };
+}
+
+const session = (maxAge, fields = {}) => ({ cookie: { maxAge, httpOnly: true, path: "/" }, ...fields });
+
+test("set, get and destroy", async () => {
+  const store = promised(new RedisSessionStore(client, { prefix: "t:sess:" }));
+  assert.equal(await store.get("s1"), null);
+
+  await store.set("s1", session(60000, { userId: 7, cart: ["a", "b"] }));
+  assert.deepEqual(await store.get("s1"), session(60000, { userId: 7, cart: ["a", "b"] }));
+
+  // set replaces the session as a whole.
+  await store.set("s1", session(60000, { userId: 8 }));
+  assert.deepEqual(await store.get("s1"), session(60000, { userId: 8 }));
+
+  await store.destroy("s1");
+  assert.equal(await store.get("s1"), null);
+  assert.equal(await client.exists("t:sess:s1"), 0);
+});
+
+test("the TTL follows the cookie's maxAge, with a default for cookies without one", async () => {
+  const store = promised(new RedisSessionStore(client, { prefix: "t:sess:", ttl: 300 }));
+  await store.set("short", session(1500));
+  assert.equal(await client.ttl("t:sess:short"), 2); // rounded up to whole seconds
+  await store.set("browser", session(null));
+  assert.equal(await client.ttl("t:sess:browser"), 300);
+  await store.set("expired", session(-5000));
+  assert.equal(await client.ttl("t:sess:expired"), 1);
+});
+
+test("touch resets the TTL without writing", async () => {
+  const store = promised(new RedisSessionStore(client, { prefix: "t:sess:" }));
+  await store.set("s2", session(10000, { userId: 1 }));
+  await store.touch("s2", session(120000, { userId: 2 }));
+  assert.equal(await client.ttl("t:sess:s2"), 120);
+  assert.deepEqual(await store.get("s2"), session(10000, { userId: 1 }));
+});
+
+test("Redis errors reach the callback, on a later tick than the call", async () => {
+  const down = await connection();
+  await down.quit();
+  const store = new RedisSessionStore(down);
+
+  let returned = false;
+  const [err, stored] = await new Promise((resolve) => {
+    store.get("s3", (...args) => {
+      assert.ok(returned);
+      resolve(args);
+    });
+    returned = true;
+  });
+  assert.ok(err instanceof Error);
+  assert.equal(stored, undefined);
+});
@@ -0,0 +1,128 @@
+/**
+ * lib/stream-processor.js against the in-memory Redis (lib/fake-redis.js).
+ * Run: npm test
+ */
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createStreamProcessor, StreamProcessor } from "../lib/stream-processor.js";
+import { connection } from "./helpers.js";
+
+let client;
+
+// Short blocks so stop() returns quickly; the tests run the reclaimer themselves.
+const OPTIONS = { block: 50, claimInterval: 60 * 60 * 1000, minIdleTime: 200, maxDeliveries: 3 };
+
+before(async () => {
+  client = await connection();
+});
+
+async function until(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) await sleep(10);
+  assert.ok(condition(), "timed out");
+}
+
+test("every entry is handled once across the group's consumers, then acknowledged", async () => {
+  const handled = [];
+  const { process } = createStreamProcessor(client, OPTIONS);
+  const processor = await process("t:orders", "billing", async ({ id, message }) => {
+    handled.push({ id, orderId: message.orderId });
+  }, { consumers: 3 });
+
+  const ids = [];
+  for (let i = 1; i <= 9; i++) ids.push(await processor.publish({ orderId: String(i) }));
+  await until(() => handled.length === 9);
+  await processor.stop();
+
+  assert.deepEqual(handled.map((entry) => entry.id).sort(), [...ids].sort());
+  assert.deepEqual(handled.map((entry) => entry.orderId).sort(), ["1", "2", "3", "4", "5", "6", "7", "8", "9"]);
+  assert.equal((await client.xPending("t:orders", "billing")).pending, 0);
+
+  // Starting again finds the group in place (BUSYGROUP is not an error).
+  await new StreamProcessor(client, "t:orders", "billing", null).ensureGroup();
+});
+
+test("a restarted consumer first handles its own pending entries", async () => {
+  const processor = new StreamProcessor(client, "t:restart", "billing", null, { ...OPTIONS, consumerPrefix: "host" });
+  await processor.ensureGroup();
+  const id = await processor.publish({ orderId: "1" });
+  // host-0 read the entry, then crashed before acknowledging it.
+  await client.xReadGroup("billing", "host-0", { key: "t:restart", id: ">" });
+
+  const handled = [];
+  processor.handler = async (entry) => handled.push(entry.id);
+  await processor.start();
+  await until(() => handled.length === 1);
+  await processor.stop();
+
+  assert.deepEqual(handled, [id]);
+  assert.equal((await client.xPending("t:restart", "billing")).pending, 0);
+});
+
+test("pending entries trimmed before a restart are acknowledged and skipped", async () => {
+  const processor = new StreamProcessor(client, "t:trimmed", "billing", null, { ...OPTIONS, consumerPrefix: "host" });
+  await processor.ensureGroup();
+  const gone = await processor.publish({ orderId: "1" });
+  const kept = await processor.publish({ orderId: "2" });
+  await client.xReadGroup("billing", "host-0", { key: "t:trimmed", id: ">" });
+  await client.xDel("t:trimmed", gone);
+
+  const handled = [];
+  processor.handler = async (entry) => handled.push(entry.id);
+  await processor.start();
+  await until(() => handled.length === 1);
+  // Past the backlog: a new entry is read with ">".
+  const fresh = await processor.publish({ orderId: "3" });
+  await until(() => handled.length === 2);
+  await processor.stop();
+
+  assert.deepEqual(handled, [kept, fresh]);
+  assert.equal((await client.xPending("t:trimmed", "billing")).pending, 0);
+});
+
+test("the reclaimer takes over idle entries of other consumers", async () => {
+  const processor = new StreamProcessor(client, "t:takeover", "billing", null, { ...OPTIONS, consumerPrefix: "survivor" });
+  await processor.ensureGroup();
+  const id = await processor.publish({ orderId: "1" });
+  // A consumer in another process read the entry, then died with it.
+  await client.xReadGroup("billing", "dead-0", { key: "t:takeover", id: ">" });
+
+  const handled = [];
+  processor.handler = async (entry) => handled.push(entry.id);
+  await processor.start();
+  await processor.reclaim(); // not idle long enough yet
+  assert.deepEqual(handled, []);
+  await sleep(250);
+  await processor.reclaim();
+  await processor.stop();
+
+  assert.deepEqual(handled, [id]);
+  assert.equal((await client.xPending("t:takeover", "billing")).pending, 0);
+});
+
+test("entries that keep failing are moved to the dead-letter stream", async () => {
+  let attempts = 0;
+  const processor = await new StreamProcessor(client, "t:poison", "billing", async ({ message }) => {
+    attempts++;
+    throw new Error(`Cannot bill order ${message.orderId}`);
+  }, OPTIONS).start();
+  const id = await processor.publish({ orderId: "13" });
+  await until(() => attempts === 1);
+
+  await processor.reclaim(); // not idle yet: nothing happens
+  assert.equal(attempts, 1);
+  for (let deliveries = 2; deliveries <= 3; deliveries++) {
+    await sleep(250);
+    await processor.reclaim();
+    assert.equal(attempts, deliveries);
+  }
+  await sleep(250);
+  await processor.reclaim();
+  await processor.stop();
+
+  assert.equal(attempts, 3);
+  assert.equal((await client.xPending("t:poison", "billing")).pending, 0);
+  const [dead] = await client.xRange("t:poison:dead", "-", "+");
+  assert.deepEqual({ ...dead.message }, { orderId: "13", originalId: id, deliveries: "3" });
+});
@@ -0,0 +1,42 @@
+/**
+ * 🧪 Local stand-in for JSONPlaceholder
+ * -------------------------------------
+ * Serves the same /posts and /posts/:id routes with generated data, so
+ * server.js can be tested offline and without hitting a public API:
+ *
+ *   node upstream-stub.js
+ *   UPSTREAM_URL=http://localhost:9100 node server.js
+ *
+ * Every request is logged, which makes cache hits (no log line here) easy to spot.
+ * Set STUB_DELAY_MS to simulate a slow upstream.
+ */
+
+import express from "express";
+
+const app = express();
+const PORT = Number(process.env.STUB_PORT) || 9100;
+const DELAY_MS = Number(process.env.STUB_DELAY_MS) || 0;
+
+const posts = Array.from({ length: 100 }, (_, i) => ({
+  userId: Math.floor(i / 10) + 1,
+  id: i + 1,
+  title: `Stub post ${i + 1}`,
+  body: `This is the body of stub post ${i + 1}.`,
+}));
+
+app.use((req, res, next) => {
+  console.log(`📥 ${req.method} ${req.originalUrl}`);
+  setTimeout(next, DELAY_MS);
+});
+
+app.get("/posts", (req, res) => res.json(posts));
+
+app.get("/posts/:id", (req, res) => {
+  const post = posts.find((p) => p.id === Number(req.params.id));
+  if (!post) return res.status(404).json({});
+  res.json(post);
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Upstream stub running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,6 @@
+// Shared by the WebSocket server and the Redis server (Redis/lib imports the CommonJS build in
+// dist/ as an ES module), so both write the same log lines and the same metrics format.
+
+export {Logger, logger} from './logger';
+export type {Fields, Level} from './logger';
+export {CONTENT_TYPE, Counter, DEFAULT_BUCKETS, Gauge, Histogram, Registry, registry} from './metrics';
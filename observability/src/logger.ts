@@ -0,0 +1,79 @@
+/* Structured logging: one JSON object per line (time, level, msg, then fields), so log collectors
+can search by field:
+
+    {"time":"2025-09-01T10:00:00.000Z","level":"info","msg":"Request","requestId":"…","status":200}
+
+Info and debug go to stdout, warn and error to stderr; LOG_LEVEL sets the lowest level written
+(default info). Child loggers carry context such as the connection id into every line they write.
+time, level and msg always come from the logger: fields or context of the same name don't replace
+them. */
+
+export type Level = 'debug' | 'info' | 'warn' | 'error';
+
+const LEVELS: Record<Level, number> = {debug: 10, info: 20, warn: 30, error: 40};
+
+export type Fields = Record<string, unknown>;
+
+// write: where finished lines go, for tests; defaults to stdout / stderr by level.
+type Options = {level?: string; write?: (line: string, level: Level) => void};
+
+function serializeError(err: Error & {code?: unknown}) {
+    return {name: err.name, message: err.message, ...(err.code ? {code: err.code} : {}), stack: err.stack};
+}
+
+function isLevel(level: string): level is Level {
+    return level in LEVELS;
+}
+
+function writeToStdio(line: string, level: Level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+export class Logger {
+    readonly level: Level;
+    private write: (line: string, level: Level) => void;
+
+    constructor(private context: Fields = {}, {level = process.env.LOG_LEVEL || 'info', write = writeToStdio}: Options = {}) {
+        if (!isLevel(level)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+        this.write = write;
+    }
+
+    child(context: Fields): Logger {
+        return new Logger({...this.context, ...context}, {level: this.level, write: this.write});
+    }
+
+    // `fields` may be an Error, or contain one as 'err'; either is written with its message and stack.
+    log(level: Level, msg: string, fields: Fields | Error = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+        const extra: Fields = fields instanceof Error ? {err: serializeError(fields)} : {...fields};
+        if (extra.err instanceof Error) {
+            extra.err = serializeError(extra.err);
+        }
+        // Spread first to lead the line, and again last so fields can't overwrite them.
+        const reserved = {time: new Date().toISOString(), level, msg};
+        this.write(JSON.stringify({...reserved, ...this.context, ...extra, ...reserved}), level);
+    }
+
+    debug(msg: string, fields?: Fields | Error) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg: string, fields?: Fields | Error) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg: string, fields?: Fields | Error) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg: string, fields?: Fields | Error) {
+        this.log('error', msg, fields);
+    }
+}
+
+export const logger = new Logger();
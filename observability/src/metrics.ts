@@ -0,0 +1,215 @@
+/* Prometheus metrics in the text format (0.0.4), served at GET /metrics: counters only go up,
+gauges go up and down, histograms count observations (latencies, in seconds) into cumulative
+buckets. Values kept elsewhere, like the heartbeat stats or a queue length in Redis, are set by a
+collect function on every scrape instead of being pushed; if it fails, the scrape still succeeds
+with the previous values (and a warning in the log). Keep label values few and bounded: every
+combination is a separate series. */
+
+import {logger} from './logger';
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Prometheus client defaults, in seconds: 5 ms to 10 s.
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+type Labels = Record<string, string | number>;
+
+// collect runs before every render, with the metric, to set values read from elsewhere.
+type Options<M> = {name: string; help: string; labelNames?: string[]; collect?: (metric: M) => void | Promise<void>};
+
+const escape = (text: string) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels: Record<string, string>) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape(value).replace(/"/g, '\\"')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return value === -Infinity ? '-Inf' : String(value);
+}
+
+abstract class Metric<V> {
+    protected series = new Map<string, {labels: Record<string, string>; value: V}>();
+    readonly name: string;
+    private help: string;
+    private labelNames: string[];
+    // Typed by the subclass constructors, which know what the metric is.
+    private collect?: (metric: never) => void | Promise<void>;
+
+    constructor(private type: 'counter' | 'gauge' | 'histogram', options: Options<never>) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(options.name)) {
+            throw new Error(`Invalid metric name: ${options.name}`);
+        }
+        this.name = options.name;
+        this.help = options.help;
+        this.labelNames = options.labelNames ?? [];
+        this.collect = options.collect;
+    }
+
+    protected abstract initial(): V;
+
+    protected abstract lines(): string[];
+
+    // Labels in declared order, so {a, b} and {b, a} are the same series.
+    protected entry(labels: Labels = {}) {
+        const ordered: Record<string, string> = {};
+        for (const name of this.labelNames) {
+            if (labels[name] === undefined) {
+                throw new Error(`Missing label ${name} on ${this.name}`);
+            }
+            ordered[name] = String(labels[name]);
+        }
+        const key = JSON.stringify(ordered);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = {labels: ordered, value: this.initial()};
+            this.series.set(key, entry);
+        }
+        return entry;
+    }
+
+    // Current value of a series; one not used yet starts at its initial value.
+    get(labels?: Labels): V {
+        return this.entry(labels).value;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    async render(): Promise<string> {
+        try {
+            await this.collect?.(this as never);
+        } catch (err) {
+            logger.warn('Metric collection failed, reporting previous values', {metric: this.name, err});
+        }
+        return [`# HELP ${this.name} ${escape(this.help)}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+    }
+}
+
+class Value extends Metric<number> {
+    protected initial() {
+        return 0;
+    }
+
+    protected lines() {
+        return [...this.series.values()].map(({labels, value}) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+export class Counter extends Value {
+    constructor(options: Options<Counter>) {
+        super('counter', options);
+    }
+
+    inc(labels?: Labels, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} can only go up`);
+        }
+        this.entry(labels).value += amount;
+    }
+
+    // For collect functions: totals counted elsewhere, which only go up.
+    set(labels: Labels, value: number) {
+        this.entry(labels).value = value;
+    }
+}
+
+export class Gauge extends Value {
+    constructor(options: Options<Gauge>) {
+        super('gauge', options);
+    }
+
+    set(labels: Labels, value: number) {
+        this.entry(labels).value = value;
+    }
+
+    inc(labels?: Labels, amount = 1) {
+        this.entry(labels).value += amount;
+    }
+
+    dec(labels?: Labels, amount = 1) {
+        this.entry(labels).value -= amount;
+    }
+}
+
+type Buckets = {counts: number[]; sum: number; count: number};
+
+export class Histogram extends Metric<Buckets> {
+    private buckets: number[];
+
+    constructor({buckets = DEFAULT_BUCKETS, ...options}: Options<Histogram> & {buckets?: number[]}) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    protected initial(): Buckets {
+        return {counts: this.buckets.map(() => 0), sum: 0, count: 0};
+    }
+
+    observe(labels: Labels, value: number) {
+        const {value: data} = this.entry(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                data.counts[i]++;
+            }
+        });
+        data.sum += value;
+        data.count++;
+    }
+
+    // Starts timing; the returned function records and returns the seconds elapsed. Labels known
+    // only at the end (e.g. the status) can be passed to it.
+    startTimer(labels: Labels = {}) {
+        const start = process.hrtime.bigint();
+        return (moreLabels: Labels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({...labels, ...moreLabels}, seconds);
+            return seconds;
+        };
+    }
+
+    protected lines() {
+        return [...this.series.values()].flatMap(({labels, value}) => [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({...labels, le: formatValue(bound)})} ${value.counts[i]}`),
+            `${this.name}_bucket${formatLabels({...labels, le: '+Inf'})} ${value.count}`,
+            `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+            `${this.name}_count${formatLabels(labels)} ${value.count}`,
+        ]);
+    }
+}
+
+export class Registry {
+    private byName = new Map<string, Metric<unknown>>();
+
+    private register<M extends Metric<unknown>>(metric: M): M {
+        if (this.byName.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.byName.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options: Options<Counter>) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options: Options<Gauge>) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options: Options<Histogram> & {buckets?: number[]}) {
+        return this.register(new Histogram(options));
+    }
+
+    // Every metric, in the text format.
+    async metrics(): Promise<string> {
+        const blocks = await Promise.all([...this.byName.values()].map((metric) => metric.render()));
+        return blocks.join('\n') + '\n';
+    }
+}
+
+export const registry = new Registry();
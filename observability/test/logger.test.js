@@ -0,0 +1,63 @@
+// JSON lines of src/logger.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Logger} = require('chat-observability');
+
+// A logger that collects its lines, parsed.
+function capture(options = {}) {
+    const lines = [];
+    const logger = new Logger({service: 'test'}, {...options, write: (line, level) => lines.push({level, ...JSON.parse(line)})});
+    return {logger, lines};
+}
+
+test('writes one JSON object per line with time, level, message and context', () => {
+    const {logger, lines} = capture();
+    logger.info('Server running', {port: 8080});
+    assert.equal(lines.length, 1);
+    const [line] = lines;
+    assert.match(line.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(line.level, 'info');
+    assert.equal(line.msg, 'Server running');
+    assert.equal(line.service, 'test');
+    assert.equal(line.port, 8080);
+});
+
+test('child loggers add their context to every line', () => {
+    const {logger, lines} = capture();
+    const log = logger.child({connection: 'c1'});
+    log.warn('Slow consumer');
+    logger.info('Unrelated');
+    assert.equal(lines[0].connection, 'c1');
+    assert.equal(lines[0].service, 'test');
+    assert.equal(lines[1].connection, undefined);
+});
+
+test('errors are written with their message, code and stack', () => {
+    const {logger, lines} = capture();
+    logger.error('Bus publish failed', new Error('boom'));
+    logger.error('Redis error', {room: 'general', err: Object.assign(new Error('refused'), {code: 'ECONNREFUSED'})});
+    assert.equal(lines[0].err.message, 'boom');
+    assert.match(lines[0].err.stack, /Error: boom/);
+    assert.equal(lines[1].room, 'general');
+    assert.equal(lines[1].err.code, 'ECONNREFUSED');
+});
+
+test('fields and context cannot replace time, level or msg', () => {
+    const {logger, lines} = capture();
+    logger.child({level: 'debug'}).error('Invalidated', {msg: 'forged', time: 'yesterday', keys: ['a']});
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].msg, 'Invalidated');
+    assert.match(lines[0].time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(lines[0].keys, ['a']);
+});
+
+test('lines below the level are dropped, and unknown levels are refused', () => {
+    const {logger, lines} = capture({level: 'warn'});
+    logger.debug('a');
+    logger.info('b');
+    logger.warn('c');
+    logger.error('d');
+    assert.deepEqual(lines.map((line) => line.msg), ['c', 'd']);
+    assert.deepEqual(lines.map((line) => line.level), ['warn', 'error']);
+    assert.throws(() => new Logger({}, {level: 'loud'}), /Unknown log level/);
+});
@@ -0,0 +1,76 @@
+// Prometheus text output of src/metrics.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {Registry} = require('chat-observability');
+
+test('counters and gauges render with HELP, TYPE and one line per label set', async () => {
+    const registry = new Registry();
+    const received = registry.counter({name: 'ws_messages_received_total', help: 'Frames', labelNames: ['type', 'outcome']});
+    received.inc({type: 'message', outcome: 'ok'});
+    received.inc({outcome: 'ok', type: 'message'}, 2);
+    received.inc({type: 'join', outcome: 'rejected'});
+    const connections = registry.gauge({name: 'ws_connections', help: 'Open sockets'});
+    connections.inc();
+    connections.inc();
+    connections.dec();
+
+    assert.equal(await registry.metrics(), [
+        '# HELP ws_messages_received_total Frames',
+        '# TYPE ws_messages_received_total counter',
+        'ws_messages_received_total{type="message",outcome="ok"} 3',
+        'ws_messages_received_total{type="join",outcome="rejected"} 1',
+        '# HELP ws_connections Open sockets',
+        '# TYPE ws_connections gauge',
+        'ws_connections 1',
+        '',
+    ].join('\n'));
+    assert.equal(received.get({type: 'message', outcome: 'ok'}), 3);
+});
+
+test('histograms have cumulative buckets, sum and count', async () => {
+    const registry = new Registry();
+    const latency = registry.histogram({name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [0.1, 1]});
+    latency.observe({route: '/'}, 0.05);
+    latency.observe({route: '/'}, 0.5);
+    latency.observe({route: '/'}, 3);
+    const end = latency.startTimer();
+    assert.ok(end({route: '/login'}) >= 0);
+
+    const text = await registry.metrics();
+    assert.match(text, /^latency_seconds_bucket\{route="\/",le="0.1"\} 1$/m);
+    assert.match(text, /^latency_seconds_bucket\{route="\/",le="1"\} 2$/m);
+    assert.match(text, /^latency_seconds_bucket\{route="\/",le="\+Inf"\} 3$/m);
+    assert.match(text, /^latency_seconds_sum\{route="\/"\} 3.55$/m);
+    assert.match(text, /^latency_seconds_count\{route="\/login"\} 1$/m);
+});
+
+test('collect() sets values on every scrape and a failing one keeps the last values', async () => {
+    const registry = new Registry();
+    let live = 4;
+    registry.gauge({
+        name: 'ws_connections',
+        help: 'Open sockets',
+        collect: async (gauge) => {
+            if (live < 0) {
+                throw new Error('stats unavailable');
+            }
+            gauge.set({}, live);
+        },
+    });
+    assert.match(await registry.metrics(), /^ws_connections 4$/m);
+    live = 7;
+    assert.match(await registry.metrics(), /^ws_connections 7$/m);
+    live = -1;
+    assert.match(await registry.metrics(), /^ws_connections 7$/m);
+});
+
+test('label values are escaped and label names are required', async () => {
+    const registry = new Registry();
+    const counter = registry.counter({name: 'rooms_total', help: 'Rooms', labelNames: ['room']});
+    counter.inc({room: 'a"b\\c'});
+    assert.match(await registry.metrics(), /^rooms_total\{room="a\\"b\\\\c"\} 1$/m);
+    assert.throws(() => counter.inc({}), /Missing label room/);
+    assert.throws(() => counter.inc({room: 'x'}, -1), /only go up/);
+    assert.throws(() => registry.counter({name: 'rooms_total', help: 'again'}), /already registered/);
+    assert.throws(() => registry.gauge({name: 'rooms-open', help: 'Bad name'}), /Invalid metric name/);
+});
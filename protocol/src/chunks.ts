@@ -0,0 +1,35 @@
+// Upload chunks travel as binary frames: the file id as 36 ASCII characters, the offset of the
+// chunk in the file as a big-endian uint32, then the bytes themselves.
+
+export const CHUNK_HEADER_BYTES = 40;
+
+const FILE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export function isValidFileId(id: unknown): id is string {
+    return typeof id === 'string' && FILE_ID.test(id);
+}
+
+export type Chunk = { fileId: string; offset: number; data: Uint8Array };
+
+export function encodeChunk(fileId: string, offset: number, data: Uint8Array): Uint8Array {
+    const frame = new Uint8Array(CHUNK_HEADER_BYTES + data.length);
+    for (let i = 0; i < 36; i++) {
+        frame[i] = fileId.charCodeAt(i);
+    }
+    new DataView(frame.buffer).setUint32(36, offset);
+    frame.set(data, CHUNK_HEADER_BYTES);
+    return frame;
+}
+
+// Returns null for frames that aren't chunks.
+export function decodeChunk(frame: Uint8Array): Chunk | null {
+    if (frame.length <= CHUNK_HEADER_BYTES) {
+        return null;
+    }
+    const fileId = String.fromCharCode(...frame.subarray(0, 36));
+    if (!isValidFileId(fileId)) {
+        return null;
+    }
+    const offset = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(36);
+    return { fileId, offset, data: frame.subarray(CHUNK_HEADER_BYTES) };
+}
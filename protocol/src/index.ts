@@ -0,0 +1,25 @@
+// Shared between the WebSocket server and Redis/lib/ws-bridge.js (CommonJS build in dist/,
+// through the "node" condition in package.json) and the React client (TypeScript source,
+// through the "import" condition).
+
+export { PROTOCOL_VERSION } from "./messages";
+export type {
+    ChatEntry,
+    ClientBody,
+    ClientEnvelope,
+    ClientMessage,
+    ErrorCode,
+    FileInfo,
+    Frame,
+    ServerBody,
+    ServerEnvelope,
+    ServerMessage,
+} from "./messages";
+export { isValidRoom, isValidStreamId, parseClientMessage, parseServerMessage } from "./validate";
+export type { ParseResult } from "./validate";
+export { CHUNK_HEADER_BYTES, decodeChunk, encodeChunk, isValidFileId } from "./chunks";
+export type { Chunk } from "./chunks";
+
+export function encode(message: object): string {
+    return JSON.stringify(message);
+}
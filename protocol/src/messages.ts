@@ -0,0 +1,73 @@
+// The frames spoken between the WebSocket server and its clients.
+// Every frame is a JSON object with a protocol version 'v' and a 'type' that picks its shape;
+// room-scoped frames carry a 'room' too. Bump PROTOCOL_VERSION for changes old peers can't read.
+
+export const PROTOCOL_VERSION = 1;
+
+// Fields on every client frame. 'id' is the client's own id for the frame; the server
+// echoes it as 'ref' in the ack or error that answers it.
+export type ClientEnvelope = { v: typeof PROTOCOL_VERSION; id?: string };
+
+export type ClientBody =
+    // 'since' is the last history id the client saw in this room; everything after it is replayed.
+    | { type: 'join'; room: string; since?: string }
+    | { type: 'leave'; room: string }
+    | { type: 'message'; room: string; text: string }
+    // Ephemeral "user is typing" signal, relayed to the room and never stored.
+    | { type: 'typing'; room: string }
+    // Announces an upload. The server answers with file-progress; the bytes follow as binary chunks (see chunks.ts).
+    | { type: 'file-start'; room: string; name: string; mime: string; size: number }
+    // Asks how far an interrupted upload got, e.g. after a reconnect; answered with file-progress.
+    | { type: 'file-resume'; room: string; fileId: string };
+
+export type ClientMessage = ClientEnvelope & ClientBody;
+
+// Fields on every server frame, assigned by the server: a unique id and when it was sent.
+// For chat frames the id is the history (Redis stream) id clients resume from.
+export type ServerEnvelope = { v: typeof PROTOCOL_VERSION; id: string; ts: string };
+
+// A file shared in a room. The bytes are fetched over HTTP from the server's /files/<id>.
+export type FileInfo = { id: string; name: string; mime: string; size: number };
+
+// One stored chat message, as replayed in 'history'. Messages that share a file carry it in 'file'.
+export type ChatEntry = { id: string; from: string; text: string; ts: string; file?: FileInfo };
+
+export type ErrorCode =
+    // The frame could not be read: not JSON, unknown type, missing or invalid fields.
+    | 'bad_frame'
+    | 'unsupported_version'
+    | 'not_member'
+    | 'rate_limited'
+    // An upload was refused: too large or a type the server doesn't accept.
+    | 'file_rejected'
+    // A chunk or file-resume for an upload the server doesn't know (expired, finished, or someone else's).
+    | 'unknown_file'
+    | 'internal';
+
+export type ServerBody =
+    // 'from' is the authenticated sender, stamped by the server.
+    | { type: 'chat'; room: string; from: string; text: string; file?: FileInfo }
+    | { type: 'history'; room: string; messages: ChatEntry[] }
+    // Sent after a join: who is online in the room, and when everyone who has been there was last seen.
+    | { type: 'presence'; room: string; online: string[]; lastSeen: Record<string, string> }
+    | { type: 'presence-update'; room: string; user: string; status: 'online' | 'offline'; lastSeen: string }
+    | { type: 'typing'; room: string; from: string }
+    | { type: 'system'; text: string }
+    // Confirms a join, leave or message. 'ref' is the id of the client frame (null if it had none);
+    // a message ack carries the id the message was stored under.
+    | { type: 'ack'; ref: string | null; of: 'join' | 'leave' | 'message'; room: string; messageId?: string }
+    // Where an upload stands: the next chunk starts at 'received', and holds at most 'chunkSize' bytes.
+    // Answers file-start and file-resume ('ref' as in ack) and every chunk ('ref' null).
+    | { type: 'file-progress'; ref: string | null; room: string; fileId: string; received: number; size: number; chunkSize: number }
+    // Rejects a client frame ('ref' as in ack) or reports a problem; rate_limited comes with retryAfterMs.
+    // Binary chunks have no id of their own, so errors about them carry the file id as 'ref'.
+    | { type: 'error'; error: string; code: ErrorCode; ref: string | null; retryAfterMs?: number }
+    // Pushed to everyone when a score changes someone's rank (Redis/server.js, with WS_PUSH=1).
+    | { type: 'leaderboard'; board: string; period: string; player: string; score: number; rank: number; previousRank: number | null }
+    // Pushed to everyone when feature flags change; clients fetch theirs again from Redis/server.js.
+    | { type: 'flags-changed'; flags: string[] };
+
+export type ServerMessage = ServerEnvelope & ServerBody;
+
+// Narrows a frame union to one type, e.g. Frame<ServerMessage, 'chat'>.
+export type Frame<M extends { type: string }, T extends M['type']> = Extract<M, { type: T }>;
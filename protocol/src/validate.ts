@@ -0,0 +1,162 @@
+import { PROTOCOL_VERSION } from "./messages";
+import type { ChatEntry, ClientEnvelope, ClientMessage, ErrorCode, FileInfo, ServerBody, ServerMessage } from "./messages";
+import { isValidFileId } from "./chunks";
+
+// Parsers for frames arriving from the other side. They never throw: a bad frame comes back
+// as an error with a code, plus the frame's own id (if it had a readable one) so the answer
+// can reference it.
+
+export type ParseResult<M> =
+    | { ok: true; message: M }
+    | { ok: false; error: string; code: ErrorCode; ref: string | null };
+
+// Room names end up in log lines and Redis keys, so keep them boring.
+const ROOM_NAME = /^[\w-]{1,64}$/;
+
+export function isValidRoom(room: unknown): room is string {
+    return typeof room === 'string' && ROOM_NAME.test(room);
+}
+
+// Redis stream ids: <ms-timestamp>-<sequence>.
+const STREAM_ID = /^\d+-\d+$/;
+
+export function isValidStreamId(id: unknown): id is string {
+    return typeof id === 'string' && STREAM_ID.test(id);
+}
+
+const isString = (value: unknown): value is string => typeof value === 'string';
+const isNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+const isSize = (value: unknown): value is number => Number.isSafeInteger(value) && (value as number) >= 0;
+const isStringArray = (value: unknown): value is string[] => Array.isArray(value) && value.every(isString);
+const isObject = (value: unknown): value is Record<string, unknown> =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+const isStringRecord = (value: unknown): value is Record<string, string> =>
+    isObject(value) && Object.values(value).every(isString);
+
+function isFileInfo(value: unknown): value is FileInfo {
+    return isObject(value) && isValidFileId(value.id) && isString(value.name) && isString(value.mime) && isSize(value.size);
+}
+
+function isChatEntry(value: unknown): value is ChatEntry {
+    return isObject(value) && isString(value.id) && isString(value.from) && isString(value.text) && isString(value.ts)
+        && (value.file === undefined || isFileInfo(value.file));
+}
+
+// type/subtype, as in a Content-Type header without parameters.
+const MIME_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+
+// Reads the JSON object and the envelope fields common to both directions.
+function readFrame(raw: string):
+    | { ok: true; data: Record<string, unknown>; ref: string | null }
+    | { ok: false; error: string; code: ErrorCode; ref: string | null } {
+    let data: unknown;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        return { ok: false, error: 'Frame is not valid JSON', code: 'bad_frame', ref: null };
+    }
+    if (!isObject(data)) {
+        return { ok: false, error: 'Frame must be a JSON object', code: 'bad_frame', ref: null };
+    }
+    const ref = isString(data.id) ? data.id : null;
+    if (data.v !== PROTOCOL_VERSION) {
+        return { ok: false, error: `Unsupported protocol version ${String(data.v)}, expected ${PROTOCOL_VERSION}`, code: 'unsupported_version', ref };
+    }
+    return { ok: true, data, ref };
+}
+
+// Validates a frame from a client.
+export function parseClientMessage(raw: string): ParseResult<ClientMessage> {
+    const frame = readFrame(raw);
+    if (!frame.ok) {
+        return frame;
+    }
+    const { data, ref } = frame;
+    const bad = (error: string): ParseResult<ClientMessage> => ({ ok: false, error, code: 'bad_frame', ref });
+
+    if (data.id !== undefined && !isString(data.id)) {
+        return bad('Frame id must be a string');
+    }
+    if (!isValidRoom(data.room)) {
+        return bad('Missing or invalid room');
+    }
+    const envelope: ClientEnvelope = { v: PROTOCOL_VERSION, id: ref ?? undefined };
+    switch (data.type) {
+        case 'join':
+            if (data.since !== undefined && !isValidStreamId(data.since)) {
+                return bad('Invalid history id in since');
+            }
+            return { ok: true, message: { ...envelope, type: 'join', room: data.room, since: data.since } };
+        case 'leave':
+        case 'typing':
+            return { ok: true, message: { ...envelope, type: data.type, room: data.room } };
+        case 'message':
+            if (!isString(data.text) || data.text.length === 0) {
+                return bad('Message text must be a non-empty string');
+            }
+            return { ok: true, message: { ...envelope, type: 'message', room: data.room, text: data.text } };
+        case 'file-start':
+            if (!isString(data.name) || data.name.length === 0 || data.name.length > 255) {
+                return bad('File name must be a string of 1 to 255 characters');
+            }
+            if (!isString(data.mime) || !MIME_TYPE.test(data.mime)) {
+                return bad('Invalid file type');
+            }
+            if (!isSize(data.size) || data.size === 0) {
+                return bad('File size must be a positive integer');
+            }
+            return { ok: true, message: { ...envelope, type: 'file-start', room: data.room, name: data.name, mime: data.mime, size: data.size } };
+        case 'file-resume':
+            if (!isValidFileId(data.fileId)) {
+                return bad('Invalid file id');
+            }
+            return { ok: true, message: { ...envelope, type: 'file-resume', room: data.room, fileId: data.fileId } };
+        default:
+            return bad(`Unknown frame type: ${String(data.type)}`);
+    }
+}
+
+// Field checks per server frame type.
+const SERVER_FRAMES: { [T in ServerBody['type']]: (data: Record<string, unknown>) => boolean } = {
+    'chat': (data) => isValidRoom(data.room) && isString(data.from) && isString(data.text)
+        && (data.file === undefined || isFileInfo(data.file)),
+    'history': (data) => isValidRoom(data.room) && Array.isArray(data.messages) && data.messages.every(isChatEntry),
+    'presence': (data) => isValidRoom(data.room) && isStringArray(data.online) && isStringRecord(data.lastSeen),
+    'presence-update': (data) => isValidRoom(data.room) && isString(data.user)
+        && (data.status === 'online' || data.status === 'offline') && isString(data.lastSeen),
+    'typing': (data) => isValidRoom(data.room) && isString(data.from),
+    'system': (data) => isString(data.text),
+    'ack': (data) => (data.ref === null || isString(data.ref)) && isValidRoom(data.room)
+        && (data.of === 'join' || data.of === 'leave' || data.of === 'message')
+        && (data.messageId === undefined || isString(data.messageId)),
+    'file-progress': (data) => (data.ref === null || isString(data.ref)) && isValidRoom(data.room) && isValidFileId(data.fileId)
+        && isSize(data.received) && isSize(data.size) && isSize(data.chunkSize),
+    'error': (data) => isString(data.error) && isString(data.code) && (data.ref === null || isString(data.ref))
+        && (data.retryAfterMs === undefined || isNumber(data.retryAfterMs)),
+    'leaderboard': (data) => isString(data.board) && isString(data.period) && isString(data.player)
+        && isNumber(data.score) && isNumber(data.rank) && (data.previousRank === null || isNumber(data.previousRank)),
+    'flags-changed': (data) => isStringArray(data.flags),
+};
+
+function isServerFrameType(type: unknown): type is ServerBody['type'] {
+    return isString(type) && Object.prototype.hasOwnProperty.call(SERVER_FRAMES, type);
+}
+
+// Validates a frame from the server, so a client never renders something it doesn't understand.
+export function parseServerMessage(raw: string): ParseResult<ServerMessage> {
+    const frame = readFrame(raw);
+    if (!frame.ok) {
+        return frame;
+    }
+    const { data, ref } = frame;
+    if (!isString(data.id) || !isString(data.ts)) {
+        return { ok: false, error: 'Frame is missing its id or timestamp', code: 'bad_frame', ref };
+    }
+    if (!isServerFrameType(data.type)) {
+        return { ok: false, error: `Unknown frame type: ${String(data.type)}`, code: 'bad_frame', ref };
+    }
+    if (!SERVER_FRAMES[data.type](data)) {
+        return { ok: false, error: `Invalid ${data.type} frame`, code: 'bad_frame', ref };
+    }
+    return { ok: true, message: data as ServerMessage };
+}
@@ -0,0 +1,76 @@
+// Runs against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROTOCOL_VERSION, parseClientMessage, parseServerMessage, encodeChunk, decodeChunk } = require('chat-protocol');
+
+const FILE_ID = '0b5a6c0e-6f1d-4c5e-9a47-3c2d1e0f9b8a';
+const frame = (fields) => JSON.stringify({ v: PROTOCOL_VERSION, ...fields });
+
+test('valid client frames', () => {
+    assert.deepEqual(parseClientMessage(frame({ id: 'c1', type: 'join', room: 'general', since: '1700000000000-0' })), {
+        ok: true,
+        message: { v: PROTOCOL_VERSION, id: 'c1', type: 'join', room: 'general', since: '1700000000000-0' },
+    });
+    assert.deepEqual(parseClientMessage(frame({ type: 'message', room: 'general', text: 'hi' })), {
+        ok: true,
+        message: { v: PROTOCOL_VERSION, id: undefined, type: 'message', room: 'general', text: 'hi' },
+    });
+    const upload = parseClientMessage(frame({ id: 'c2', type: 'file-start', room: 'general', name: 'a.png', mime: 'image/png', size: 10 }));
+    assert.equal(upload.ok, true);
+    assert.equal(parseClientMessage(frame({ type: 'file-resume', room: 'general', fileId: FILE_ID })).ok, true);
+});
+
+test('invalid client frames answer bad_frame with the frame id', () => {
+    const cases = [
+        [frame({ id: 'c1', type: 'join', room: 'no spaces' }), 'Missing or invalid room'],
+        [frame({ id: 'c1', type: 'join', room: 'general', since: 'yesterday' }), 'Invalid history id in since'],
+        [frame({ id: 'c1', type: 'message', room: 'general', text: '' }), 'Message text must be a non-empty string'],
+        [frame({ id: 'c1', type: 'file-start', room: 'general', name: 'a', mime: 'image', size: 1 }), 'Invalid file type'],
+        [frame({ id: 'c1', type: 'file-start', room: 'general', name: 'a', mime: 'text/plain', size: 0 }), 'File size must be a positive integer'],
+        [frame({ id: 'c1', type: 'file-resume', room: 'general', fileId: '../etc' }), 'Invalid file id'],
+        [frame({ id: 'c1', type: 'shout', room: 'general' }), 'Unknown frame type: shout'],
+    ];
+    for (const [raw, error] of cases) {
+        assert.deepEqual(parseClientMessage(raw), { ok: false, error, code: 'bad_frame', ref: 'c1' });
+    }
+    assert.equal(parseClientMessage(frame({ id: 7, type: 'leave', room: 'general' })).ref, null);
+});
+
+test('unreadable frames have no ref', () => {
+    assert.deepEqual(parseClientMessage('{"v":'), { ok: false, error: 'Frame is not valid JSON', code: 'bad_frame', ref: null });
+    assert.deepEqual(parseClientMessage('[1]'), { ok: false, error: 'Frame must be a JSON object', code: 'bad_frame', ref: null });
+    assert.equal(parseServerMessage('null').code, 'bad_frame');
+});
+
+test('version mismatch', () => {
+    for (const v of [undefined, PROTOCOL_VERSION + 1, String(PROTOCOL_VERSION)]) {
+        const raw = JSON.stringify({ v, id: 'c1', type: 'message', room: 'general', text: 'hi' });
+        const client = parseClientMessage(raw);
+        assert.equal(client.ok, false);
+        assert.equal(client.code, 'unsupported_version');
+        assert.equal(client.ref, 'c1');
+        assert.equal(parseServerMessage(raw).code, 'unsupported_version');
+    }
+});
+
+test('server frames', () => {
+    const envelope = { id: 's1', ts: '2024-01-01T00:00:00.000Z' };
+    const chat = frame({ ...envelope, type: 'chat', room: 'general', from: 'ann', text: 'hi' });
+    assert.deepEqual(parseServerMessage(chat), { ok: true, message: JSON.parse(chat) });
+    assert.equal(parseServerMessage(frame({ ...envelope, type: 'error', error: 'slow down', code: 'rate_limited', ref: null, retryAfterMs: 500 })).ok, true);
+
+    assert.deepEqual(parseServerMessage(frame({ type: 'system', text: 'hi' })),
+        { ok: false, error: 'Frame is missing its id or timestamp', code: 'bad_frame', ref: null });
+    assert.equal(parseServerMessage(frame({ ...envelope, type: 'toString' })).error, 'Unknown frame type: toString');
+    assert.equal(parseServerMessage(frame({ ...envelope, type: 'presence', room: 'general', online: ['ann', 1], lastSeen: {} })).error,
+        'Invalid presence frame');
+    assert.equal(parseServerMessage(frame({ ...envelope, type: 'history', room: 'general', messages: [{ id: '1-0', from: 'ann' }] })).error,
+        'Invalid history frame');
+});
+
+test('chunks round-trip and foreign binary frames are ignored', () => {
+    const data = Uint8Array.of(1, 2, 3);
+    assert.deepEqual(decodeChunk(encodeChunk(FILE_ID, 65536, data)), { fileId: FILE_ID, offset: 65536, data });
+    assert.equal(decodeChunk(encodeChunk(FILE_ID, 0, new Uint8Array(0))), null);
+    assert.equal(decodeChunk(new Uint8Array(64)), null);
+});
@@ -1,57 +1,32 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useState } from 'react'
 import './App.css'
+import Chat from './Chat'
+import Login from './Login'
 
-function App() {
-  const [socket, setSocket] = useState<WebSocket | null>(null);
-  const [messages, setMessages] = useState<string[]>([]);
-  const [inputValue, setInputValue] = useState<string>('');
-
-  useEffect(() =>{
-    const ws = new WebSocket('ws://localhost:8000');
-    
-
-    ws.onopen = () => {
-      console.log('WebSocket connection established');
-      setSocket(ws);
-    };
+const WS_URL = import.meta.env.VITE_WS_URL ?? 'ws://localhost:8000';
+// The login endpoint lives on the same server as the socket.
+const LOGIN_URL = WS_URL.replace(/^ws/, 'http') + '/login';
+// Files shared in the chat are uploaded over the socket and downloaded (and previewed) from here.
+const FILES_URL = WS_URL.replace(/^ws/, 'http') + '/files';
+const TOKEN_KEY = 'ws-token';
+const FLAGS_URL = (import.meta.env.VITE_API_URL ?? 'http://localhost:9000') + '/flags';
 
-    ws.onmessage = (event) => {
-      console.log('Message from server ', event.data);
-      setMessages(prevMessages => [...prevMessages, event.data]);
-    };
-
-    ws.onclose = () => {
-      console.log('WebSocket connection closed');
-    };
-
-    ws.onerror = (error) => {
-      console.error('WebSocket error: ', error);
-    };
+function App() {
+  // Kept in sessionStorage so a page reload doesn't log the user out.
+  const [token, setToken] = useState<string | null>(() => sessionStorage.getItem(TOKEN_KEY));
 
-    return () => {
-      ws.close();
-    };
+  const logout = useCallback(() => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken(null);
   }, []);
 
-  if (!socket) {
-    return <div>Connecting to WebSocket...</div>;
-  } 
-  return (
-    <>
-      <div className="App">
-        <input onChange={(e)=>{setInputValue(e.target.value)}}></input>
-        <button onClick={()=>{
-          socket.send(inputValue);
-        }}>Send</button>
-        <h1>WebSocket Messages</h1>
-        <ul>
-          {messages.map((msg, index) => (
-            <li key={index}>{msg}</li>
-          ))}
-        </ul>
-      </div>
-    </>
-  )
+  if (!token) {
+    return <Login loginUrl={LOGIN_URL} onLogin={(newToken) => {
+      sessionStorage.setItem(TOKEN_KEY, newToken);
+      setToken(newToken);
+    }} />;
+  }
+  return <Chat url={WS_URL} flagsUrl={FLAGS_URL} filesUrl={FILES_URL} token={token} onUnauthorized={logout} />;
 }
 
 export default App
@@ -0,0 +1,32 @@
+import type { FileInfo } from 'chat-protocol'
+
+type Props = {
+  file: FileInfo;
+  // Base URL of the server's /files endpoint.
+  filesUrl: string;
+};
+
+// A file shared in the chat: images are previewed inline, anything else is a download link.
+function Attachment({ file, filesUrl }: Props) {
+  const url = `${filesUrl}/${file.id}`;
+  if (file.mime.startsWith('image/')) {
+    return (
+      <a className="Attachment" href={url} target="_blank" rel="noreferrer">
+        <img src={url} alt={file.name} loading="lazy" />
+      </a>
+    );
+  }
+  return (
+    <a className="Attachment" href={url} download={file.name}>
+      📎 {file.name} <small>({formatSize(file.size)})</small>
+    </a>
+  );
+}
+
+function formatSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default Attachment
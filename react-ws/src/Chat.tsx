@@ -0,0 +1,274 @@
+import { useEffect, useRef, useState } from 'react'
+import { parseServerMessage, type ChatEntry, type Frame, type ServerBody } from 'chat-protocol'
+import { encodeFrame } from './frames'
+import { useWebSocket, type ConnectionStatus } from './hooks/useWebSocket'
+import { isTokenExpired, tokenUser } from './token'
+import OnlineUsers, { type RoomPresence } from './OnlineUsers'
+import { useFeatureFlags } from './hooks/useFeatureFlags'
+import { useFileUploads } from './hooks/useFileUploads'
+import Attachment from './Attachment'
+
+const ROOMS = ['general', 'random', 'support'];
+
+// How long a "typing" signal stays visible, and how often we send one while the user types.
+const TYPING_VISIBLE_MS = 3000;
+const TYPING_THROTTLE_MS = 2000;
+const NO_PRESENCE: RoomPresence = { online: [], lastSeen: {} };
+
+const STATUS_LABELS: Record<ConnectionStatus, string> = {
+  connecting: 'Connecting…',
+  open: 'Connected',
+  reconnecting: 'Reconnecting…',
+  offline: 'Offline',
+};
+
+type Props = {
+  url: string;
+  flagsUrl: string;
+  // Where shared files are downloaded from (the server's /files endpoint).
+  filesUrl: string;
+  token: string;
+  // Called when the server refuses the token, so the user can log in again.
+  onUnauthorized: () => void;
+};
+
+function Chat({ url, flagsUrl, filesUrl, token, onUnauthorized }: Props) {
+  // Chat messages per room, in stream order, plus system/error notices shown regardless of room.
+  const [chat, setChat] = useState<Record<string, ChatEntry[]>>({});
+  // Messages we sent that the server hasn't acknowledged yet, by the id of the frame that carried them.
+  const [pending, setPending] = useState<Record<string, { room: string; text: string }>>({});
+  const [notices, setNotices] = useState<string[]>([]);
+  const [inputValue, setInputValue] = useState<string>('');
+  const [room, setRoom] = useState<string>(ROOMS[0]);
+  const [presence, setPresence] = useState<Record<string, RoomPresence>>({});
+  // room -> user -> when their latest typing signal arrived
+  const [typing, setTyping] = useState<Record<string, Record<string, number>>>({});
+  const lastTypingSent = useRef(0);
+  const me = tokenUser(token);
+  // Last stream id seen per room, sent with 'join' so the server replays only the gap.
+  const lastIds = useRef<Record<string, string>>({});
+  const roomRef = useRef(room);
+  // Bumped when the server says flags changed, which makes useFeatureFlags fetch them again.
+  const [flagsVersion, setFlagsVersion] = useState(0);
+  const flags = useFeatureFlags(flagsUrl, me, flagsVersion);
+  const flagsRef = useRef(flags);
+  useEffect(() => {
+    flagsRef.current = flags;
+  });
+
+  const { status, send } = useWebSocket(url, {
+    // The token rides along as a subprotocol so it stays out of the URL.
+    protocols: ['chat', token],
+    // (Re)join the current room on every connection, asking for whatever we missed meanwhile.
+    onOpen: (ws) => {
+      ws.send(encodeFrame({ type: 'join', room: roomRef.current, since: lastIds.current[roomRef.current] }));
+      // Carry on with uploads the last connection interrupted.
+      files.resume();
+    },
+    onMessage: (event) => {
+      const parsed = parseServerMessage(event.data);
+      if (!parsed.ok) {
+        console.warn('Ignoring frame from server:', parsed.error);
+        return;
+      }
+      const msg = parsed.message;
+      switch (msg.type) {
+        case 'chat':
+          addMessages(msg.room, [{ id: msg.id, from: msg.from, text: msg.text, ts: msg.ts, file: msg.file }]);
+          // Whoever just sent a message has stopped typing.
+          setTyping(prev => {
+            const users = { ...prev[msg.room] };
+            delete users[msg.from];
+            return { ...prev, [msg.room]: users };
+          });
+          break;
+        case 'history':
+          addMessages(msg.room, msg.messages);
+          break;
+        case 'ack':
+          if (msg.of === 'message' && msg.ref) settle(msg.ref);
+          break;
+        case 'file-progress':
+          files.handleProgress(msg);
+          break;
+        case 'presence':
+          setPresence(prev => ({ ...prev, [msg.room]: { online: msg.online, lastSeen: msg.lastSeen } }));
+          break;
+        case 'presence-update':
+          setPresence(prev => {
+            const current = prev[msg.room] ?? NO_PRESENCE;
+            const others = current.online.filter(user => user !== msg.user);
+            return {
+              ...prev,
+              [msg.room]: {
+                online: msg.status === 'online' ? [...others, msg.user] : others,
+                lastSeen: { ...current.lastSeen, [msg.user]: msg.lastSeen },
+              },
+            };
+          });
+          break;
+        case 'typing':
+          if (msg.from !== me) {
+            setTyping(prev => ({ ...prev, [msg.room]: { ...prev[msg.room], [msg.from]: Date.now() } }));
+          }
+          break;
+        case 'system':
+          setNotices(prev => [...prev, msg.text]);
+          break;
+        case 'leaderboard':
+          // Rank changes are noisy, so they are behind the "rank-feed" flag.
+          if (flagsRef.current['rank-feed']) {
+            setNotices(prev => [...prev, rankLine(msg)]);
+          }
+          break;
+        case 'flags-changed':
+          setFlagsVersion(version => version + 1);
+          break;
+        case 'error':
+          if (msg.ref) settle(msg.ref);
+          // Upload errors are shown next to the upload.
+          if (files.handleError(msg)) break;
+          setNotices(prev => [...prev, msg.code === 'rate_limited'
+            ? `Slow down! Try again in ${Math.ceil((msg.retryAfterMs ?? 0) / 1000)}s`
+            : `Error: ${msg.error}`]);
+          break;
+      }
+    },
+    // Browsers hide the 401 from a refused upgrade; an expired token is the one cause we can check.
+    onFailedOpen: () => {
+      if (isTokenExpired(token)) {
+        onUnauthorized();
+        return false;
+      }
+    },
+  });
+
+  const files = useFileUploads(send);
+
+  // Switch rooms on the live connection. Not queued: onOpen joins the current room on reconnect.
+  useEffect(() => {
+    roomRef.current = room;
+    send(encodeFrame({ type: 'join', room, since: lastIds.current[room] }), { queue: false });
+    return () => send(encodeFrame({ type: 'leave', room }), { queue: false });
+  }, [send, room]);
+
+  // Drop typing signals once they go stale.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - TYPING_VISIBLE_MS;
+      setTyping(prev => {
+        const next: typeof prev = {};
+        let changed = false;
+        for (const [target, users] of Object.entries(prev)) {
+          next[target] = Object.fromEntries(Object.entries(users).filter(([, at]) => at > cutoff));
+          changed ||= Object.keys(next[target]).length !== Object.keys(users).length;
+        }
+        return changed ? next : prev;
+      });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Appends messages to a room, skipping ids we already have: a live message can race
+  // with the history replay that follows a join.
+  function addMessages(target: string, incoming: ChatEntry[]) {
+    const fresh = incoming.filter(m => !lastIds.current[target] || compareIds(m.id, lastIds.current[target]) > 0);
+    if (fresh.length === 0) return;
+    lastIds.current[target] = fresh[fresh.length - 1].id;
+    setChat(prev => ({ ...prev, [target]: [...(prev[target] ?? []), ...fresh] }));
+  }
+
+  // The server answered one of our frames: if it carried a message, that message is no longer pending.
+  function settle(ref: string) {
+    setPending(prev => {
+      if (!(ref in prev)) return prev;
+      const next = { ...prev };
+      delete next[ref];
+      return next;
+    });
+  }
+
+  return (
+    <div className="Chat">
+      <div className="App">
+        <p className={`status status-${status}`}>{STATUS_LABELS[status]}</p>
+        <select value={room} onChange={(e)=>{setRoom(e.target.value)}}>
+          {ROOMS.map(name => (
+            <option key={name} value={name}>#{name}</option>
+          ))}
+        </select>
+        <input onChange={(e)=>{
+          setInputValue(e.target.value);
+          // Typing signals are only worth anything live, so they are never queued.
+          if (Date.now() - lastTypingSent.current > TYPING_THROTTLE_MS) {
+            lastTypingSent.current = Date.now();
+            send(encodeFrame({ type: 'typing', room }), { queue: false });
+          }
+        }}></input>
+        <button onClick={()=>{
+          // Queued while disconnected and sent once the connection is back; shown as pending until acked.
+          const id = crypto.randomUUID();
+          setPending(prev => ({ ...prev, [id]: { room, text: inputValue } }));
+          send(encodeFrame({ type: 'message', room, text: inputValue }, id));
+        }}>Send</button>
+        <input type="file" multiple onChange={(e) => {
+          for (const file of e.target.files ?? []) {
+            files.start(file, room);
+          }
+          e.target.value = '';
+        }}></input>
+        <h1>WebSocket Messages</h1>
+        <ul>
+          {notices.map((text, index) => (
+            <li key={index}>{text}</li>
+          ))}
+        </ul>
+        <ul>
+          {(chat[room] ?? []).map(msg => (
+            <li key={msg.id} title={new Date(msg.ts).toLocaleString()}>
+              <strong>{msg.from}</strong>: {msg.text}
+              {msg.file && <Attachment file={msg.file} filesUrl={filesUrl} />}
+            </li>
+          ))}
+          {Object.entries(pending).filter(([, msg]) => msg.room === room).map(([id, msg]) => (
+            <li key={id} className="pending"><strong>{me}</strong>: {msg.text} <em>(sending…)</em></li>
+          ))}
+        </ul>
+        <ul className="uploads">
+          {files.uploads.filter(upload => upload.room === room).map(upload => (
+            <li key={upload.key}>
+              {upload.name}{' '}
+              {upload.status === 'failed'
+                ? <>failed: {upload.error} <button onClick={() => files.dismiss(upload.key)}>Dismiss</button></>
+                : <progress value={upload.received} max={upload.size} />}
+            </li>
+          ))}
+        </ul>
+        <p className="typing">{typingLine(Object.keys(typing[room] ?? {}))}</p>
+      </div>
+      <OnlineUsers presence={presence[room] ?? NO_PRESENCE} />
+    </div>
+  )
+}
+
+function typingLine(users: string[]) {
+  if (users.length === 0) return '\u00a0'; // keep the line's height so the layout doesn't jump
+  if (users.length === 1) return `${users[0]} is typing…`;
+  if (users.length <= 3) return `${users.join(', ')} are typing…`;
+  return 'Several people are typing…';
+}
+
+function rankLine({ board, period, player, score, rank, previousRank }: Frame<ServerBody, 'leaderboard'>) {
+  const label = period === 'all' ? board : `${board} (${period})`;
+  if (previousRank === null) return `🏆 ${player} entered ${label} at #${rank} with ${score}`;
+  return `🏆 ${player} ${rank < previousRank ? 'climbed' : 'dropped'} to #${rank} on ${label} (was #${previousRank})`;
+}
+
+// Stream ids are "<ms>-<seq>"; compare numerically, part by part.
+function compareIds(a: string, b: string) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+export default Chat
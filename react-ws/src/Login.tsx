@@ -0,0 +1,46 @@
+import { useState, type FormEvent } from 'react'
+
+type Props = {
+  loginUrl: string;
+  onLogin: (token: string, username: string) => void;
+};
+
+// Exchanges a username/password for a signed token from the server's POST /login.
+function Login({ loginUrl, onLogin }: Props) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  async function submit(e: FormEvent) {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await fetch(loginUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        setError(body.error ?? 'Login failed');
+        return;
+      }
+      onLogin(body.token, username);
+    } catch (err) {
+      console.error('Login request failed: ', err);
+      setError('Could not reach the server');
+    }
+  }
+
+  return (
+    <form className="Login" onSubmit={submit}>
+      <h1>Log in</h1>
+      <input placeholder="Username" value={username} onChange={(e)=>{setUsername(e.target.value)}}></input>
+      <input placeholder="Password" type="password" value={password} onChange={(e)=>{setPassword(e.target.value)}}></input>
+      <button type="submit">Log in</button>
+      {error && <p>{error}</p>}
+    </form>
+  )
+}
+
+export default Login
@@ -0,0 +1,40 @@
+export type RoomPresence = {
+  online: string[];
+  lastSeen: Record<string, string>;
+};
+
+type Props = {
+  presence: RoomPresence;
+};
+
+// Sidebar listing who is in the room right now, followed by recent visitors and when they left.
+function OnlineUsers({ presence }: Props) {
+  const offline = Object.keys(presence.lastSeen)
+    .filter(user => !presence.online.includes(user))
+    .sort((a, b) => presence.lastSeen[b].localeCompare(presence.lastSeen[a]));
+
+  return (
+    <aside className="OnlineUsers">
+      <h2>Online ({presence.online.length})</h2>
+      <ul>
+        {presence.online.map(user => (
+          <li key={user} className="online">{user}</li>
+        ))}
+      </ul>
+      {offline.length > 0 && (
+        <>
+          <h2>Offline</h2>
+          <ul>
+            {offline.map(user => (
+              <li key={user} className="offline">
+                {user} <small>last seen {new Date(presence.lastSeen[user]).toLocaleTimeString()}</small>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  )
+}
+
+export default OnlineUsers
@@ -0,0 +1,6 @@
+import { encode, PROTOCOL_VERSION, type ClientBody } from 'chat-protocol'
+
+// Wraps a frame in the protocol envelope. The id comes back as 'ref' in the server's ack or error.
+export function encodeFrame(body: ClientBody, id: string = crypto.randomUUID()) {
+  return encode({ v: PROTOCOL_VERSION, id, ...body });
+}
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react'
+
+export type Flags = Record<string, boolean>;
+
+// Fetches the user's feature flags from the Redis playground server (GET /flags).
+// Bump `version` to fetch them again, e.g. when the server announces a change.
+// Until the first answer, and if the server can't be reached, every flag is off.
+export function useFeatureFlags(flagsUrl: string, user: string | null, version: number): Flags {
+  const [flags, setFlags] = useState<Flags>({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const url = user ? `${flagsUrl}?user=${encodeURIComponent(user)}` : flagsUrl;
+    fetch(url, { signal: controller.signal })
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .then(body => setFlags(body.flags ?? {}))
+      .catch(err => {
+        if (!controller.signal.aborted) console.error('Could not load feature flags: ', err);
+      });
+    return () => controller.abort();
+  }, [flagsUrl, user, version]);
+
+  return flags;
+}
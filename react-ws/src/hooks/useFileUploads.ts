@@ -0,0 +1,120 @@
+import { useCallback, useMemo, useRef, useState } from 'react'
+import { encodeChunk, type Frame, type ServerMessage } from 'chat-protocol'
+import { encodeFrame } from '../frames'
+
+export type Upload = {
+  // Our own id for the upload, stable across reconnects (the server's is fileId, once assigned).
+  key: string;
+  room: string;
+  name: string;
+  size: number;
+  fileId: string | null;
+  received: number;
+  status: 'uploading' | 'failed';
+  error?: string;
+};
+
+type Send = (data: string | Uint8Array, options?: { queue?: boolean }) => void;
+
+type Entry = Upload & {
+  file: File;
+  // Id of the latest file-start or file-resume frame, which the server's answer refers to.
+  ref: string;
+};
+
+// Uploads files over the chat socket, one chunk at a time (see protocol/src/chunks.ts). Every
+// answer from the server says where the next chunk starts, so after a reconnect resume() asks
+// for that and the upload carries on. Chunks are small and only one per file is in flight, so
+// text frames are never stuck behind a file. Finished uploads show up as chat messages.
+export function useFileUploads(send: Send) {
+  const entries = useRef(new Map<string, Entry>());
+  const [uploads, setUploads] = useState<Upload[]>([]);
+  // Bumped on every resume(), so chunks read for an earlier connection are not sent on this one.
+  const generation = useRef(0);
+
+  const publish = useCallback(() => {
+    setUploads([...entries.current.values()].map(entry => ({
+      key: entry.key,
+      room: entry.room,
+      name: entry.name,
+      size: entry.size,
+      fileId: entry.fileId,
+      received: entry.received,
+      status: entry.status,
+      error: entry.error,
+    })));
+  }, []);
+
+  // Not queued while disconnected: resume() announces every unfinished upload again on reconnect.
+  const announce = useCallback((entry: Entry) => {
+    entry.ref = crypto.randomUUID();
+    send(entry.fileId
+      ? encodeFrame({ type: 'file-resume', room: entry.room, fileId: entry.fileId }, entry.ref)
+      : encodeFrame({ type: 'file-start', room: entry.room, name: entry.name, mime: entry.file.type || 'application/octet-stream', size: entry.size }, entry.ref),
+    { queue: false });
+  }, [send]);
+
+  const find = useCallback((ref: string | null, fileId?: string) => {
+    for (const entry of entries.current.values()) {
+      if (entry.ref === ref || (entry.fileId !== null && (entry.fileId === ref || entry.fileId === fileId))) return entry;
+    }
+  }, []);
+
+  const start = useCallback((file: File, room: string) => {
+    const key = crypto.randomUUID();
+    const entry: Entry = { key, room, name: file.name, size: file.size, fileId: null, received: 0, status: 'uploading', file, ref: key };
+    entries.current.set(key, entry);
+    announce(entry);
+    publish();
+  }, [announce, publish]);
+
+  const resume = useCallback(() => {
+    generation.current++;
+    for (const entry of entries.current.values()) {
+      if (entry.status === 'uploading') announce(entry);
+    }
+  }, [announce]);
+
+  // Sends the chunk the server asked for, or forgets the upload once the server has all of it.
+  const handleProgress = useCallback((msg: Frame<ServerMessage, 'file-progress'>) => {
+    const entry = find(msg.ref, msg.fileId);
+    if (!entry || entry.status !== 'uploading') return;
+    entry.fileId = msg.fileId;
+    entry.received = msg.received;
+    if (msg.received >= msg.size) {
+      entries.current.delete(entry.key);
+    } else {
+      const { fileId, received } = entry;
+      const current = generation.current;
+      entry.file.slice(received, received + msg.chunkSize).arrayBuffer().then(data => {
+        if (generation.current !== current || entry.received !== received) return;
+        send(encodeChunk(fileId, received, new Uint8Array(data)), { queue: false });
+      }, err => {
+        entry.status = 'failed';
+        entry.error = `Could not read the file: ${err}`;
+        publish();
+      });
+    }
+    publish();
+  }, [find, publish, send]);
+
+  // Returns true if the error was about one of our uploads, which then stops.
+  const handleError = useCallback((msg: Frame<ServerMessage, 'error'>) => {
+    const entry = find(msg.ref);
+    if (!entry) return false;
+    entry.status = 'failed';
+    entry.error = msg.error;
+    publish();
+    return true;
+  }, [find, publish]);
+
+  const dismiss = useCallback((key: string) => {
+    entries.current.delete(key);
+    publish();
+  }, [publish]);
+
+  return useMemo(
+    () => ({ uploads, start, resume, handleProgress, handleError, dismiss }),
+    [uploads, start, resume, handleProgress, handleError, dismiss],
+  );
+}
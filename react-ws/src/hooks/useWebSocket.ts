@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+export type ConnectionStatus = 'connecting' | 'open' | 'reconnecting' | 'offline';
+
+type Options = {
+  protocols?: string[];
+  // Runs on every (re)connect before queued messages are flushed, e.g. to re-join rooms.
+  onOpen?: (socket: WebSocket) => void;
+  onMessage?: (event: MessageEvent) => void;
+  // Called when a connection attempt closes without ever opening. Return false to stop retrying.
+  onFailedOpen?: () => boolean | void;
+};
+
+type SendOptions = {
+  // Buffer the message while disconnected (default). Pass false for frames that only
+  // make sense on the current connection, e.g. ones that onOpen will resend anyway.
+  queue?: boolean;
+};
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// Exponential backoff with full jitter so a restarted server isn't hit by every client at once.
+function backoff(attempt: number) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+// A WebSocket that reconnects by itself. Messages sent while disconnected are queued
+// and flushed in order once the next connection opens.
+export function useWebSocket(url: string, options: Options = {}) {
+  const [status, setStatus] = useState<ConnectionStatus>('connecting');
+  const socketRef = useRef<WebSocket | null>(null);
+  const queue = useRef<(string | Uint8Array)[]>([]);
+  // Latest callbacks, so passing inline functions doesn't tear down the connection.
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  const protocolsKey = (options.protocols ?? []).join(',');
+
+  useEffect(() => {
+    let attempt = 0;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let stopped = false;
+
+    function connect() {
+      const ws = new WebSocket(url, protocolsKey ? protocolsKey.split(',') : undefined);
+      socketRef.current = ws;
+      let opened = false;
+
+      ws.onopen = () => {
+        opened = true;
+        attempt = 0;
+        setStatus('open');
+        optionsRef.current.onOpen?.(ws);
+        while (queue.current.length > 0 && ws.readyState === WebSocket.OPEN) {
+          ws.send(queue.current.shift()!);
+        }
+      };
+
+      ws.onmessage = (event) => optionsRef.current.onMessage?.(event);
+
+      ws.onerror = (error) => {
+        console.error('WebSocket error: ', error);
+      };
+
+      ws.onclose = () => {
+        socketRef.current = null;
+        if (stopped) return;
+        if (!opened && optionsRef.current.onFailedOpen?.() === false) {
+          setStatus('offline');
+          return;
+        }
+        scheduleReconnect();
+      };
+    }
+
+    function scheduleReconnect() {
+      // No point hammering the network while the browser knows it has none; 'online' resumes.
+      if (!navigator.onLine) {
+        setStatus('offline');
+        return;
+      }
+      setStatus('reconnecting');
+      timer = setTimeout(connect, backoff(attempt++));
+    }
+
+    function handleOnline() {
+      if (socketRef.current) return;
+      clearTimeout(timer);
+      attempt = 0;
+      setStatus('connecting');
+      connect();
+    }
+
+    window.addEventListener('online', handleOnline);
+    setStatus('connecting');
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      window.removeEventListener('online', handleOnline);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [url, protocolsKey]);
+
+  const send = useCallback((data: string | Uint8Array, { queue: shouldQueue = true }: SendOptions = {}) => {
+    const ws = socketRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(data);
+    } else if (shouldQueue) {
+      queue.current.push(data);
+    }
+  }, []);
+
+  return { status, send };
+}
@@ -0,0 +1,21 @@
+// Tokens from POST /login are base64url(JSON payload) + "." + signature; the client
+// can't verify the signature but can read the expiry to know when to log in again.
+function readPayload(token: string): { sub?: unknown; exp?: unknown } | null {
+  try {
+    const data = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(data));
+  } catch {
+    return null;
+  }
+}
+
+export function isTokenExpired(token: string): boolean {
+  const payload = readPayload(token);
+  return typeof payload?.exp !== 'number' || payload.exp * 1000 < Date.now();
+}
+
+// The username the token was issued to.
+export function tokenUser(token: string): string | null {
+  const payload = readPayload(token);
+  return typeof payload?.sub === 'string' ? payload.sub : null;
+}
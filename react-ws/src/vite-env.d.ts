@@ -1 +1,8 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Lets a second dev client point at another server instance, e.g. VITE_WS_URL=ws://localhost:8001
+  readonly VITE_WS_URL?: string
+  // The Redis playground server (Redis/server.js), which serves feature flags.
+  readonly VITE_API_URL?: string
+}
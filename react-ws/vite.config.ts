@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // chat-protocol is linked from ../protocol and served from its TypeScript source.
+      allow: ['.', '../protocol'],
+    },
+  },
 })
@@ -0,0 +1,108 @@
+import {createHmac, timingSafeEqual} from "crypto";
+import http from "http";
+import {logger} from "chat-observability";
+
+/* Signed bearer tokens for WebSocket connections.
+A token is base64url(JSON payload) + "." + base64url(HMAC-SHA256 of that payload), so any
+instance sharing AUTH_SECRET can verify it without a lookup. Clients get one from POST /login
+and present it at upgrade time, either as ?token=... or as the second entry of
+Sec-WebSocket-Protocol (after "chat"), which keeps it out of URLs and access logs. */
+
+export type User = {name: string};
+
+type Payload = {sub: string; exp: number};
+
+const SECRET = process.env.AUTH_SECRET || 'dev-secret-change-me';
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || 60 * 60;
+// When unset any password is accepted, which is only meant for local development.
+const PASSWORD = process.env.AUTH_PASSWORD;
+
+if (!process.env.AUTH_SECRET) {
+    logger.warn('AUTH_SECRET is not set, using an insecure development secret');
+}
+
+export const SUBPROTOCOL = 'chat';
+
+const USERNAME = /^[\w-]{1,32}$/;
+
+function sign(data: string) {
+    return createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+export function issueToken(name: string): string {
+    const payload: Payload = {sub: name, exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS};
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return data + '.' + sign(data);
+}
+
+// Returns the user a token was issued to, or null if it is malformed, forged or expired.
+export function verifyToken(token: string): User | null {
+    const [data, signature] = token.split('.');
+    if (!data || !signature) {
+        return null;
+    }
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    let payload: Payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    } catch {
+        return null;
+    }
+    if (typeof payload.sub !== 'string' || typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) {
+        return null;
+    }
+    return {name: payload.sub};
+}
+
+// Pulls the token out of an upgrade request: query string first, then Sec-WebSocket-Protocol.
+export function tokenFromRequest(request: http.IncomingMessage): string | null {
+    const url = new URL(request.url ?? '/', 'http://localhost');
+    const fromQuery = url.searchParams.get('token');
+    if (fromQuery) {
+        return fromQuery;
+    }
+    const protocols = (request.headers['sec-websocket-protocol'] ?? '').split(',').map((p) => p.trim());
+    return protocols.find((p) => p && p !== SUBPROTOCOL) ?? null;
+}
+
+// Writes a bare HTTP response on the raw upgrade socket and closes it.
+export function rejectUpgrade(socket: {write(data: string): unknown; destroy(): void}, status: number, reason: string) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
+
+function sendJson(response: http.ServerResponse, status: number, body: unknown) {
+    response.writeHead(status, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify(body));
+}
+
+// POST /login with {"username", "password"} -> {"token"}.
+export function handleLogin(request: http.IncomingMessage, response: http.ServerResponse) {
+    let body = '';
+    request.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > 1024) {
+            request.destroy(); // nobody needs a kilobyte to send a username and password
+        }
+    });
+    request.on('end', () => {
+        let credentials: any;
+        try {
+            credentials = JSON.parse(body);
+        } catch {
+            return sendJson(response, 400, {error: 'Body must be JSON'});
+        }
+        // typeof first: the regex would accept a number or a one-element array once stringified.
+        if (typeof credentials?.username !== 'string' || !USERNAME.test(credentials.username)) {
+            return sendJson(response, 400, {error: 'Username must be 1-32 letters, digits, _ or -'});
+        }
+        if (PASSWORD !== undefined && credentials.password !== PASSWORD) {
+            return sendJson(response, 401, {error: 'Invalid credentials'});
+        }
+        sendJson(response, 200, {token: issueToken(credentials.username)});
+    });
+}
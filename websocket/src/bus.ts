@@ -0,0 +1,75 @@
+import {randomUUID} from "crypto";
+import {logger} from "chat-observability";
+import {redis} from "./redis";
+
+/* Cross-instance fan-out over Redis pub/sub (same publisher/subscriber pattern as Redis/pubsub.js).
+Each server instance delivers a message to its own sockets straight away and publishes it
+on a shared channel; every other instance picks it up and delivers it to its local sockets.
+Envelopes carry the id of the instance that published them, so the origin skips its own echo
+and nobody gets the message twice.
+
+To try it locally, start two instances against the same Redis:
+    PORT=8000 node dist/index.js
+    PORT=8001 node dist/index.js
+and point one client at each port.
+
+Other services can push to clients by publishing on the channel too (see Redis/lib/ws-bridge.js);
+the room EVERYONE reaches every connected socket. Payloads are delivered as they are, so they must
+be complete protocol frames, envelope included (see ../protocol). */
+
+const CHANNEL = process.env.WS_BUS_CHANNEL || 'ws:broadcast';
+
+// Not a valid room name, so no client can join it by accident.
+export const EVERYONE = '*';
+
+type Envelope = {origin: string; room: string; payload: string};
+
+function isEnvelope(value: unknown): value is Envelope {
+    if (typeof value !== 'object' || value === null) {
+        return false;
+    }
+    const {origin, room, payload} = value as Record<string, unknown>;
+    return typeof origin === 'string' && typeof room === 'string' && typeof payload === 'string';
+}
+
+export class Bus {
+    readonly instanceId = randomUUID();
+    // A subscribed connection can't issue other commands, so publishing goes through the shared client.
+    private subscriber = redis.duplicate();
+
+    constructor(private deliver: (room: string, payload: string) => void) {
+        this.subscriber.on('error', (err) => logger.error('Redis subscriber error', err));
+    }
+
+    // Connected and subscribed, for the readiness check.
+    get ready() {
+        return this.subscriber.isReady;
+    }
+
+    async connect() {
+        await this.subscriber.connect();
+        await this.subscriber.subscribe(CHANNEL, (raw) => {
+            // Anyone can publish on the channel; a bad message must not throw inside the Redis client.
+            let envelope: unknown;
+            try {
+                envelope = JSON.parse(raw);
+            } catch (err) {
+                logger.warn('Dropped an unparseable bus message', {err});
+                return;
+            }
+            if (!isEnvelope(envelope)) {
+                logger.warn('Dropped a malformed bus message');
+                return;
+            }
+            if (envelope.origin === this.instanceId) {
+                return; // already delivered locally before publishing
+            }
+            this.deliver(envelope.room, envelope.payload);
+        });
+    }
+
+    async publish(room: string, payload: string) {
+        const envelope: Envelope = {origin: this.instanceId, room, payload};
+        await redis.publish(CHANNEL, JSON.stringify(envelope));
+    }
+}
@@ -0,0 +1,83 @@
+import {randomUUID} from "crypto";
+import {RESP_TYPES} from "redis";
+import {FileInfo} from "chat-protocol";
+import {redis} from "./redis";
+
+/* Files uploaded over the socket, kept in Redis so an interrupted upload can be resumed on any
+instance, e.g. after the client reconnects to another one.
+chat:file:<id>        hash    room, from, name, mime, size, complete ("1" once every byte arrived)
+chat:file:<id>:data   string  the bytes received so far (APPEND per chunk)
+Unfinished uploads expire after UPLOAD_TTL; finished files are served over HTTP for FILE_TTL. */
+
+const UPLOAD_TTL_SECONDS = Number(process.env.WS_UPLOAD_TTL) || 60 * 60;
+const FILE_TTL_SECONDS = Number(process.env.WS_FILE_TTL) || 7 * 24 * 60 * 60;
+
+export type Upload = FileInfo & {room: string; from: string; received: number; complete: boolean};
+
+// Replies as Buffers, so file contents are not decoded as UTF-8.
+const binary = redis.withTypeMapping({[RESP_TYPES.BLOB_STRING]: Buffer});
+
+function metaKey(id: string) {
+    return `chat:file:${id}`;
+}
+
+function dataKey(id: string) {
+    return `chat:file:${id}:data`;
+}
+
+// Registers a new upload and returns it, with a fresh file id.
+export async function create(room: string, from: string, name: string, mime: string, size: number): Promise<Upload> {
+    const id = randomUUID();
+    await redis.multi()
+        .hSet(metaKey(id), {room, from, name, mime, size: String(size), complete: '0'})
+        .expire(metaKey(id), UPLOAD_TTL_SECONDS)
+        .exec();
+    return {id, name, mime, size, room, from, received: 0, complete: false};
+}
+
+export async function get(id: string): Promise<Upload | null> {
+    const [meta, received] = await Promise.all([redis.hGetAll(metaKey(id)), redis.strLen(dataKey(id))]);
+    if (!meta.room) {
+        return null;
+    }
+    return {
+        id,
+        name: meta.name,
+        mime: meta.mime,
+        size: Number(meta.size),
+        room: meta.room,
+        from: meta.from,
+        received,
+        complete: meta.complete === '1',
+    };
+}
+
+// Adds the next chunk and returns how many bytes have been received. Each chunk extends the
+// upload's lifetime, so only uploads nobody is working on expire.
+export async function append(id: string, data: Buffer): Promise<number> {
+    const [received] = await redis.multi()
+        .append(dataKey(id), data)
+        .expire(dataKey(id), UPLOAD_TTL_SECONDS)
+        .expire(metaKey(id), UPLOAD_TTL_SECONDS)
+        .exec();
+    return Number(received);
+}
+
+// Marks an upload as complete, which makes it downloadable.
+export async function complete(id: string) {
+    await redis.multi()
+        .hSet(metaKey(id), 'complete', '1')
+        .expire(metaKey(id), FILE_TTL_SECONDS)
+        .expire(dataKey(id), FILE_TTL_SECONDS)
+        .exec();
+}
+
+// The contents of a complete file, or null if there is no such file (yet).
+export async function read(id: string): Promise<{file: Upload; data: Buffer} | null> {
+    const file = await get(id);
+    if (!file || !file.complete) {
+        return null;
+    }
+    const data = await binary.get(dataKey(id));
+    return data ? {file, data} : null;
+}
@@ -0,0 +1,47 @@
+import WebSocket, {WebSocketServer} from "ws";
+
+/* Ping/pong heartbeating. Every interval each socket that answered the previous ping is pinged
+again; one that didn't is terminated. Half-open TCP connections (client vanished, proxy dropped
+the idle connection) never emit 'close' on their own, so without this they stay in wss.clients forever. */
+
+const INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 30000;
+
+export type ConnectionStats = {
+    live: number;       // currently open sockets
+    total: number;      // sockets accepted since startup
+    terminated: number; // sockets killed for missing a pong
+};
+
+export class Heartbeat {
+    private alive = new WeakMap<WebSocket, boolean>();
+    private total = 0;
+    private terminated = 0;
+    private timer: NodeJS.Timeout;
+
+    constructor(private wss: WebSocketServer, intervalMs = INTERVAL_MS) {
+        this.timer = setInterval(() => this.sweep(), intervalMs);
+        wss.on('close', () => clearInterval(this.timer));
+    }
+
+    // Call for every accepted socket.
+    track(socket: WebSocket) {
+        this.total++;
+        this.alive.set(socket, true);
+        socket.on('pong', () => this.alive.set(socket, true));
+    }
+
+    stats(): ConnectionStats {
+        return {live: this.wss.clients.size, total: this.total, terminated: this.terminated};
+    }
+
+    private sweep() {
+        this.wss.clients.forEach((socket) => {
+            if (!this.alive.get(socket)) {
+                this.terminated++;
+                return socket.terminate(); // emits 'close', which does the usual cleanup
+            }
+            this.alive.set(socket, false);
+            socket.ping();
+        });
+    }
+}
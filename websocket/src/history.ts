@@ -0,0 +1,41 @@
+import {ChatEntry, FileInfo} from "chat-protocol";
+import {redis} from "./redis";
+
+/* Chat history kept in one Redis Stream per room (XADD/XREVRANGE, see Redis/stream.js).
+Stream ids are chronological, so a client that remembers the last id it saw can ask
+for exactly the entries it missed. Streams are capped with MAXLEN ~ so they can't grow forever. */
+
+const MAX_LENGTH = Number(process.env.HISTORY_MAX_LENGTH) || 1000;
+// Upper bound on what a single replay sends, however long the client was away.
+const REPLAY_LIMIT = Number(process.env.HISTORY_REPLAY_LIMIT) || 200;
+// What a client with no last-seen id gets on join.
+const RECENT_COUNT = 50;
+
+function streamKey(room: string) {
+    return `chat:room:${room}`;
+}
+
+// Appends a message and returns the id Redis assigned to it. The time is stored as 'sentAt',
+// a shared file as JSON in 'file'.
+export async function append(room: string, from: string, text: string, ts: string, file?: FileInfo): Promise<string> {
+    return redis.xAdd(streamKey(room), '*', {from, text, sentAt: ts, ...(file && {file: JSON.stringify(file)})}, {
+        TRIM: {strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_LENGTH},
+    });
+}
+
+// Entries strictly after `since`, oldest first. Without `since`, the most recent few.
+// When more than REPLAY_LIMIT entries were missed, the newest ones win.
+export async function replay(room: string, since?: string): Promise<ChatEntry[]> {
+    const entries = await redis.xRevRange(streamKey(room), '+', since ? `(${since}` : '-', {
+        COUNT: since ? REPLAY_LIMIT : RECENT_COUNT,
+    });
+    entries.reverse();
+
+    return entries.map(({id, message}) => ({
+        id,
+        from: message.from,
+        text: message.text,
+        ts: message.sentAt,
+        file: message.file ? JSON.parse(message.file) : undefined,
+    }));
+}
@@ -1,37 +1,491 @@
 import WebSocket, {WebSocketServer} from "ws";
 import http from "http";
+import {randomUUID} from "crypto";
+import {
+    CHUNK_HEADER_BYTES,
+    ClientMessage,
+    decodeChunk,
+    encode,
+    ErrorCode,
+    isValidFileId,
+    parseClientMessage,
+    PROTOCOL_VERSION,
+    ServerBody,
+    ServerMessage,
+} from "chat-protocol";
+import {CONTENT_TYPE, logger, registry} from "chat-observability";
+import {RoomManager} from "./rooms";
+import {Bus, EVERYONE} from "./bus";
+import {redis} from "./redis";
+import * as history from "./history";
+import {Presence} from "./presence";
+import * as files from "./files";
+import {Heartbeat} from "./heartbeat";
+import {CLOSE_RATE_LIMITED, RateLimiter} from "./rateLimit";
+import {Outbound} from "./outbound";
+import {handleLogin, rejectUpgrade, SUBPROTOCOL, tokenFromRequest, User, verifyToken} from "./auth";
 
-// This is just a simple HTTP server that responds with "Hello world" to any request.
-const server = http.createServer(function (request: any, response: any) {
-    console.log((new Date()) + ' Received request for ' + request.url);
+const PORT = Number(process.env.PORT) || 8000;
+// Frames larger than this are refused by ws itself, which closes the socket with 1009.
+const MAX_PAYLOAD = Number(process.env.WS_MAX_PAYLOAD) || 64 * 1024;
+// Uploads: the largest file accepted and the accepted types (comma-separated MIME types).
+const MAX_FILE_BYTES = Number(process.env.WS_MAX_FILE_BYTES) || 5 * 1024 * 1024;
+const FILE_TYPES = (process.env.WS_FILE_TYPES || 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain')
+    .split(',').map((type) => type.trim());
+// A chunk has to fit in one frame, header included.
+const CHUNK_BYTES = Math.min(32 * 1024, MAX_PAYLOAD - CHUNK_HEADER_BYTES);
+
+// How long /readyz waits for Redis to answer PING.
+const READY_TIMEOUT_MS = 1000;
+
+// The route of a request as a metric label: one series per route, not per file id.
+function routeOf(url = '') {
+    if (url.startsWith('/files/')) {
+        return '/files/:id';
+    }
+    return ['/login', '/stats', '/healthz', '/readyz', '/metrics'].includes(url) ? url : 'other';
+}
+
+// A simple HTTP server: POST /login hands out tokens, GET /stats reports connection and
+// outbound queue counts, GET /files/<id> serves uploaded files, GET /healthz and /readyz
+// answer liveness and readiness probes, GET /metrics is for Prometheus, anything else gets "Hello world".
+const server = http.createServer(function (request, response) {
+    // Every request gets an id (or keeps a valid X-Request-Id from a proxy), echoed in the response and in its log lines.
+    const given = request.headers['x-request-id'];
+    const requestId = typeof given === 'string' && /^[\w.-]{1,64}$/.test(given) ? given : randomUUID();
+    const log = logger.child({requestId});
+    const started = Date.now();
+    response.setHeader('X-Request-Id', requestId);
+    response.on('finish', () => {
+        httpRequests.inc({method: request.method ?? '', route: routeOf(request.url), status: response.statusCode});
+        log.info('Request', {method: request.method, path: request.url, status: response.statusCode, ms: Date.now() - started});
+    });
+    // The React dev server runs on another origin and needs to call /login.
+    response.setHeader('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        return response.end();
+    }
+    if (request.method === 'POST' && request.url === '/login') {
+        return handleLogin(request, response);
+    }
+    if (request.method === 'GET' && request.url === '/stats') {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        return response.end(JSON.stringify({connections: heartbeat.stats(), outbound: outbound.stats()}));
+    }
+    if (request.method === 'GET' && request.url === '/healthz') {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        return response.end(JSON.stringify({status: 'ok'}));
+    }
+    if (request.method === 'GET' && request.url === '/readyz') {
+        return checkReady().then(() => {
+            response.writeHead(200, {'Content-Type': 'application/json'});
+            response.end(JSON.stringify({status: 'ready'}));
+        }, (err) => {
+            log.warn('Not ready', {err});
+            response.writeHead(503, {'Content-Type': 'application/json'});
+            response.end(JSON.stringify({status: 'unavailable', error: err.message}));
+        });
+    }
+    if (request.method === 'GET' && request.url === '/metrics') {
+        return registry.metrics().then((text) => {
+            response.writeHead(200, {'Content-Type': CONTENT_TYPE});
+            response.end(text);
+        });
+    }
+    if (request.method === 'GET' && request.url?.startsWith('/files/')) {
+        return serveFile(request.url.slice('/files/'.length), response).catch((err) => {
+            log.error('Failed to serve a file', err);
+            response.writeHead(500);
+            response.end('Internal server error');
+        });
+    }
     response.end('Hello world');
 });
 
-/* Here we create a WebSocket server that shares the same HTTP server
-This means that the WebSocket server will listen on the same port as the HTTP server
-and will be able to handle WebSocket upgrade requests. */
-const wss = new WebSocketServer({server});
+/* The WebSocket server shares the port of the HTTP server, but we handle the upgrade
+ourselves (noServer) so the token can be checked before a socket is ever created. */
+const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_PAYLOAD,
+    // Clients that pass the token as a subprotocol also offer "chat"; never echo the token back.
+    handleProtocols: (protocols) => protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false,
+});
+
+// Pings every socket periodically and terminates the ones that stop answering.
+const heartbeat = new Heartbeat(wss);
+
+server.on('upgrade', function upgrade(request, socket, head) {
+    socket.on('error', (err) => logger.warn('Upgrade socket error', err));
+    const token = tokenFromRequest(request);
+    const user = token ? verifyToken(token) : null;
+    if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request, user));
+});
+
+// Throttles clients that send too much, per socket and per user.
+const limiter = new RateLimiter();
+
+// Every frame to a client goes through here, so a slow client only ever holds a bounded queue.
+const outbound = new Outbound();
+
+// Room membership lives here; messages are only fanned out to sockets in the same room.
+const rooms = new RoomManager((socket, data) => outbound.send(socket, data));
+
+// Messages published by other server instances are delivered to our local room members.
+const bus = new Bus((room, payload) => room === EVERYONE ? broadcastAll(payload) : rooms.broadcast(room, payload));
+// Who is online, per room; this instance's entries in Redis are owned by its bus id.
+const presence = new Presence(bus.instanceId);
+
+/* Prometheus metrics (see ../observability). Counts kept by the heartbeat and the outbound queues
+are read from their stats on every scrape. */
+const connections = registry.gauge({
+    name: 'ws_connections',
+    help: 'Open WebSocket connections',
+    collect: () => connections.set({}, heartbeat.stats().live),
+});
+const connectionsTotal = registry.counter({
+    name: 'ws_connections_total',
+    help: 'WebSocket connections accepted since start',
+    collect: () => connectionsTotal.set({}, heartbeat.stats().total),
+});
+const terminated = registry.counter({
+    name: 'ws_connections_terminated_total',
+    help: 'WebSocket connections terminated for missing a heartbeat pong',
+    collect: () => terminated.set({}, heartbeat.stats().terminated),
+});
+// Frame types come from the protocol, plus "chunk" for binary frames and "invalid" for unparseable ones.
+const received = registry.counter({
+    name: 'ws_messages_received_total',
+    help: 'Frames received from clients, by type',
+    labelNames: ['type'],
+});
+const rateLimited = registry.counter({
+    name: 'ws_messages_rate_limited_total',
+    help: 'Frames from clients refused by the rate limiter',
+});
+const sent = registry.counter({
+    name: 'ws_messages_sent_total',
+    help: 'Frames written to client sockets',
+    collect: () => sent.set({}, outbound.stats().sent),
+});
+const dropped = registry.counter({
+    name: 'ws_messages_dropped_total',
+    help: 'Frames to slow clients that were dropped, by slow consumer policy',
+    labelNames: ['policy'],
+    collect: () => {
+        const stats = outbound.stats();
+        dropped.set({policy: 'drop-oldest'}, stats.droppedOldest);
+        dropped.set({policy: 'drop-newest'}, stats.droppedNewest);
+    },
+});
+const slowDisconnects = registry.counter({
+    name: 'ws_slow_consumer_disconnects_total',
+    help: 'Sockets closed for not keeping up with their outbound queue',
+    collect: () => slowDisconnects.set({}, outbound.stats().disconnected),
+});
+const queued = registry.gauge({
+    name: 'ws_outbound_queued_frames',
+    help: 'Frames waiting in outbound queues across all sockets',
+    collect: () => queued.set({}, outbound.stats().queued),
+});
+const broadcastDuration = registry.histogram({
+    name: 'ws_broadcast_duration_seconds',
+    help: 'Time to deliver a room frame to local members and publish it to the other instances',
+});
+const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests answered, by route and status',
+    labelNames: ['method', 'route', 'status'],
+});
+
+// Ready when both Redis connections are up and Redis answers PING in time.
+async function checkReady() {
+    if (!redis.isReady || !bus.ready) {
+        throw new Error('Not connected to Redis');
+    }
+    let timer: NodeJS.Timeout | undefined;
+    try {
+        await Promise.race([
+            redis.ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Redis did not answer PING within ${READY_TIMEOUT_MS} ms`)), READY_TIMEOUT_MS);
+            }),
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Sends a frame to every open socket, in a room or not.
+function broadcastAll(payload: string) {
+    wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) {
+            outbound.send(client, payload);
+        }
+    });
+}
+
+// Every server frame gets an id and a timestamp from the server. Chat frames pass their own:
+// the history id and the time the message was stored.
+function stamp(body: ServerBody, id: string = randomUUID(), ts: string = new Date().toISOString()): ServerMessage {
+    return {v: PROTOCOL_VERSION, id, ts, ...body};
+}
+
+// Sends a shared file. The random file id is only ever told to members of the room it was shared in,
+// so knowing the URL is the permission; an <img src> couldn't send a token anyway.
+async function serveFile(id: string, response: http.ServerResponse) {
+    const found = isValidFileId(id) ? await files.read(id) : null;
+    if (!found) {
+        response.writeHead(404);
+        return response.end('Not found');
+    }
+    const {file, data} = found;
+    response.writeHead(200, {
+        'Content-Type': file.mime,
+        'Content-Length': data.length,
+        // Images are shown inline in the chat, anything else is downloaded rather than rendered.
+        'Content-Disposition': file.mime.startsWith('image/') ? 'inline' : `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+        'X-Content-Type-Options': 'nosniff',
+        // A file never changes once complete.
+        'Cache-Control': 'private, max-age=86400, immutable',
+    });
+    response.end(data);
+}
+
+function reply(socket: WebSocket, body: ServerBody) {
+    outbound.send(socket, encode(stamp(body)));
+}
+
+// Answers a client frame that can't be handled; 'ref' is that frame's id, so the client knows which one failed.
+function reject(socket: WebSocket, code: ErrorCode, error: string, ref: string | null, retryAfterMs?: number) {
+    reply(socket, {type: 'error', error, code, ref, retryAfterMs});
+}
+
+// Delivers a room frame to local members and to the other instances.
+async function broadcast(room: string, message: ServerMessage) {
+    const end = broadcastDuration.startTimer();
+    const payload = encode(message);
+    rooms.broadcast(room, payload);
+    await bus.publish(room, payload);
+    end();
+}
+
+function progress(upload: files.Upload, ref: string | null): ServerBody {
+    return {
+        type: 'file-progress',
+        ref,
+        room: upload.room,
+        fileId: upload.id,
+        received: upload.received,
+        size: upload.size,
+        chunkSize: CHUNK_BYTES,
+    };
+}
+
+async function enterRoom(socket: WebSocket, user: User, room: string) {
+    if (rooms.isMember(socket, room)) {
+        return; // re-joining must not count the socket twice
+    }
+    // Counted in presence first: joined but not counted, the socket's exit would uncount another tab.
+    const cameOnline = await presence.enter(room, user.name);
+    if (socket.readyState !== WebSocket.OPEN) {
+        return exitRoom(user, room); // closed meanwhile, and its close handler didn't know the room yet
+    }
+    rooms.join(socket, room);
+    if (cameOnline) {
+        await broadcast(room, stamp({type: 'presence-update', room, user: user.name, status: 'online', lastSeen: new Date().toISOString()}));
+    }
+}
+
+async function exitRoom(user: User, room: string) {
+    const lastSeen = await presence.exit(room, user.name);
+    if (lastSeen) {
+        await broadcast(room, stamp({type: 'presence-update', room, user: user.name, status: 'offline', lastSeen}));
+    }
+}
+
+// Handles one parsed frame from a client. Async because history lives in Redis.
+async function handle(socket: WebSocket, user: User, frame: ClientMessage) {
+    const ref = frame.id ?? null;
+    switch (frame.type) {
+        case 'join': {
+            await enterRoom(socket, user, frame.room);
+            reply(socket, {type: 'ack', ref, of: 'join', room: frame.room});
+            reply(socket, {type: 'presence', room: frame.room, ...await presence.snapshot(frame.room)});
+            // Send whatever the client missed since its last-seen id (or the recent backlog on first visit).
+            const messages = await history.replay(frame.room, frame.since);
+            return reply(socket, {type: 'history', room: frame.room, messages});
+        }
+        case 'leave':
+            if (rooms.leave(socket, frame.room)) {
+                await exitRoom(user, frame.room);
+            }
+            return reply(socket, {type: 'ack', ref, of: 'leave', room: frame.room});
+    }
+
+    // Only members may post, otherwise anyone could write into any room.
+    if (!rooms.isMember(socket, frame.room)) {
+        return reject(socket, 'not_member', `Join ${frame.room} before sending to it`, ref);
+    }
+    switch (frame.type) {
+        case 'message': {
+            // Persist first so the broadcast frame can carry the stream id clients resume from.
+            const ts = new Date().toISOString();
+            const id = await history.append(frame.room, user.name, frame.text, ts);
+            await broadcast(frame.room, stamp({type: 'chat', room: frame.room, from: user.name, text: frame.text}, id, ts));
+            return reply(socket, {type: 'ack', ref, of: 'message', room: frame.room, messageId: id});
+        }
+        case 'typing':
+            return broadcast(frame.room, stamp({type: 'typing', room: frame.room, from: user.name}));
+        case 'file-start': {
+            if (frame.size > MAX_FILE_BYTES) {
+                return reject(socket, 'file_rejected', `Files can be at most ${MAX_FILE_BYTES} bytes`, ref);
+            }
+            if (!FILE_TYPES.includes(frame.mime)) {
+                return reject(socket, 'file_rejected', `Files of type ${frame.mime} are not accepted`, ref);
+            }
+            const upload = await files.create(frame.room, user.name, frame.name, frame.mime, frame.size);
+            return reply(socket, progress(upload, ref));
+        }
+        case 'file-resume': {
+            // A complete upload is answered too: its last progress frame may have been lost with the connection.
+            const upload = await files.get(frame.fileId);
+            if (!upload || upload.from !== user.name || upload.room !== frame.room) {
+                return reject(socket, 'unknown_file', 'No upload with this id', ref);
+            }
+            return reply(socket, progress(upload, ref));
+        }
+    }
+}
+
+// Files whose latest chunk is still being stored. Clients send the next chunk of a file only
+// after the file-progress for the previous one, which keeps every upload's chunks in order.
+const storing = new Set<string>();
+
+// Handles one binary frame: the next chunk of an upload.
+async function handleChunk(socket: WebSocket, user: User, data: Buffer) {
+    const chunk = decodeChunk(data);
+    if (!chunk) {
+        return reject(socket, 'bad_frame', 'Binary frames must be file chunks', null);
+    }
+    const {fileId} = chunk;
+    if (storing.has(fileId)) {
+        return reject(socket, 'bad_frame', 'Wait for file-progress before sending the next chunk', fileId);
+    }
+    storing.add(fileId);
+    try {
+        const upload = await files.get(fileId);
+        if (!upload || upload.from !== user.name || upload.complete) {
+            return reject(socket, 'unknown_file', 'No upload in progress with this id', fileId);
+        }
+        // Out of step, e.g. a chunk resent after a reconnect: tell the client where to continue.
+        if (chunk.offset !== upload.received) {
+            return reply(socket, progress(upload, null));
+        }
+        if (chunk.data.length > CHUNK_BYTES || upload.received + chunk.data.length > upload.size) {
+            return reject(socket, 'bad_frame', 'Chunk is larger than the upload allows', fileId);
+        }
+        upload.received = await files.append(fileId, Buffer.from(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength));
+        if (upload.received === upload.size) {
+            await share(user, upload);
+        }
+        reply(socket, progress(upload, null));
+    } finally {
+        storing.delete(fileId);
+    }
+}
+
+// Posts a completed upload to its room, as a chat message that carries the file.
+async function share(user: User, upload: files.Upload) {
+    await files.complete(upload.id);
+    const file = {id: upload.id, name: upload.name, mime: upload.mime, size: upload.size};
+    const ts = new Date().toISOString();
+    const id = await history.append(upload.room, user.name, '', ts, file);
+    await broadcast(upload.room, stamp({type: 'chat', room: upload.room, from: user.name, text: '', file}, id, ts));
+}
 
 // When a new WebSocket connection is established, this callback is called.
 // Whenever this connection is called it will run the callback function named 'connection'.
 // The 'socket' parameter is the WebSocket connection to the client.
-// Functionality: Broadcasts any received message to all connected clients.
+// Functionality: Clients join rooms and messages are relayed to the other members of that room.
 // In websockets, 'on' is used to listen for events, similar to event listeners in other programming contexts.  
-let count = 0;
-wss.on('connection', function connection(socket) {
-    socket.on('error', (err) => console.error(err) );  // event listener for errors
-    console.log('Client connected', ++count);
+wss.on('connection', function connection(socket: WebSocket, request: http.IncomingMessage, user: User) {
+    // Every log line about this connection carries its id and user.
+    const log = logger.child({connectionId: randomUUID(), user: user.name});
+    socket.on('error', (err) => log.warn('Socket error', err));  // event listener for errors
+    heartbeat.track(socket);
+    log.info('Client connected', {...heartbeat.stats()});
+    // Text frames are handled one at a time, in the order they arrived: handled side by side,
+    // a sender's messages could be stored and broadcast out of order.
+    let handling: Promise<void> = Promise.resolve();
     socket.on('message', function message(data, isBinary) { // event listener for incoming messages
-        wss.clients.forEach(function each(client) {  // Iterate over all connected clients
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(data, {binary: isBinary});
+        if (isBinary) {
+            received.inc({type: 'chunk'});
+            // Chunks skip the rate limiter: each upload has at most one in flight, and starting uploads is limited.
+            return handleChunk(socket, user, data as Buffer).catch((err) => {
+                log.error('Failed to store a file chunk', err);
+                reject(socket, 'internal', 'Internal server error', null);
+            });
+        }
+        const parsed = parseClientMessage(data.toString());
+        if (!parsed.ok) {
+            received.inc({type: 'invalid'});
+            return reject(socket, parsed.code, parsed.error, parsed.ref);
+        }
+        const frame = parsed.message;
+        received.inc({type: frame.type});
+
+        handling = handling.then(() => limiter.check(socket, user.name)).then((verdict) => {
+            if (verdict.allowed) {
+                return handle(socket, user, frame);
+            }
+            rateLimited.inc();
+            reject(socket, 'rate_limited', 'Rate limit exceeded', frame.id ?? null, verdict.retryAfterMs);
+            if (verdict.disconnect) {
+                log.warn('Disconnecting for repeatedly exceeding the rate limit');
+                socket.close(CLOSE_RATE_LIMITED, 'Rate limit exceeded');
             }
+        }).catch((err) => {
+            log.error('Failed to handle a frame', {type: frame.type, err});
+            reject(socket, 'internal', 'Internal server error', frame.id ?? null);
         });
     });
 
-    socket.send('Hello! This is a WebSocket server'); // Send a welcome message to the newly connected client
+    socket.on('close', () => {
+        rooms.leaveAll(socket).forEach((room) => {
+            exitRoom(user, room).catch((err) => log.error('Failed to record leaving a room', {room, err}));
+        });
+        log.info('Client disconnected', {...heartbeat.stats()});
+    });
+
+    reply(socket, {type: 'system', text: `Hello ${user.name}! This is a WebSocket server`}); // Send a welcome message to the newly connected client
 });
 
-server.listen(8000, function () {
-    console.log((new Date()) + ' Server is listening on port 8000');
-});
\ No newline at end of file
+redis.connect().then(() => bus.connect()).then(() => {
+    server.listen(PORT, function () {
+        logger.info('Server is listening', {port: PORT, instance: bus.instanceId});
+    });
+}).catch((err) => {
+    logger.error('Could not connect to Redis', err);
+    process.exit(1);
+});
+
+// On SIGTERM / SIGINT (deploys, Ctrl+C): stop taking connections and remove this instance's
+// presence entries, so its users don't stay online until the entries go stale. A second signal
+// exits right away.
+function shutdown(signal: NodeJS.Signals) {
+    process.once(signal, () => process.exit(1));
+    logger.info('Shutting down', {signal});
+    server.close();
+    presence.clear()
+        .catch((err) => logger.error('Could not clear presence', err))
+        .then(() => redis.quit())
+        .finally(() => process.exit(0));
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
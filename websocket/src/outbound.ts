@@ -0,0 +1,100 @@
+import WebSocket from "ws";
+
+/* Backpressure-aware sending. ws.send never refuses data: whatever the kernel can't take yet is
+buffered in process memory, so one client on a bad connection can grow the server without bound.
+Instead, each socket gets a small outbound queue. Frames go straight to the socket while its
+bufferedAmount is under the high-water mark and wait in the queue otherwise; the queue is drained
+as earlier writes complete. When the queue is full the configured policy decides what gives:
+  drop-oldest  - discard the oldest queued frame (default; chat cares most about what's new)
+  drop-newest  - discard the frame being sent
+  disconnect   - close the socket, the client can reconnect and replay history */
+
+export type SlowConsumerPolicy = 'drop-oldest' | 'drop-newest' | 'disconnect';
+
+const HIGH_WATER_BYTES = Number(process.env.WS_HIGH_WATER_BYTES) || 1024 * 1024;
+const MAX_QUEUED_FRAMES = Number(process.env.WS_MAX_QUEUED_FRAMES) || 100;
+const POLICY = (process.env.WS_SLOW_CONSUMER_POLICY || 'drop-oldest') as SlowConsumerPolicy;
+
+// Application close code for clients that can't keep up.
+export const CLOSE_TOO_SLOW = 4010;
+
+export type OutboundStats = {
+    policy: SlowConsumerPolicy;
+    sent: number;
+    queued: number;         // frames currently waiting across all sockets
+    droppedOldest: number;
+    droppedNewest: number;
+    disconnected: number;
+};
+
+export class Outbound {
+    private queues = new WeakMap<WebSocket, string[]>();
+    private counters = {sent: 0, queued: 0, droppedOldest: 0, droppedNewest: 0, disconnected: 0};
+
+    constructor(private policy: SlowConsumerPolicy = POLICY) {
+        if (!['drop-oldest', 'drop-newest', 'disconnect'].includes(policy)) {
+            throw new Error('Unknown slow consumer policy: ' + policy);
+        }
+    }
+
+    send(socket: WebSocket, data: string) {
+        if (socket.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        let queue = this.queues.get(socket);
+        if (!queue) {
+            queue = [];
+            this.queues.set(socket, queue);
+            socket.once('close', () => {
+                this.counters.queued -= this.queues.get(socket)?.length ?? 0;
+                this.queues.delete(socket);
+            });
+        }
+
+        // Keep ordering: once something is queued, everything after it queues too.
+        if (queue.length === 0 && socket.bufferedAmount < HIGH_WATER_BYTES) {
+            return this.write(socket, data);
+        }
+        if (queue.length >= MAX_QUEUED_FRAMES && !this.makeRoom(socket, queue)) {
+            return;
+        }
+        queue.push(data);
+        this.counters.queued++;
+    }
+
+    stats(): OutboundStats {
+        return {policy: this.policy, ...this.counters};
+    }
+
+    // Applies the policy to a full queue. Returns false if the new frame should not be queued.
+    private makeRoom(socket: WebSocket, queue: string[]): boolean {
+        switch (this.policy) {
+            case 'drop-oldest':
+                queue.shift();
+                this.counters.queued--;
+                this.counters.droppedOldest++;
+                return true;
+            case 'drop-newest':
+                this.counters.droppedNewest++;
+                return false;
+            case 'disconnect':
+                this.counters.disconnected++;
+                socket.close(CLOSE_TOO_SLOW, 'Client is not keeping up');
+                return false;
+        }
+    }
+
+    private write(socket: WebSocket, data: string) {
+        this.counters.sent++;
+        // The callback fires once ws has handed the frame to the kernel: a good moment to drain.
+        socket.send(data, (err) => !err && this.drain(socket));
+    }
+
+    private drain(socket: WebSocket) {
+        const queue = this.queues.get(socket);
+        while (queue && queue.length > 0 && socket.readyState === WebSocket.OPEN && socket.bufferedAmount < HIGH_WATER_BYTES) {
+            this.counters.queued--;
+            this.write(socket, queue.shift()!);
+        }
+    }
+}
@@ -0,0 +1,153 @@
+import {logger} from "chat-observability";
+import {redis} from "./redis";
+
+/* Who is in which room, kept in Redis so every instance (and a restarted one) sees the same list.
+presence:room:<room>      zset  "<user>|<instance>" -> when that instance last confirmed the user
+                                (ms, Redis clock), for every instance with a socket of the user there
+presence:lastseen:<room>  hash  user -> ISO time the user was last seen in the room
+Each instance counts its own sockets per user (a user can have several tabs open) and only keeps
+one entry per user and room in Redis, refreshed every TTL/3. A user is online while any fresh entry
+exists, so the entries of an instance that crashed or was killed go stale after the TTL instead of
+showing its users online forever; a clean shutdown removes them right away (clear()).
+Typing indicators are deliberately not stored here: they are relayed and forgotten. */
+
+const TTL_MS = Number(process.env.WS_PRESENCE_TTL_MS) || 30000;
+
+export type PresenceSnapshot = {online: string[]; lastSeen: Record<string, string>};
+
+function onlineKey(room: string) {
+    return `presence:room:${room}`;
+}
+
+function lastSeenKey(room: string) {
+    return `presence:lastseen:${room}`;
+}
+
+// Shared by the scripts: drops stale entries, and tells whether any entry of a user is left.
+const HELPERS = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local ttl = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - ttl)
+local function online(user)
+    for _, member in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+        if string.sub(member, 1, #user + 1) == user .. '|' then
+            return true
+        end
+    end
+    return false
+end`;
+
+// KEYS: online, last seen. ARGV: user, instance, ttl, now (ISO). Returns 1 if the user just came online.
+const ENTER_SCRIPT = `${HELPERS}
+local was = online(ARGV[1])
+redis.call('ZADD', KEYS[1], now, ARGV[1] .. '|' .. ARGV[2])
+redis.call('PEXPIRE', KEYS[1], ttl)
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+if was then
+    return 0
+end
+return 1`;
+
+// KEYS: online, last seen. ARGV: user, instance, ttl, now (ISO). Returns 1 if the user went offline.
+// One step, so a concurrent join on another instance can't be missed.
+const EXIT_SCRIPT = `${HELPERS}
+redis.call('ZREM', KEYS[1], ARGV[1] .. '|' .. ARGV[2])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+if online(ARGV[1]) then
+    return 0
+end
+return 1`;
+
+// KEYS: online. ARGV: members of this instance..., then the ttl last.
+const REFRESH_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+for i = 1, #ARGV - 1 do
+    redis.call('ZADD', KEYS[1], now, ARGV[i])
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[#ARGV])
+return 1`;
+
+// KEYS: online. ARGV: ttl. Returns the members that are still fresh.
+const SNAPSHOT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+return redis.call('ZRANGEBYSCORE', KEYS[1], now - tonumber(ARGV[1]), '+inf')`;
+
+export class Presence {
+    // room -> user -> sockets of the user in the room on this instance
+    private sockets = new Map<string, Map<string, number>>();
+    private timer: NodeJS.Timeout;
+
+    constructor(private instanceId: string, private ttlMs = TTL_MS) {
+        this.timer = setInterval(() => {
+            this.refresh().catch((err) => logger.error('Refreshing presence failed', err));
+        }, Math.max(Math.floor(ttlMs / 3), 1));
+        this.timer.unref();
+    }
+
+    private member(user: string) {
+        return `${user}|${this.instanceId}`;
+    }
+
+    // Records a socket entering the room. Resolves true if the user just came online. The socket
+    // only counts once this resolved, so a failure here leaves nothing to undo.
+    async enter(room: string, user: string): Promise<boolean> {
+        const cameOnline = await redis.eval(ENTER_SCRIPT, {
+            keys: [onlineKey(room), lastSeenKey(room)],
+            arguments: [user, this.instanceId, String(this.ttlMs), new Date().toISOString()],
+        });
+        const users = this.sockets.get(room) ?? new Map<string, number>();
+        users.set(user, (users.get(user) ?? 0) + 1);
+        this.sockets.set(room, users);
+        return cameOnline === 1;
+    }
+
+    // Records a socket leaving the room. Resolves with the last-seen time if that was the user's
+    // last socket there, or null if they are still online here or elsewhere.
+    async exit(room: string, user: string): Promise<string | null> {
+        const users = this.sockets.get(room);
+        const left = (users?.get(user) ?? 0) - 1;
+        if (left > 0) {
+            users!.set(user, left);
+            return null;
+        }
+        users?.delete(user);
+        if (users?.size === 0) {
+            this.sockets.delete(room);
+        }
+        const lastSeen = new Date().toISOString();
+        const wentOffline = await redis.eval(EXIT_SCRIPT, {
+            keys: [onlineKey(room), lastSeenKey(room)],
+            arguments: [user, this.instanceId, String(this.ttlMs), lastSeen],
+        });
+        return wentOffline === 1 ? lastSeen : null;
+    }
+
+    async snapshot(room: string): Promise<PresenceSnapshot> {
+        const [members, lastSeen] = await Promise.all([
+            redis.eval(SNAPSHOT_SCRIPT, {keys: [onlineKey(room)], arguments: [String(this.ttlMs)]}) as Promise<string[]>,
+            redis.hGetAll(lastSeenKey(room)),
+        ]);
+        const online = [...new Set(members.map((member) => member.slice(0, member.lastIndexOf('|'))))];
+        return {online, lastSeen};
+    }
+
+    // Confirms this instance's entries, so they don't go stale while its users are connected.
+    async refresh() {
+        await Promise.all([...this.sockets].map(([room, users]) => redis.eval(REFRESH_SCRIPT, {
+            keys: [onlineKey(room)],
+            arguments: [...[...users.keys()].map((user) => this.member(user)), String(this.ttlMs)],
+        })));
+    }
+
+    // Removes this instance's entries, on shutdown: its users are offline unless connected elsewhere.
+    async clear() {
+        clearInterval(this.timer);
+        const rooms = [...this.sockets];
+        this.sockets.clear();
+        await Promise.all(rooms.map(([room, users]) =>
+            redis.zRem(onlineKey(room), [...users.keys()].map((user) => this.member(user)))));
+    }
+}
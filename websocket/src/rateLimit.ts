@@ -0,0 +1,117 @@
+import WebSocket from "ws";
+import {redis} from "./redis";
+
+/* Per-connection and per-user flood protection for incoming frames.
+Every socket gets its own token bucket. On top of that each user gets a shared allowance so
+opening more tabs doesn't multiply it: a token bucket in this process by default, or, with
+WS_RATE_LIMIT_REDIS=1, a fixed-window INCR/EXPIRE counter in Redis (as in Redis/string.js)
+that holds across every instance. Clients that keep hitting the limit get disconnected. */
+
+const SOCKET_BURST = Number(process.env.WS_RATE_BURST) || 10;
+const SOCKET_PER_SECOND = Number(process.env.WS_RATE_PER_SECOND) || 5;
+const USER_PER_MINUTE = Number(process.env.WS_USER_RATE_PER_MINUTE) || 120;
+const USE_REDIS = process.env.WS_RATE_LIMIT_REDIS === '1';
+// This many rejected frames within STRIKE_WINDOW_MS gets the socket closed.
+const MAX_STRIKES = Number(process.env.WS_RATE_MAX_STRIKES) || 20;
+const STRIKE_WINDOW_MS = 60 * 1000;
+
+// The rate a client can keep up indefinitely without being throttled: the slower of the
+// per-socket and the per-user refill.
+export const SUSTAINED_FRAMES_PER_SECOND = Math.min(SOCKET_PER_SECOND, USER_PER_MINUTE / 60);
+
+// Application close code for rate-limited clients, mirroring HTTP 429.
+export const CLOSE_RATE_LIMITED = 4029;
+
+export type Verdict =
+    | {allowed: true}
+    | {allowed: false; retryAfterMs: number; disconnect: boolean};
+
+export class TokenBucket {
+    private tokens: number;
+    private updatedAt = Date.now();
+
+    constructor(private capacity: number, private refillPerSecond: number) {
+        this.tokens = capacity;
+    }
+
+    take(now = Date.now()): boolean {
+        this.refill(now);
+        if (this.tokens < 1) {
+            return false;
+        }
+        this.tokens--;
+        return true;
+    }
+
+    // How long until the next token is available.
+    retryAfterMs(now = Date.now()): number {
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+    }
+
+    isFull(now = Date.now()): boolean {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+
+    private refill(now: number) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+}
+
+export class RateLimiter {
+    private sockets = new WeakMap<WebSocket, {bucket: TokenBucket; strikes: number[]}>();
+    private users = new Map<string, TokenBucket>();
+    private sweeper: NodeJS.Timeout;
+
+    constructor() {
+        // A full bucket is the same as no bucket, so idle users don't need to stay in memory.
+        this.sweeper = setInterval(() => {
+            this.users.forEach((bucket, user) => bucket.isFull() && this.users.delete(user));
+        }, 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    async check(socket: WebSocket, user: string): Promise<Verdict> {
+        let state = this.sockets.get(socket);
+        if (!state) {
+            state = {bucket: new TokenBucket(SOCKET_BURST, SOCKET_PER_SECOND), strikes: []};
+            this.sockets.set(socket, state);
+        }
+
+        let retryAfterMs = state.bucket.take() ? 0 : state.bucket.retryAfterMs();
+        if (retryAfterMs === 0) {
+            retryAfterMs = USE_REDIS ? await this.checkUserInRedis(user) : this.checkUserInMemory(user);
+        }
+        if (retryAfterMs === 0) {
+            return {allowed: true};
+        }
+
+        const now = Date.now();
+        state.strikes = state.strikes.filter((at) => at > now - STRIKE_WINDOW_MS);
+        state.strikes.push(now);
+        return {allowed: false, retryAfterMs, disconnect: state.strikes.length >= MAX_STRIKES};
+    }
+
+    private checkUserInMemory(user: string): number {
+        let bucket = this.users.get(user);
+        if (!bucket) {
+            // Same per-minute allowance, with a minute's worth of burst.
+            bucket = new TokenBucket(USER_PER_MINUTE, USER_PER_MINUTE / 60);
+            this.users.set(user, bucket);
+        }
+        return bucket.take() ? 0 : bucket.retryAfterMs();
+    }
+
+    private async checkUserInRedis(user: string): Promise<number> {
+        const windowMs = 60 * 1000;
+        const window = Math.floor(Date.now() / windowMs);
+        const key = `ratelimit:ws:${user}:${window}`;
+        const count = await redis.incr(key);
+        if (count === 1) {
+            await redis.expire(key, 60); // the first hit in a window starts its clock
+        }
+        return count <= USER_PER_MINUTE ? 0 : (window + 1) * windowMs - Date.now();
+    }
+}
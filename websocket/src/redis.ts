@@ -0,0 +1,8 @@
+import {createClient} from "redis";
+import {logger} from "chat-observability";
+
+// Shared command connection for everything in this server that talks to Redis.
+// Subscribers need a connection of their own and should call redis.duplicate().
+export const redis = createClient({url: process.env.REDIS_URL});
+
+redis.on('error', (err) => logger.error('Redis client error', err));
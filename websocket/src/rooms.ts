@@ -0,0 +1,66 @@
+import WebSocket from "ws";
+
+// Tracks room membership in both directions: room -> sockets for fan-out,
+// socket -> rooms so a closing socket can be removed without scanning every room.
+export class RoomManager {
+    private rooms = new Map<string, Set<WebSocket>>();
+    private memberships = new Map<WebSocket, Set<string>>();
+
+    // Frames are handed to `send` rather than written directly, so the caller decides
+    // how to deal with slow sockets.
+    constructor(private send: (socket: WebSocket, data: string) => void) {}
+
+    join(socket: WebSocket, room: string) {
+        let members = this.rooms.get(room);
+        if (!members) {
+            members = new Set();
+            this.rooms.set(room, members);
+        }
+        members.add(socket);
+
+        let joined = this.memberships.get(socket);
+        if (!joined) {
+            joined = new Set();
+            this.memberships.set(socket, joined);
+        }
+        joined.add(room);
+    }
+
+    // Returns false if the socket was not in the room.
+    leave(socket: WebSocket, room: string): boolean {
+        const members = this.rooms.get(room);
+        if (!members || !members.delete(socket)) {
+            return false;
+        }
+        if (members.size === 0) {
+            this.rooms.delete(room); // don't keep empty rooms around
+        }
+
+        const joined = this.memberships.get(socket);
+        joined?.delete(room);
+        if (joined && joined.size === 0) {
+            this.memberships.delete(socket);
+        }
+        return true;
+    }
+
+    // Removes the socket from every room it joined, returning those rooms.
+    leaveAll(socket: WebSocket): string[] {
+        const joined = [...(this.memberships.get(socket) ?? [])];
+        joined.forEach((room) => this.leave(socket, room));
+        return joined;
+    }
+
+    isMember(socket: WebSocket, room: string): boolean {
+        return this.rooms.get(room)?.has(socket) ?? false;
+    }
+
+    // Sends a frame to every open socket in the room.
+    broadcast(room: string, data: string) {
+        this.rooms.get(room)?.forEach((client) => {
+            if (client.readyState === WebSocket.OPEN) {
+                this.send(client, data);
+            }
+        });
+    }
+}
@@ -0,0 +1,75 @@
+import WebSocket from "ws";
+import http from "http";
+import {encode, PROTOCOL_VERSION} from "chat-protocol";
+import {issueToken} from "../auth";
+import {SUSTAINED_FRAMES_PER_SECOND} from "../rateLimit";
+
+/* Demonstrates the outbound queue with a deliberately slow consumer.
+One client joins a room and then stops reading from its TCP socket, the way a phone on a
+bad network would; a second client posts large messages into the same room. Once the
+kernel buffers between them fill up, the server starts queueing for the slow client and
+then applies its slow consumer policy. Watch the outbound counters printed every second.
+
+    tsc -b && node dist/tools/slowClient.js [url] [messageBytes] [messages]
+
+Run the server with the same AUTH_SECRET so the tokens minted here are accepted, and the same
+WS_RATE_PER_SECOND / WS_USER_RATE_PER_MINUTE so the writer paces itself to the server's limits. */
+
+const URL = process.argv[2] || 'ws://localhost:8000';
+const MESSAGE_BYTES = Number(process.argv[3]) || 32 * 1024;
+const MESSAGES = Number(process.argv[4]) || 500;
+const ROOM = 'backpressure-demo';
+// Stay under the server's per-socket and per-user limits (500 ms with the defaults), with some
+// headroom, so nothing is throttled on the way in and the writer is never disconnected.
+const SEND_INTERVAL_MS = Math.ceil(1000 / SUSTAINED_FRAMES_PER_SECOND * 1.1);
+
+function connect(name: string): Promise<WebSocket> {
+    const ws = new WebSocket(URL, ['chat', issueToken(name)]);
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => {
+            ws.send(encode({v: PROTOCOL_VERSION, type: 'join', room: ROOM}));
+            resolve(ws);
+        });
+        ws.once('error', reject);
+    });
+}
+
+function printStats() {
+    const statsUrl = URL.replace(/^ws/, 'http') + '/stats';
+    http.get(statsUrl, (response) => {
+        let body = '';
+        response.on('data', (chunk) => body += chunk);
+        response.on('end', () => console.log(new Date().toISOString(), JSON.parse(body).outbound));
+    }).on('error', (err) => console.error('Could not fetch stats', err.message));
+}
+
+async function main() {
+    const slow = await connect('slow-reader');
+    slow.on('close', (code, reason) => console.log('Slow client closed by server:', code, reason.toString()));
+    // Give the join a moment to land, then stop reading entirely.
+    setTimeout(() => slow.pause(), 500);
+
+    const fast = await connect('fast-writer');
+    const text = 'x'.repeat(MESSAGE_BYTES);
+    let sent = 0;
+    const sender = setInterval(() => {
+        fast.send(encode({v: PROTOCOL_VERSION, type: 'message', room: ROOM, text}));
+        if (++sent >= MESSAGES) {
+            clearInterval(sender);
+        }
+    }, SEND_INTERVAL_MS);
+    // The writer doesn't care about the echoes and acks; just keep its own buffers empty.
+    fast.on('message', () => {});
+
+    const reporter = setInterval(printStats, 1000);
+    setTimeout(() => {
+        clearInterval(reporter);
+        slow.terminate();
+        fast.close();
+    }, MESSAGES * SEND_INTERVAL_MS + 2000);
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+// src/auth.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {createHmac} = require('crypto');
+
+process.env.AUTH_SECRET = 'test-secret';
+const {handleLogin, issueToken, tokenFromRequest, verifyToken} = require('../dist/auth');
+
+// A token signed like issueToken's, with any payload.
+function sign(payload, secret = 'test-secret') {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return data + '.' + createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+test('issued tokens verify to their user until they expire', () => {
+    assert.deepEqual(verifyToken(issueToken('ann')), {name: 'ann'});
+    const [data] = issueToken('ann').split('.');
+    const {exp} = JSON.parse(Buffer.from(data, 'base64url').toString());
+    assert.ok(Math.abs(exp - (Date.now() / 1000 + 3600)) < 5); // an hour by default
+
+    assert.equal(verifyToken(sign({sub: 'ann', exp: Math.floor(Date.now() / 1000) - 1})), null);
+    assert.deepEqual(verifyToken(sign({sub: 'ann', exp: Math.floor(Date.now() / 1000) + 60})), {name: 'ann'});
+});
+
+test('forged, tampered and malformed tokens are refused', () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    assert.equal(verifyToken(sign({sub: 'ann', exp}, 'other-secret')), null);
+    const [, signature] = issueToken('ann').split('.');
+    const tampered = Buffer.from(JSON.stringify({sub: 'admin', exp})).toString('base64url') + '.' + signature;
+    assert.equal(verifyToken(tampered), null);
+    assert.equal(verifyToken(sign({sub: 42, exp})), null);
+    assert.equal(verifyToken(sign({sub: 'ann'})), null);
+    for (const token of ['', 'no-dot', '.', 'abc.', '.abc', 'x.y.z']) {
+        assert.equal(verifyToken(token), null, token);
+    }
+});
+
+test('the token comes from the query string, or else from Sec-WebSocket-Protocol', () => {
+    const request = (url, protocol) => ({url, headers: protocol === undefined ? {} : {'sec-websocket-protocol': protocol}});
+    assert.equal(tokenFromRequest(request('/?token=abc', 'chat, def')), 'abc');
+    assert.equal(tokenFromRequest(request('/', 'chat, def')), 'def');
+    assert.equal(tokenFromRequest(request('/', 'chat')), null);
+    assert.equal(tokenFromRequest(request('/')), null);
+});
+
+let server;
+let url;
+
+test.before(async () => {
+    server = http.createServer(handleLogin);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/login`;
+});
+
+test.after(() => server.close());
+
+const login = (body) => fetch(url, {method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body)});
+
+test('login answers a token for a valid username', async () => {
+    const response = await login({username: 'ann', password: 'anything'});
+    assert.equal(response.status, 200);
+    const {token} = await response.json();
+    assert.deepEqual(verifyToken(token), {name: 'ann'});
+});
+
+test('login refuses bodies that are not JSON and usernames that are not strings', async () => {
+    assert.equal((await login('not json')).status, 400);
+    for (const username of [undefined, '', 'has space', 'x'.repeat(33), 42, ['ann'], {name: 'ann'}]) {
+        const response = await login({username});
+        assert.equal(response.status, 400, `username ${JSON.stringify(username)}`);
+        assert.match((await response.json()).error, /Username/);
+    }
+    assert.equal((await login('null')).status, 400);
+});
@@ -0,0 +1,38 @@
+// src/bus.ts against the in-memory Redis of ../Redis (lib/fake-redis.js), run against the build
+// in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let redis;
+let Bus;
+
+test.before(async () => {
+    const {startFakeRedis} = await import('../../Redis/lib/fake-redis.js');
+    process.env.REDIS_URL = (await startFakeRedis()).url;
+    ({redis} = require('../dist/redis'));
+    ({Bus} = require('../dist/bus'));
+    await redis.connect();
+});
+
+test.after(() => redis.quit());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('messages reach the other instances but not their origin, and malformed ones are dropped', async () => {
+    const delivered = {a: [], b: []};
+    const a = new Bus((room, payload) => delivered.a.push([room, payload]));
+    const b = new Bus((room, payload) => delivered.b.push([room, payload]));
+    await Promise.all([a.connect(), b.connect()]);
+
+    await a.publish('lobby', '{"type":"chat"}');
+    for (const raw of ['not json', 'null', '7', '{"origin":"x","room":"lobby"}', '{"origin":"x","room":1,"payload":"{}"}']) {
+        await redis.publish('ws:broadcast', raw);
+    }
+    await b.publish('*', '{"type":"system"}');
+    await sleep(50);
+
+    assert.deepEqual(delivered.a, [['*', '{"type":"system"}']]);
+    assert.deepEqual(delivered.b, [['lobby', '{"type":"chat"}']]);
+    assert.equal(a.ready, true);
+    await Promise.all([a.subscriber.quit(), b.subscriber.quit()]);
+});
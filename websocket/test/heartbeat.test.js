@@ -0,0 +1,55 @@
+// src/heartbeat.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {EventEmitter} = require('events');
+const {Heartbeat} = require('../dist/heartbeat');
+
+// Stands in for a ws socket; a responsive one answers every ping with a pong.
+class FakeSocket extends EventEmitter {
+    pings = 0;
+    terminated = false;
+
+    constructor(wss, responsive) {
+        super();
+        this.wss = wss;
+        this.responsive = responsive;
+        wss.clients.add(this);
+    }
+
+    ping() {
+        this.pings++;
+        if (this.responsive) {
+            this.emit('pong');
+        }
+    }
+
+    terminate() {
+        this.terminated = true;
+        this.wss.clients.delete(this);
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('sockets that miss a pong are terminated, the others are pinged again', async () => {
+    const wss = Object.assign(new EventEmitter(), {clients: new Set()});
+    const heartbeat = new Heartbeat(wss, 20);
+    const live = new FakeSocket(wss, true);
+    const dead = new FakeSocket(wss, false);
+    heartbeat.track(live);
+    heartbeat.track(dead);
+    assert.deepEqual(heartbeat.stats(), {live: 2, total: 2, terminated: 0});
+
+    await sleep(100);
+    assert.equal(dead.terminated, true);
+    assert.equal(dead.pings, 1); // pinged once, terminated on the next sweep
+    assert.equal(live.terminated, false);
+    assert.ok(live.pings >= 3);
+    assert.deepEqual(heartbeat.stats(), {live: 1, total: 2, terminated: 1});
+
+    // Closing the server stops the sweeps.
+    wss.emit('close');
+    const pings = live.pings;
+    await sleep(60);
+    assert.equal(live.pings, pings);
+});
@@ -0,0 +1,91 @@
+// src/outbound.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {EventEmitter} = require('events');
+const WebSocket = require('ws');
+
+Object.assign(process.env, {WS_HIGH_WATER_BYTES: '100', WS_MAX_QUEUED_FRAMES: '2'});
+const {CLOSE_TOO_SLOW, Outbound} = require('../dist/outbound');
+
+// Stands in for a ws socket: writes are "in flight" until complete() calls their callbacks.
+class FakeSocket extends EventEmitter {
+    readyState = WebSocket.OPEN;
+    bufferedAmount = 0;
+    written = [];
+    callbacks = [];
+    closed = null;
+
+    send(data, callback) {
+        this.written.push(data);
+        this.callbacks.push(callback);
+    }
+
+    close(code, reason) {
+        this.closed = {code, reason};
+        this.readyState = WebSocket.CLOSING;
+    }
+
+    complete() {
+        this.bufferedAmount = 0;
+        const callbacks = this.callbacks.splice(0);
+        callbacks.forEach((callback) => callback());
+    }
+}
+
+test('frames go straight out below the high-water mark and queue above it, in order', () => {
+    const outbound = new Outbound('drop-oldest');
+    const socket = new FakeSocket();
+    outbound.send(socket, 'a');
+    socket.bufferedAmount = 500;
+    outbound.send(socket, 'b');
+    socket.bufferedAmount = 0;
+    outbound.send(socket, 'c'); // b is still queued, so c waits behind it
+    assert.deepEqual(socket.written, ['a']);
+    assert.equal(outbound.stats().queued, 2);
+
+    socket.complete();
+    assert.deepEqual(socket.written, ['a', 'b', 'c']);
+    assert.deepEqual(outbound.stats(), {policy: 'drop-oldest', sent: 3, queued: 0, droppedOldest: 0, droppedNewest: 0, disconnected: 0});
+});
+
+test('a full queue drops the oldest, drops the newest, or disconnects, by policy', () => {
+    const run = (policy) => {
+        const outbound = new Outbound(policy);
+        const socket = new FakeSocket();
+        outbound.send(socket, 'first');
+        socket.bufferedAmount = 500; // first is still on its way
+        ['a', 'b', 'c'].forEach((data) => outbound.send(socket, data));
+        socket.complete();
+        return {socket, stats: outbound.stats()};
+    };
+
+    const oldest = run('drop-oldest');
+    assert.deepEqual(oldest.socket.written, ['first', 'b', 'c']);
+    assert.equal(oldest.stats.droppedOldest, 1);
+
+    const newest = run('drop-newest');
+    assert.deepEqual(newest.socket.written, ['first', 'a', 'b']);
+    assert.equal(newest.stats.droppedNewest, 1);
+
+    const disconnect = run('disconnect');
+    assert.deepEqual(disconnect.socket.closed, {code: CLOSE_TOO_SLOW, reason: 'Client is not keeping up'});
+    assert.deepEqual(disconnect.socket.written, ['first']); // closing: the queue isn't drained
+    assert.equal(disconnect.stats.disconnected, 1);
+
+    assert.throws(() => new Outbound('buffer-forever'), /Unknown slow consumer policy/);
+});
+
+test('closed sockets are skipped and their queued frames forgotten', () => {
+    const outbound = new Outbound('drop-oldest');
+    const socket = new FakeSocket();
+    socket.bufferedAmount = 500;
+    outbound.send(socket, 'a');
+    outbound.send(socket, 'b');
+    assert.equal(outbound.stats().queued, 2);
+
+    socket.readyState = WebSocket.CLOSED;
+    socket.emit('close');
+    outbound.send(socket, 'c');
+    assert.equal(outbound.stats().queued, 0);
+    assert.deepEqual(socket.written, []);
+});
@@ -0,0 +1,59 @@
+// src/presence.ts against the in-memory Redis of ../Redis (lib/fake-redis.js), run against the
+// build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let redis;
+let Presence;
+
+test.before(async () => {
+    const {startFakeRedis} = await import('../../Redis/lib/fake-redis.js');
+    process.env.REDIS_URL = (await startFakeRedis()).url;
+    ({redis} = require('../dist/redis'));
+    ({Presence} = require('../dist/presence'));
+    await redis.connect();
+});
+
+test.after(() => redis.quit());
+
+test('a user is online while any instance has a socket of theirs in the room', async () => {
+    const a = new Presence('instance-a');
+    const b = new Presence('instance-b');
+    assert.equal(await a.enter('lobby', 'ann'), true);
+    assert.equal(await a.enter('lobby', 'ann'), false); // second tab
+    assert.equal(await b.enter('lobby', 'ann'), false);
+    assert.equal(await b.enter('lobby', 'bob'), true);
+    assert.deepEqual((await a.snapshot('lobby')).online.sort(), ['ann', 'bob']);
+
+    assert.equal(await a.exit('lobby', 'ann'), null); // one tab left here
+    assert.equal(await a.exit('lobby', 'ann'), null); // still connected to b
+    const lastSeen = await b.exit('lobby', 'ann');
+    assert.match(lastSeen, /^\d{4}-\d{2}-\d{2}T/);
+    const snapshot = await a.snapshot('lobby');
+    assert.deepEqual(snapshot.online, ['bob']);
+    assert.equal(snapshot.lastSeen.ann, lastSeen);
+    await Promise.all([a.clear(), b.clear()]);
+});
+
+test('entries of an instance that stopped refreshing go stale; refreshed ones stay', async () => {
+    const alive = new Presence('alive', 150);
+    // Left behind by an instance that crashed a while ago.
+    await redis.zAdd('presence:room:stale', {score: Date.now() - 1000, value: 'ann|crashed'});
+    await alive.enter('stale', 'bob');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.deepEqual((await alive.snapshot('stale')).online, ['bob']);
+    // ann coming back counts as coming online
+    assert.equal(await alive.enter('stale', 'ann'), true);
+    await alive.clear();
+});
+
+test('clear() takes this instance\'s users offline', async () => {
+    const leaving = new Presence('leaving');
+    const staying = new Presence('staying');
+    await leaving.enter('deploy', 'ann');
+    await leaving.enter('deploy', 'bob');
+    await staying.enter('deploy', 'bob');
+    await leaving.clear();
+    assert.deepEqual((await staying.snapshot('deploy')).online, ['bob']);
+    await staying.clear();
+});
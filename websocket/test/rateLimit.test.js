@@ -0,0 +1,54 @@
+// src/rateLimit.ts (the in-process limits), run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {WS_RATE_BURST: '3', WS_RATE_PER_SECOND: '10', WS_USER_RATE_PER_MINUTE: '5', WS_RATE_MAX_STRIKES: '3'});
+const {RateLimiter, TokenBucket} = require('../dist/rateLimit');
+
+test('a token bucket allows a burst, then refills at its rate', () => {
+    const bucket = new TokenBucket(2, 4); // one token every 250 ms
+    const start = Date.now();
+    assert.equal(bucket.take(start), true);
+    assert.equal(bucket.take(start), true);
+    assert.equal(bucket.take(start), false);
+    assert.equal(bucket.retryAfterMs(start), 250);
+    assert.equal(bucket.retryAfterMs(start + 100), 150);
+
+    assert.equal(bucket.take(start + 250), true);
+    assert.equal(bucket.take(start + 250), false);
+    assert.equal(bucket.isFull(start + 250), false);
+    // Refills up to its capacity, not beyond.
+    assert.equal(bucket.isFull(start + 10000), true);
+    assert.equal(bucket.take(start + 10000), true);
+    assert.equal(bucket.take(start + 10000), true);
+    assert.equal(bucket.take(start + 10000), false);
+});
+
+test('each socket has its own burst, and repeat offenders are disconnected', async () => {
+    const limiter = new RateLimiter();
+    const socket = {};
+    const verdicts = [];
+    for (let i = 0; i < 6; i++) {
+        verdicts.push(await limiter.check(socket, `user-${i}`)); // other users: only the socket limit applies
+    }
+    assert.deepEqual(verdicts.slice(0, 3), [{allowed: true}, {allowed: true}, {allowed: true}]);
+    for (const [i, verdict] of verdicts.slice(3).entries()) {
+        assert.equal(verdict.allowed, false);
+        assert.ok(verdict.retryAfterMs > 0 && verdict.retryAfterMs <= 100);
+        assert.equal(verdict.disconnect, i === 2); // the third strike
+    }
+    assert.deepEqual(await limiter.check({}, 'user-0'), {allowed: true});
+});
+
+test("a user's sockets share one allowance", async () => {
+    const limiter = new RateLimiter();
+    const tabs = [{}, {}, {}];
+    const allowed = [];
+    for (let i = 0; i < 6; i++) {
+        allowed.push((await limiter.check(tabs[i % 3], 'ann')).allowed);
+    }
+    assert.deepEqual(allowed, [true, true, true, true, true, false]);
+    const verdict = await limiter.check(tabs[0], 'ann');
+    assert.ok(verdict.retryAfterMs > 11000 && verdict.retryAfterMs <= 12000); // 5 a minute: one every 12 s
+    assert.equal((await limiter.check({}, 'bob')).allowed, true);
+});
@@ -0,0 +1,59 @@
+// src/rooms.ts, run against the build in dist/: npm test compiles first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const {RoomManager} = require('../dist/rooms');
+
+const socket = (readyState = WebSocket.OPEN) => ({readyState});
+
+function manager() {
+    const sent = [];
+    const rooms = new RoomManager((target, data) => sent.push([target, data]));
+    return {rooms, sent};
+}
+
+test('join, leave and membership', () => {
+    const {rooms} = manager();
+    const a = socket();
+    rooms.join(a, 'lobby');
+    rooms.join(a, 'lobby'); // joining twice is harmless
+    assert.equal(rooms.isMember(a, 'lobby'), true);
+    assert.equal(rooms.isMember(a, 'other'), false);
+
+    assert.equal(rooms.leave(a, 'lobby'), true);
+    assert.equal(rooms.leave(a, 'lobby'), false);
+    assert.equal(rooms.leave(a, 'never-joined'), false);
+    assert.equal(rooms.isMember(a, 'lobby'), false);
+});
+
+test('leaveAll removes the socket from every room it joined and names them', () => {
+    const {rooms} = manager();
+    const [a, b] = [socket(), socket()];
+    rooms.join(a, 'lobby');
+    rooms.join(a, 'games');
+    rooms.join(b, 'lobby');
+
+    assert.deepEqual(rooms.leaveAll(a).sort(), ['games', 'lobby']);
+    assert.deepEqual(rooms.leaveAll(a), []);
+    assert.equal(rooms.isMember(a, 'lobby'), false);
+    assert.equal(rooms.isMember(b, 'lobby'), true);
+});
+
+test('broadcast reaches the open sockets of the room only', () => {
+    const {rooms, sent} = manager();
+    const [a, b, closing, elsewhere] = [socket(), socket(), socket(WebSocket.CLOSING), socket()];
+    rooms.join(a, 'lobby');
+    rooms.join(b, 'lobby');
+    rooms.join(closing, 'lobby');
+    rooms.join(elsewhere, 'games');
+
+    rooms.broadcast('lobby', 'hi');
+    rooms.broadcast('empty', 'nobody');
+    assert.deepEqual(sent, [[a, 'hi'], [b, 'hi']]);
+
+    rooms.leave(a, 'lobby');
+    rooms.leave(b, 'lobby');
+    rooms.leave(closing, 'lobby');
+    rooms.broadcast('lobby', 'gone');
+    assert.equal(sent.length, 2);
+});